@@ -0,0 +1,36 @@
+/*
+M3 – GoAudits raw payload landing table
+- Raw JSON as received from getauditsummary (Source = 'Summary') and getauditdetailsbyid (Source = 'Details')
+- One row per report/source/fetch; unchanged payloads (same ContentHash as the latest row) are not stored again
+- Used by replay mode to rebuild GoAuditsReports / GoAuditsReportAnswers without calling the API
+*/
+
+IF OBJECT_ID('dbo.GoAuditsRawPayloads', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsRawPayloads
+    (
+        GoAuditsReportId   NVARCHAR(100)    NOT NULL,
+        Source             NVARCHAR(20)     NOT NULL, -- Summary / Details
+        FetchedAtUtc       DATETIME2(3)     NOT NULL,
+        ContentHash        CHAR(64)         NOT NULL, -- SHA-256 (hex) of PayloadJson
+        PayloadJson        NVARCHAR(MAX)    NOT NULL,
+        JobRunId           UNIQUEIDENTIFIER NOT NULL,
+        CreatedUtc         DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsRawPayloads_CreatedUtc DEFAULT (SYSUTCDATETIME()),
+        CONSTRAINT PK_GoAuditsRawPayloads PRIMARY KEY CLUSTERED (GoAuditsReportId, Source, FetchedAtUtc),
+        CONSTRAINT CK_GoAuditsRawPayloads_Source CHECK (Source IN ('Summary','Details'))
+    );
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_GoAuditsRawPayloads_Source_FetchedAtUtc'
+      AND object_id = OBJECT_ID('dbo.GoAuditsRawPayloads')
+)
+BEGIN
+    CREATE INDEX IX_GoAuditsRawPayloads_Source_FetchedAtUtc
+        ON dbo.GoAuditsRawPayloads (Source, FetchedAtUtc DESC)
+        INCLUDE (ContentHash, JobRunId);
+END
+GO
@@ -0,0 +1,21 @@
+-- M3: Grant Managed Identity access for raw payload landing and replay
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Raw landing (ingestion + enrichment) and replay rebuilds (update reports, replace answers)
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT SELECT, INSERT                 ON dbo.GoAuditsRawPayloads   TO [' + @UserNameEscaped + N'];
+GRANT SELECT, INSERT, UPDATE         ON dbo.GoAuditsReports       TO [' + @UserNameEscaped + N'];
+GRANT SELECT, INSERT, DELETE         ON dbo.GoAuditsReportAnswers TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
@@ -0,0 +1,51 @@
+/*
+M3 – GoAudits report revisions (audits edited after completion)
+- SourceUpdatedOnUtc: latest Updated_On seen in the summary feed
+- PendingRevisionUtc: set by ingestion when Updated_On moves forward; cleared by enrichment
+- DetailsContentHash: SHA-256 of the last enriched details payload
+- RevisionCount / LastRevisedUtc: how many times (and when last) the details content changed
+*/
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'SourceUpdatedOnUtc') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD SourceUpdatedOnUtc DATETIME2 NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'PendingRevisionUtc') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD PendingRevisionUtc DATETIME2 NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'DetailsContentHash') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD DetailsContentHash CHAR(64) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'RevisionCount') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD RevisionCount INT NOT NULL
+        CONSTRAINT DF_GoAuditsReports_RevisionCount DEFAULT (0);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'LastRevisedUtc') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD LastRevisedUtc DATETIME2 NULL;
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_GoAuditsReports_PendingRevisionUtc'
+      AND object_id = OBJECT_ID('dbo.GoAuditsReports')
+)
+BEGIN
+    CREATE INDEX IX_GoAuditsReports_PendingRevisionUtc
+        ON dbo.GoAuditsReports (PendingRevisionUtc)
+        WHERE PendingRevisionUtc IS NOT NULL;
+END
+GO
@@ -0,0 +1,88 @@
+/*
+M3 – GoAudits answer history (SCD type 2)
+- GoAuditsReportAnswers stays the current version of each answer (reporting views keep reading it)
+- GoAuditsReportAnswerHistory keeps every version with ValidFromUtc / ValidToUtc (NULL = current)
+  and the enrichment run that produced (JobRunId) and closed (ClosedByJobRunId) it
+- fn_GoAuditsReportAnswersAsOf returns how a report's answers looked at a point in time
+*/
+
+IF OBJECT_ID('dbo.GoAuditsReportAnswerHistory', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsReportAnswerHistory
+    (
+        AnswerVersionId    BIGINT IDENTITY(1,1) NOT NULL,
+        GoAuditsReportId   NVARCHAR(100)    NOT NULL,
+        QuestionKey        NVARCHAR(256)    NOT NULL,
+        AnswerValue        NVARCHAR(MAX)    NULL,
+        Section            NVARCHAR(200)    NULL,
+        QuestionText       NVARCHAR(1000)   NULL,
+        ValidFromUtc       DATETIME2(3)     NOT NULL,
+        ValidToUtc         DATETIME2(3)     NULL,
+        JobRunId           UNIQUEIDENTIFIER NOT NULL,
+        ClosedByJobRunId   UNIQUEIDENTIFIER NULL,
+        CONSTRAINT PK_GoAuditsReportAnswerHistory PRIMARY KEY NONCLUSTERED (AnswerVersionId),
+        CONSTRAINT FK_GoAuditsReportAnswerHistory_Report FOREIGN KEY (GoAuditsReportId) REFERENCES dbo.GoAuditsReports(GoAuditsReportId)
+    );
+
+    CREATE CLUSTERED INDEX CIX_GoAuditsReportAnswerHistory_Report_Question_ValidFrom
+        ON dbo.GoAuditsReportAnswerHistory (GoAuditsReportId, QuestionKey, ValidFromUtc);
+END
+GO
+
+-- At most one open (current) version per report/question
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'UX_GoAuditsReportAnswerHistory_Current'
+      AND object_id = OBJECT_ID('dbo.GoAuditsReportAnswerHistory')
+)
+BEGIN
+    CREATE UNIQUE INDEX UX_GoAuditsReportAnswerHistory_Current
+        ON dbo.GoAuditsReportAnswerHistory (GoAuditsReportId, QuestionKey)
+        WHERE ValidToUtc IS NULL;
+END
+GO
+
+-- Seed: the answers already in SQL become the first version, valid from when they were ingested
+INSERT INTO dbo.GoAuditsReportAnswerHistory
+    (GoAuditsReportId, QuestionKey, AnswerValue, Section, QuestionText, ValidFromUtc, JobRunId)
+SELECT
+    a.GoAuditsReportId,
+    a.QuestionKey,
+    a.AnswerValue,
+    a.Section,
+    a.QuestionText,
+    a.IngestedAtUtc,
+    a.JobRunId
+FROM dbo.GoAuditsReportAnswers a
+WHERE NOT EXISTS (
+    SELECT 1
+    FROM dbo.GoAuditsReportAnswerHistory h
+    WHERE h.GoAuditsReportId = a.GoAuditsReportId
+      AND h.QuestionKey = a.QuestionKey
+);
+GO
+
+-- Answers for one report as they stood at @AsOfUtc (e.g. GoAuditsScores.ScoredAtUtc)
+CREATE OR ALTER FUNCTION dbo.fn_GoAuditsReportAnswersAsOf
+(
+    @GoAuditsReportId NVARCHAR(100),
+    @AsOfUtc          DATETIME2(3)
+)
+RETURNS TABLE
+AS
+RETURN
+    SELECT
+        h.GoAuditsReportId,
+        h.QuestionKey,
+        h.AnswerValue,
+        h.Section,
+        h.QuestionText,
+        h.ValidFromUtc,
+        h.ValidToUtc,
+        h.JobRunId
+    FROM dbo.GoAuditsReportAnswerHistory h
+    WHERE h.GoAuditsReportId = @GoAuditsReportId
+      AND h.ValidFromUtc <= @AsOfUtc
+      AND (h.ValidToUtc IS NULL OR h.ValidToUtc > @AsOfUtc);
+GO
@@ -0,0 +1,21 @@
+-- M3: Grant Managed Identity access for answer history
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Enrichment updates current answers in place and opens/closes history versions
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT SELECT, INSERT, UPDATE, DELETE ON dbo.GoAuditsReportAnswers       TO [' + @UserNameEscaped + N'];
+GRANT SELECT, INSERT, UPDATE         ON dbo.GoAuditsReportAnswerHistory TO [' + @UserNameEscaped + N'];
+GRANT SELECT                         ON dbo.fn_GoAuditsReportAnswersAsOf TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
@@ -0,0 +1,251 @@
+/*
+M3 – GoAudits repeating groups (instance indexes)
+- A question repeated within a report (e.g. several heat pumps or PV arrays) is stored once per instance
+- InstanceIndex is the 0-based occurrence of the question in the details rows; GroupName keeps the GoAudits group label
+- Answers, answer history and findings are re-keyed to include InstanceIndex; existing rows become instance 0
+*/
+
+-- 1) GoAuditsReportAnswers
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'InstanceIndex') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD InstanceIndex INT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswers_InstanceIndex DEFAULT (0);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'GroupName') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD GroupName NVARCHAR(200) NULL;
+END
+GO
+
+-- The answers PK was created with the M1.5 rollout (outside this repo), so its name is looked up
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.key_constraints kc
+    INNER JOIN sys.index_columns ic
+        ON ic.object_id = kc.parent_object_id
+       AND ic.index_id = kc.unique_index_id
+    INNER JOIN sys.columns c
+        ON c.object_id = ic.object_id
+       AND c.column_id = ic.column_id
+    WHERE kc.parent_object_id = OBJECT_ID('dbo.GoAuditsReportAnswers')
+      AND kc.type = 'PK'
+      AND c.name = 'InstanceIndex'
+)
+BEGIN
+    DECLARE @answersPk SYSNAME = (
+        SELECT name
+        FROM sys.key_constraints
+        WHERE parent_object_id = OBJECT_ID('dbo.GoAuditsReportAnswers')
+          AND type = 'PK'
+    );
+
+    IF @answersPk IS NOT NULL
+    BEGIN
+        DECLARE @dropAnswersPk NVARCHAR(MAX) =
+            N'ALTER TABLE dbo.GoAuditsReportAnswers DROP CONSTRAINT ' + QUOTENAME(@answersPk) + N';';
+        EXEC (@dropAnswersPk);
+    END
+
+    ALTER TABLE dbo.GoAuditsReportAnswers
+        ADD CONSTRAINT PK_GoAuditsReportAnswers PRIMARY KEY CLUSTERED (GoAuditsReportId, QuestionKey, InstanceIndex);
+END
+GO
+
+-- 2) GoAuditsReportAnswerHistory
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'InstanceIndex') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD InstanceIndex INT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswerHistory_InstanceIndex DEFAULT (0);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'GroupName') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD GroupName NVARCHAR(200) NULL;
+END
+GO
+
+CREATE CLUSTERED INDEX CIX_GoAuditsReportAnswerHistory_Report_Question_ValidFrom
+    ON dbo.GoAuditsReportAnswerHistory (GoAuditsReportId, QuestionKey, InstanceIndex, ValidFromUtc)
+    WITH (DROP_EXISTING = ON);
+GO
+
+CREATE UNIQUE INDEX UX_GoAuditsReportAnswerHistory_Current
+    ON dbo.GoAuditsReportAnswerHistory (GoAuditsReportId, QuestionKey, InstanceIndex)
+    WHERE ValidToUtc IS NULL
+    WITH (DROP_EXISTING = ON);
+GO
+
+CREATE OR ALTER FUNCTION dbo.fn_GoAuditsReportAnswersAsOf
+(
+    @GoAuditsReportId NVARCHAR(100),
+    @AsOfUtc          DATETIME2(3)
+)
+RETURNS TABLE
+AS
+RETURN
+    SELECT
+        h.GoAuditsReportId,
+        h.QuestionKey,
+        h.InstanceIndex,
+        h.GroupName,
+        h.AnswerValue,
+        h.Section,
+        h.QuestionText,
+        h.ValidFromUtc,
+        h.ValidToUtc,
+        h.JobRunId
+    FROM dbo.GoAuditsReportAnswerHistory h
+    WHERE h.GoAuditsReportId = @GoAuditsReportId
+      AND h.ValidFromUtc <= @AsOfUtc
+      AND (h.ValidToUtc IS NULL OR h.ValidToUtc > @AsOfUtc);
+GO
+
+-- 3) GoAuditsFindings: one finding per non-compliant instance
+IF COL_LENGTH('dbo.GoAuditsFindings', 'InstanceIndex') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ADD InstanceIndex INT NOT NULL
+        CONSTRAINT DF_GoAuditsFindings_InstanceIndex DEFAULT (0);
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.key_constraints kc
+    INNER JOIN sys.index_columns ic
+        ON ic.object_id = kc.parent_object_id
+       AND ic.index_id = kc.unique_index_id
+    INNER JOIN sys.columns c
+        ON c.object_id = ic.object_id
+       AND c.column_id = ic.column_id
+    WHERE kc.parent_object_id = OBJECT_ID('dbo.GoAuditsFindings')
+      AND kc.type = 'PK'
+      AND c.name = 'InstanceIndex'
+)
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings DROP CONSTRAINT PK_GoAuditsFindings;
+    ALTER TABLE dbo.GoAuditsFindings
+        ADD CONSTRAINT PK_GoAuditsFindings PRIMARY KEY CLUSTERED (GoAuditsReportId, RuleSetName, RuleSetVersion, QuestionKey, InstanceIndex);
+END
+GO
+
+-- 4) Reporting views: join findings to the answer instance they came from
+CREATE OR ALTER VIEW dbo.vw_GoAuditsFindingsDetail
+AS
+SELECT
+    f.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    f.RuleSetName,
+    f.RuleSetVersion,
+    f.QuestionKey,
+    a.Section,
+    a.QuestionText,
+    f.AnswerValue,
+    f.FindingSeverity,
+    f.FindingCode,
+    f.CreatedUtc,
+    f.JobRunId AS ScoringJobRunId,
+    f.InstanceIndex,
+    a.GroupName
+FROM dbo.GoAuditsFindings f
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = f.GoAuditsReportId
+LEFT JOIN dbo.GoAuditsReportAnswers a
+    ON a.GoAuditsReportId = f.GoAuditsReportId
+   AND a.QuestionKey = f.QuestionKey
+   AND a.InstanceIndex = f.InstanceIndex;
+
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsAssessmentScoreFinal
+AS
+WITH RankedScores AS (
+    SELECT
+        s.GoAuditsReportId,
+        s.RuleSetName,
+        s.RuleSetVersion,
+        s.ScoreValue,
+        s.Outcome,
+        s.ScoredAtUtc,
+        r.CompletedAtUtc,
+        r.CertificationNumber,
+        TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) AS RuleSetVersionNumber,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.GoAuditsReportId, s.RuleSetName
+            ORDER BY
+                TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) DESC,
+                s.ScoredAtUtc DESC
+        ) AS rn
+    FROM dbo.GoAuditsScores s
+    INNER JOIN dbo.GoAuditsReports r
+        ON r.GoAuditsReportId = s.GoAuditsReportId
+),
+LatestScores AS (
+    SELECT *
+    FROM RankedScores
+    WHERE rn = 1
+),
+WorstFinding AS (
+    SELECT
+        f.GoAuditsReportId,
+        f.RuleSetName,
+        f.RuleSetVersion,
+        f.QuestionKey,
+        f.InstanceIndex,
+        f.FindingCode,
+        f.FindingSeverity,
+        a.QuestionText,
+        ROW_NUMBER() OVER (
+            PARTITION BY f.GoAuditsReportId, f.RuleSetName, f.RuleSetVersion
+            ORDER BY
+                CASE f.FindingSeverity WHEN 'Major' THEN 1 WHEN 'Minor' THEN 2 ELSE 3 END,
+                f.CreatedUtc DESC,
+                f.QuestionKey,
+                f.InstanceIndex
+        ) AS rn
+    FROM dbo.GoAuditsFindings f
+    LEFT JOIN dbo.GoAuditsReportAnswers a
+        ON a.GoAuditsReportId = f.GoAuditsReportId
+       AND a.QuestionKey = f.QuestionKey
+       AND a.InstanceIndex = f.InstanceIndex
+)
+SELECT
+    l.GoAuditsReportId,
+    AssessmentId = l.GoAuditsReportId,
+    Address = addr.Address,
+    [Date of Assessment] = CAST(l.CompletedAtUtc AS DATE),
+    [Type] = COALESCE(typ.AssessmentType, l.RuleSetName),
+    [Certificate number] = l.CertificationNumber,
+    Score = l.ScoreValue,
+    WorstBucket = COALESCE(wf.FindingSeverity, l.Outcome),
+    WorstQuestionKey = wf.QuestionKey,
+    WorstFindingCode = wf.FindingCode,
+    WorstQuestionText = wf.QuestionText,
+    l.RuleSetName,
+    l.RuleSetVersion,
+    WorstInstanceIndex = wf.InstanceIndex
+FROM LatestScores l
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS Address
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%address%' OR a.QuestionKey LIKE '%address%')
+    ORDER BY a.InstanceIndex
+) addr
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS AssessmentType
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%type%' OR a.QuestionKey LIKE '%type%')
+    ORDER BY a.InstanceIndex
+) typ
+LEFT JOIN WorstFinding wf
+    ON wf.GoAuditsReportId = l.GoAuditsReportId
+   AND wf.RuleSetName = l.RuleSetName
+   AND wf.RuleSetVersion = l.RuleSetVersion
+   AND wf.rn = 1;
+
+GO
@@ -0,0 +1,104 @@
+/*
+M3 – GoAudits answer evidence
+- Keeps the auditor's comment, photo/attachment references (JSON array) and not-applicable marker with each answer
+- Added to current answers and answer history so evidence is versioned with the answer
+- vw_GoAuditsFindingsDetail exposes them so a finding can be traced to the auditor's note and photo
+*/
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AuditorComment') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AuditorComment NVARCHAR(2000) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'MediaReferences') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD MediaReferences NVARCHAR(MAX) NULL
+        CONSTRAINT CK_GoAuditsReportAnswers_MediaReferences CHECK (MediaReferences IS NULL OR ISJSON(MediaReferences) = 1);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'IsNotApplicable') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD IsNotApplicable BIT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswers_IsNotApplicable DEFAULT (0);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AuditorComment') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AuditorComment NVARCHAR(2000) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'MediaReferences') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD MediaReferences NVARCHAR(MAX) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'IsNotApplicable') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD IsNotApplicable BIT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswerHistory_IsNotApplicable DEFAULT (0);
+END
+GO
+
+CREATE OR ALTER FUNCTION dbo.fn_GoAuditsReportAnswersAsOf
+(
+    @GoAuditsReportId NVARCHAR(100),
+    @AsOfUtc          DATETIME2(3)
+)
+RETURNS TABLE
+AS
+RETURN
+    SELECT
+        h.GoAuditsReportId,
+        h.QuestionKey,
+        h.InstanceIndex,
+        h.GroupName,
+        h.AnswerValue,
+        h.Section,
+        h.QuestionText,
+        h.AuditorComment,
+        h.MediaReferences,
+        h.IsNotApplicable,
+        h.ValidFromUtc,
+        h.ValidToUtc,
+        h.JobRunId
+    FROM dbo.GoAuditsReportAnswerHistory h
+    WHERE h.GoAuditsReportId = @GoAuditsReportId
+      AND h.ValidFromUtc <= @AsOfUtc
+      AND (h.ValidToUtc IS NULL OR h.ValidToUtc > @AsOfUtc);
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsFindingsDetail
+AS
+SELECT
+    f.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    f.RuleSetName,
+    f.RuleSetVersion,
+    f.QuestionKey,
+    a.Section,
+    a.QuestionText,
+    f.AnswerValue,
+    f.FindingSeverity,
+    f.FindingCode,
+    f.CreatedUtc,
+    f.JobRunId AS ScoringJobRunId,
+    f.InstanceIndex,
+    a.GroupName,
+    a.AuditorComment,
+    a.MediaReferences,
+    a.IsNotApplicable
+FROM dbo.GoAuditsFindings f
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = f.GoAuditsReportId
+LEFT JOIN dbo.GoAuditsReportAnswers a
+    ON a.GoAuditsReportId = f.GoAuditsReportId
+   AND a.QuestionKey = f.QuestionKey
+   AND a.InstanceIndex = f.InstanceIndex;
+
+GO
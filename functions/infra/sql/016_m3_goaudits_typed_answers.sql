@@ -0,0 +1,144 @@
+/*
+M3 – GoAudits typed answers
+- Enrichment classifies each answer (Number with unit, Date, Boolean, NotApplicable, List, Media, Text, Empty) and stores typed values next to AnswerValue
+- Typed values are parsed from the full answer, so they stay correct when AnswerValue is truncated
+- AnswerTruncated flags answers longer than the 4000 characters kept in AnswerValue
+- Existing rows keep NULL types until they are re-enriched (GOAUDITS_ENRICH_MODE=replay); scoring classifies those on the fly
+*/
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerType') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerType NVARCHAR(20) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerNumber') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerNumber FLOAT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerUnit') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerUnit NVARCHAR(20) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerDate') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerDate DATETIME2(0) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerBoolean') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerBoolean BIT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerListJson') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerListJson NVARCHAR(MAX) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswers', 'AnswerTruncated') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD AnswerTruncated BIT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswers_AnswerTruncated DEFAULT (0);
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerType') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerType NVARCHAR(20) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerNumber') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerNumber FLOAT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerUnit') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerUnit NVARCHAR(20) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerDate') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerDate DATETIME2(0) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerBoolean') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerBoolean BIT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerListJson') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerListJson NVARCHAR(MAX) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsReportAnswerHistory', 'AnswerTruncated') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswerHistory ADD AnswerTruncated BIT NOT NULL
+        CONSTRAINT DF_GoAuditsReportAnswerHistory_AnswerTruncated DEFAULT (0);
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_GoAuditsReportAnswers_AnswerType')
+BEGIN
+    ALTER TABLE dbo.GoAuditsReportAnswers ADD CONSTRAINT CK_GoAuditsReportAnswers_AnswerType
+        CHECK (AnswerType IS NULL OR AnswerType IN ('Empty','Text','Number','Date','Boolean','NotApplicable','List','Media'));
+END
+GO
+
+-- Find answers by value, e.g. numeric thresholds across reports
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_GoAuditsReportAnswers_Question_Number' AND object_id = OBJECT_ID('dbo.GoAuditsReportAnswers'))
+BEGIN
+    CREATE INDEX IX_GoAuditsReportAnswers_Question_Number
+        ON dbo.GoAuditsReportAnswers (QuestionKey, AnswerNumber)
+        WHERE AnswerNumber IS NOT NULL;
+END
+GO
+
+CREATE OR ALTER FUNCTION dbo.fn_GoAuditsReportAnswersAsOf
+(
+    @GoAuditsReportId NVARCHAR(100),
+    @AsOfUtc          DATETIME2(3)
+)
+RETURNS TABLE
+AS
+RETURN
+    SELECT
+        h.GoAuditsReportId,
+        h.QuestionKey,
+        h.InstanceIndex,
+        h.GroupName,
+        h.AnswerValue,
+        h.AnswerType,
+        h.AnswerNumber,
+        h.AnswerUnit,
+        h.AnswerDate,
+        h.AnswerBoolean,
+        h.AnswerListJson,
+        h.AnswerTruncated,
+        h.Section,
+        h.QuestionText,
+        h.AuditorComment,
+        h.MediaReferences,
+        h.IsNotApplicable,
+        h.ValidFromUtc,
+        h.ValidToUtc,
+        h.JobRunId
+    FROM dbo.GoAuditsReportAnswerHistory h
+    WHERE h.GoAuditsReportId = @GoAuditsReportId
+      AND h.ValidFromUtc <= @AsOfUtc
+      AND (h.ValidToUtc IS NULL OR h.ValidToUtc > @AsOfUtc);
+GO
@@ -0,0 +1,138 @@
+/*
+M3 – GoAudits question catalogue
+- GoAuditsQuestionCatalogue: one row per QuestionKey (QUESTION_ID when GoAudits sends one) with its current text and section
+- GoAuditsQuestionTextHistory: every distinct text seen for a key, with the first/last report completion dates it appeared on
+- The current text is the one seen on the most recently completed report, so replays of older reports do not flip it back
+- TextHash is SHA-256 of the UTF-16LE text (lower-case hex), matching HASHBYTES over NVARCHAR
+- Section is the GoAudits section alone, as enrichment records it; the seed strips the ' | <GroupName>' suffix
+  GoAuditsReportAnswers.Section carries for repeating groups
+*/
+
+IF OBJECT_ID('dbo.GoAuditsQuestionTextHistory', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsQuestionTextHistory
+    (
+        QuestionKey        NVARCHAR(256)    NOT NULL,
+        TextHash           CHAR(64)         NOT NULL,
+        QuestionText       NVARCHAR(1000)   NOT NULL,
+        Section            NVARCHAR(200)    NULL,
+        FirstSeenUtc       DATETIME2(0)     NOT NULL,
+        LastSeenUtc        DATETIME2(0)     NOT NULL,
+        FirstSeenReportId  NVARCHAR(100)    NULL,
+        LastSeenReportId   NVARCHAR(100)    NULL,
+        JobRunId           UNIQUEIDENTIFIER NULL,
+        CreatedUtc         DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsQuestionTextHistory_CreatedUtc DEFAULT (SYSUTCDATETIME()),
+        CONSTRAINT PK_GoAuditsQuestionTextHistory PRIMARY KEY CLUSTERED (QuestionKey, TextHash)
+    );
+END
+GO
+
+IF OBJECT_ID('dbo.GoAuditsQuestionCatalogue', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsQuestionCatalogue
+    (
+        QuestionKey        NVARCHAR(256)    NOT NULL,
+        QuestionText       NVARCHAR(1000)   NOT NULL,
+        Section            NVARCHAR(200)    NULL,
+        TextHash           CHAR(64)         NOT NULL,
+        TextVersionCount   INT              NOT NULL CONSTRAINT DF_GoAuditsQuestionCatalogue_TextVersionCount DEFAULT (1),
+        FirstSeenUtc       DATETIME2(0)     NOT NULL,
+        LastSeenUtc        DATETIME2(0)     NOT NULL,
+        LastJobRunId       UNIQUEIDENTIFIER NULL,
+        UpdatedUtc         DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsQuestionCatalogue_UpdatedUtc DEFAULT (SYSUTCDATETIME()),
+        CONSTRAINT PK_GoAuditsQuestionCatalogue PRIMARY KEY CLUSTERED (QuestionKey)
+    );
+END
+GO
+
+-- Seed text history from answers already in SQL, dated by report completion
+INSERT INTO dbo.GoAuditsQuestionTextHistory
+    (QuestionKey, TextHash, QuestionText, Section, FirstSeenUtc, LastSeenUtc, FirstSeenReportId, LastSeenReportId)
+SELECT
+    x.QuestionKey,
+    x.TextHash,
+    x.QuestionText,
+    x.Section,
+    x.FirstSeenUtc,
+    x.LastSeenUtc,
+    x.FirstSeenReportId,
+    x.GoAuditsReportId
+FROM (
+    SELECT
+        a.QuestionKey,
+        h.TextHash,
+        a.QuestionText,
+        s.Section,
+        r.GoAuditsReportId,
+        MIN(r.CompletedAtUtc) OVER (PARTITION BY a.QuestionKey, h.TextHash) AS FirstSeenUtc,
+        MAX(r.CompletedAtUtc) OVER (PARTITION BY a.QuestionKey, h.TextHash) AS LastSeenUtc,
+        FIRST_VALUE(r.GoAuditsReportId) OVER (PARTITION BY a.QuestionKey, h.TextHash ORDER BY r.CompletedAtUtc ASC) AS FirstSeenReportId,
+        ROW_NUMBER() OVER (PARTITION BY a.QuestionKey, h.TextHash ORDER BY r.CompletedAtUtc DESC) AS rn
+    FROM dbo.GoAuditsReportAnswers a
+    INNER JOIN dbo.GoAuditsReports r
+        ON r.GoAuditsReportId = a.GoAuditsReportId
+    CROSS APPLY (
+        SELECT LOWER(CONVERT(CHAR(64), HASHBYTES('SHA2_256', a.QuestionText), 2)) AS TextHash
+    ) h
+    CROSS APPLY (
+        -- Answers store '<section> | <group>' (or the group alone) for repeating groups
+        SELECT Section = CASE
+            WHEN a.GroupName IS NULL THEN a.Section
+            WHEN a.Section = a.GroupName THEN NULL
+            WHEN RIGHT(a.Section, LEN(a.GroupName) + 3) = N' | ' + a.GroupName
+                THEN LEFT(a.Section, LEN(a.Section) - LEN(a.GroupName) - 3)
+            -- Cut to 200 characters: the section is what precedes the last ' | '
+            WHEN CHARINDEX(N' | ', a.Section) > 0
+                THEN LEFT(a.Section, LEN(a.Section) - CHARINDEX(N' | ', REVERSE(a.Section)) - 2)
+            ELSE a.Section
+        END
+    ) s
+    WHERE a.QuestionText IS NOT NULL
+      AND a.QuestionText <> ''
+) x
+WHERE x.rn = 1
+  AND NOT EXISTS (
+      SELECT 1
+      FROM dbo.GoAuditsQuestionTextHistory t
+      WHERE t.QuestionKey = x.QuestionKey
+        AND t.TextHash = x.TextHash
+  );
+GO
+
+-- Seed the catalogue: latest text per key, span across all its texts
+INSERT INTO dbo.GoAuditsQuestionCatalogue
+    (QuestionKey, QuestionText, Section, TextHash, TextVersionCount, FirstSeenUtc, LastSeenUtc)
+SELECT
+    l.QuestionKey,
+    l.QuestionText,
+    l.Section,
+    l.TextHash,
+    s.TextVersionCount,
+    s.FirstSeenUtc,
+    s.LastSeenUtc
+FROM (
+    SELECT
+        t.QuestionKey,
+        t.QuestionText,
+        t.Section,
+        t.TextHash,
+        ROW_NUMBER() OVER (PARTITION BY t.QuestionKey ORDER BY t.LastSeenUtc DESC, t.TextHash) AS rn
+    FROM dbo.GoAuditsQuestionTextHistory t
+) l
+INNER JOIN (
+    SELECT
+        QuestionKey,
+        COUNT(*) AS TextVersionCount,
+        MIN(FirstSeenUtc) AS FirstSeenUtc,
+        MAX(LastSeenUtc) AS LastSeenUtc
+    FROM dbo.GoAuditsQuestionTextHistory
+    GROUP BY QuestionKey
+) s
+    ON s.QuestionKey = l.QuestionKey
+WHERE l.rn = 1
+  AND NOT EXISTS (
+      SELECT 1
+      FROM dbo.GoAuditsQuestionCatalogue c
+      WHERE c.QuestionKey = l.QuestionKey
+  );
+GO
@@ -0,0 +1,26 @@
+/*
+M3 – GoAudits enrichment failure ledger
+- One row per report whose enrichment failed, with attempt count and last error
+- NextAttemptUtc holds the report back with exponential backoff across runs; selectBatch skips it until then
+- After GOAUDITS_ENRICH_MAX_ATTEMPTS failures the report is poisoned (IsPoisoned = 1) and no longer selected
+- The row is deleted when the report is enriched successfully
+*/
+
+IF OBJECT_ID('dbo.GoAuditsEnrichmentFailures', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsEnrichmentFailures
+    (
+        GoAuditsReportId   NVARCHAR(100)    NOT NULL,
+        AttemptCount       INT              NOT NULL,
+        FirstFailedUtc     DATETIME2(0)     NOT NULL,
+        LastFailedUtc      DATETIME2(0)     NOT NULL,
+        LastError          NVARCHAR(1000)   NULL,
+        NextAttemptUtc     DATETIME2(0)     NULL,
+        IsPoisoned         BIT              NOT NULL CONSTRAINT DF_GoAuditsEnrichmentFailures_IsPoisoned DEFAULT (0),
+        PoisonedUtc        DATETIME2(0)     NULL,
+        LastJobRunId       UNIQUEIDENTIFIER NOT NULL,
+        CONSTRAINT PK_GoAuditsEnrichmentFailures PRIMARY KEY CLUSTERED (GoAuditsReportId),
+        CONSTRAINT FK_GoAuditsEnrichmentFailures_Report FOREIGN KEY (GoAuditsReportId) REFERENCES dbo.GoAuditsReports(GoAuditsReportId)
+    );
+END
+GO
@@ -0,0 +1,19 @@
+-- M3: Grant Managed Identity access for the enrichment failure ledger
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Enrichment records failures with backoff and clears them on success
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT SELECT, INSERT, UPDATE, DELETE ON dbo.GoAuditsEnrichmentFailures TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
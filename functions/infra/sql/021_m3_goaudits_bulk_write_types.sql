@@ -0,0 +1,48 @@
+/*
+M3 – Table types for set-based writes
+- Enrichment sends all answers for a report as one dbo.GoAuditsAnswerRows parameter and MERGEs them
+  into GoAuditsReportAnswers (and the history) in a single round trip
+- Scoring sends a report's findings as one dbo.GoAuditsFindingRows parameter and MERGEs them into GoAuditsFindings
+- Column order must match the table parameters built in the jobs (ANSWER_COLUMNS / FINDING_COLUMNS)
+*/
+
+IF TYPE_ID('dbo.GoAuditsAnswerRows') IS NULL
+BEGIN
+    CREATE TYPE dbo.GoAuditsAnswerRows AS TABLE
+    (
+        QuestionKey        NVARCHAR(256)    NOT NULL,
+        InstanceIndex      INT              NOT NULL,
+        GroupName          NVARCHAR(200)    NULL,
+        AnswerValue        NVARCHAR(MAX)    NULL,
+        Section            NVARCHAR(200)    NULL,
+        QuestionText       NVARCHAR(1000)   NULL,
+        AuditorComment     NVARCHAR(2000)   NULL,
+        MediaReferences    NVARCHAR(MAX)    NULL,
+        IsNotApplicable    BIT              NOT NULL,
+        AnswerType         NVARCHAR(20)     NULL,
+        AnswerNumber       FLOAT            NULL,
+        AnswerUnit         NVARCHAR(20)     NULL,
+        AnswerDate         DATETIME2(0)     NULL,
+        AnswerBoolean      BIT              NULL,
+        AnswerListJson     NVARCHAR(MAX)    NULL,
+        AnswerTruncated    BIT              NOT NULL,
+        PRIMARY KEY (QuestionKey, InstanceIndex)
+    );
+END
+GO
+
+IF TYPE_ID('dbo.GoAuditsFindingRows') IS NULL
+BEGIN
+    CREATE TYPE dbo.GoAuditsFindingRows AS TABLE
+    (
+        QuestionKey            NVARCHAR(256)    NOT NULL,
+        InstanceIndex          INT              NOT NULL,
+        AnswerValue            NVARCHAR(MAX)    NULL,
+        FindingSeverity        NVARCHAR(10)     NOT NULL,
+        FindingCode            NVARCHAR(50)     NULL,
+        MajorNonCompliantText  NVARCHAR(MAX)    NULL,
+        MinorNonCompliantText  NVARCHAR(MAX)    NULL,
+        PRIMARY KEY (QuestionKey, InstanceIndex)
+    );
+END
+GO
@@ -0,0 +1,20 @@
+-- M3: Grant Managed Identity use of the bulk write table types
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Enrichment and scoring pass answers and findings as table-valued parameters
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT EXECUTE ON TYPE::dbo.GoAuditsAnswerRows TO [' + @UserNameEscaped + N'];
+GRANT EXECUTE ON TYPE::dbo.GoAuditsFindingRows TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
@@ -0,0 +1,72 @@
+/*
+M3 – GoAudits scoring routes
+- TemplateName: the GoAudits template/checklist name from the summary feed, captured by ingestion
+- GoAuditsScoringRoutes: which ruleset/version each report was routed to by src/rules/routing.json
+  (RouteStatus = 'Unrouted' and NULL ruleset when no route matched), and which routing version decided it
+*/
+
+IF COL_LENGTH('dbo.GoAuditsReports', 'TemplateName') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsReports ADD TemplateName NVARCHAR(200) NULL;
+END
+GO
+
+-- Backfill from the latest stored summary payload (an array of summary rows)
+UPDATE r
+SET TemplateName = LEFT(t.TemplateName, 200)
+FROM dbo.GoAuditsReports r
+CROSS APPLY (
+    SELECT TOP (1)
+        COALESCE(
+            JSON_VALUE(p.PayloadJson, '$[0].Template_Name'),
+            JSON_VALUE(p.PayloadJson, '$[0].template_name'),
+            JSON_VALUE(p.PayloadJson, '$[0].TemplateName'),
+            JSON_VALUE(p.PayloadJson, '$[0].Checklist_Name'),
+            JSON_VALUE(p.PayloadJson, '$[0].checklist_name'),
+            JSON_VALUE(p.PayloadJson, '$[0].Checklist')
+        ) AS TemplateName
+    FROM dbo.GoAuditsRawPayloads p
+    WHERE p.GoAuditsReportId = r.GoAuditsReportId
+      AND p.Source = 'Summary'
+      AND ISJSON(p.PayloadJson) = 1
+    ORDER BY p.FetchedAtUtc DESC
+) t
+WHERE r.TemplateName IS NULL
+  AND t.TemplateName IS NOT NULL;
+GO
+
+IF OBJECT_ID('dbo.GoAuditsScoringRoutes', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsScoringRoutes
+    (
+        GoAuditsReportId   NVARCHAR(100)    NOT NULL,
+        RouteStatus        NVARCHAR(20)     NOT NULL, -- Routed / Unrouted
+        RouteName          NVARCHAR(100)    NULL,
+        RuleSetName        NVARCHAR(50)     NULL,
+        RuleSetVersion     NVARCHAR(20)     NULL,
+        RoutingVersion     NVARCHAR(20)     NOT NULL,
+        TemplateName       NVARCHAR(200)    NULL,
+        RoutedUtc          DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsScoringRoutes_RoutedUtc DEFAULT (SYSUTCDATETIME()),
+        JobRunId           UNIQUEIDENTIFIER NOT NULL,
+        CONSTRAINT PK_GoAuditsScoringRoutes PRIMARY KEY CLUSTERED (GoAuditsReportId),
+        CONSTRAINT FK_GoAuditsScoringRoutes_Report FOREIGN KEY (GoAuditsReportId) REFERENCES dbo.GoAuditsReports(GoAuditsReportId),
+        CONSTRAINT CK_GoAuditsScoringRoutes_Status CHECK (
+            (RouteStatus = 'Routed' AND RuleSetName IS NOT NULL AND RuleSetVersion IS NOT NULL)
+            OR (RouteStatus = 'Unrouted' AND RuleSetName IS NULL AND RuleSetVersion IS NULL)
+        )
+    );
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_GoAuditsScoringRoutes_Status_RuleSet'
+      AND object_id = OBJECT_ID('dbo.GoAuditsScoringRoutes')
+)
+BEGIN
+    CREATE INDEX IX_GoAuditsScoringRoutes_Status_RuleSet
+        ON dbo.GoAuditsScoringRoutes (RouteStatus, RuleSetName, RuleSetVersion)
+        INCLUDE (RoutingVersion, RoutedUtc);
+END
+GO
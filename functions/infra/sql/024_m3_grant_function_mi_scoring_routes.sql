@@ -0,0 +1,19 @@
+-- M3: Grant Managed Identity access for scoring routes
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Scoring records the ruleset (or Unrouted) chosen for each report
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT SELECT, INSERT, UPDATE ON dbo.GoAuditsScoringRoutes TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
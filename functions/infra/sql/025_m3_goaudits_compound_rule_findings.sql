@@ -0,0 +1,76 @@
+/*
+M3 – Findings from compound / cross-question rules (rules schema v3)
+- ContributingQuestionKeys: JSON array of the question keys whose answers made the rule fire
+  (the rule's own key plus any keys referenced by its conditions or appliesWhen)
+- dbo.GoAuditsFindingRows gains the column; the type is recreated, so run 026 afterwards to re-grant EXECUTE
+- vw_GoAuditsFindingsDetail exposes it
+*/
+
+IF COL_LENGTH('dbo.GoAuditsFindings', 'ContributingQuestionKeys') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ADD ContributingQuestionKeys NVARCHAR(1000) NULL
+        CONSTRAINT CK_GoAuditsFindings_ContributingQuestionKeys CHECK (ContributingQuestionKeys IS NULL OR ISJSON(ContributingQuestionKeys) = 1);
+END
+GO
+
+IF TYPE_ID('dbo.GoAuditsFindingRows') IS NOT NULL
+   AND NOT EXISTS (
+       SELECT 1
+       FROM sys.table_types tt
+       INNER JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+       WHERE tt.user_type_id = TYPE_ID('dbo.GoAuditsFindingRows')
+         AND c.name = 'ContributingQuestionKeys'
+   )
+BEGIN
+    DROP TYPE dbo.GoAuditsFindingRows;
+END
+GO
+
+IF TYPE_ID('dbo.GoAuditsFindingRows') IS NULL
+BEGIN
+    CREATE TYPE dbo.GoAuditsFindingRows AS TABLE
+    (
+        QuestionKey              NVARCHAR(256)    NOT NULL,
+        InstanceIndex            INT              NOT NULL,
+        AnswerValue              NVARCHAR(MAX)    NULL,
+        FindingSeverity          NVARCHAR(10)     NOT NULL,
+        FindingCode              NVARCHAR(50)     NULL,
+        MajorNonCompliantText    NVARCHAR(MAX)    NULL,
+        MinorNonCompliantText    NVARCHAR(MAX)    NULL,
+        ContributingQuestionKeys NVARCHAR(1000)   NULL,
+        PRIMARY KEY (QuestionKey, InstanceIndex)
+    );
+END
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsFindingsDetail
+AS
+SELECT
+    f.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    f.RuleSetName,
+    f.RuleSetVersion,
+    f.QuestionKey,
+    a.Section,
+    a.QuestionText,
+    f.AnswerValue,
+    f.FindingSeverity,
+    f.FindingCode,
+    f.CreatedUtc,
+    f.JobRunId AS ScoringJobRunId,
+    f.InstanceIndex,
+    a.GroupName,
+    a.AuditorComment,
+    a.MediaReferences,
+    a.IsNotApplicable,
+    f.ContributingQuestionKeys
+FROM dbo.GoAuditsFindings f
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = f.GoAuditsReportId
+LEFT JOIN dbo.GoAuditsReportAnswers a
+    ON a.GoAuditsReportId = f.GoAuditsReportId
+   AND a.QuestionKey = f.QuestionKey
+   AND a.InstanceIndex = f.InstanceIndex;
+
+GO
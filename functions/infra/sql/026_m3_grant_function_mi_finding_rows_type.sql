@@ -0,0 +1,19 @@
+-- M3: Re-grant Managed Identity use of the findings table type (recreated by 025)
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Scoring passes findings (now with contributing question keys) as a table-valued parameter
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT EXECUTE ON TYPE::dbo.GoAuditsFindingRows TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
@@ -0,0 +1,117 @@
+/*
+M3 – Findings keyed by rule
+- RuleId: the rule's stable id (rules schema v3); rules from older files use their question key,
+  which existing rows are backfilled with
+- A rule listing several template variants (questionKeysAny) writes one finding per report and instance,
+  whichever variant was answered; QuestionKey records the variant
+- PK becomes (GoAuditsReportId, RuleSetName, RuleSetVersion, RuleId, InstanceIndex)
+- dbo.GoAuditsFindingRows gains RuleId and is keyed on it; the type is recreated, so run 028 afterwards to re-grant EXECUTE
+- vw_GoAuditsFindingsDetail exposes RuleId
+*/
+
+IF COL_LENGTH('dbo.GoAuditsFindings', 'RuleId') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ADD RuleId NVARCHAR(256) NULL;
+END
+GO
+
+UPDATE dbo.GoAuditsFindings
+SET RuleId = QuestionKey
+WHERE RuleId IS NULL;
+GO
+
+IF EXISTS (
+    SELECT 1
+    FROM sys.columns
+    WHERE object_id = OBJECT_ID('dbo.GoAuditsFindings')
+      AND name = 'RuleId'
+      AND is_nullable = 1
+)
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ALTER COLUMN RuleId NVARCHAR(256) NOT NULL;
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.key_constraints kc
+    INNER JOIN sys.index_columns ic
+        ON ic.object_id = kc.parent_object_id
+       AND ic.index_id = kc.unique_index_id
+    INNER JOIN sys.columns c
+        ON c.object_id = ic.object_id
+       AND c.column_id = ic.column_id
+    WHERE kc.parent_object_id = OBJECT_ID('dbo.GoAuditsFindings')
+      AND kc.type = 'PK'
+      AND c.name = 'RuleId'
+)
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings DROP CONSTRAINT PK_GoAuditsFindings;
+    ALTER TABLE dbo.GoAuditsFindings
+        ADD CONSTRAINT PK_GoAuditsFindings PRIMARY KEY CLUSTERED (GoAuditsReportId, RuleSetName, RuleSetVersion, RuleId, InstanceIndex);
+END
+GO
+
+IF TYPE_ID('dbo.GoAuditsFindingRows') IS NOT NULL
+   AND NOT EXISTS (
+       SELECT 1
+       FROM sys.table_types tt
+       INNER JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+       WHERE tt.user_type_id = TYPE_ID('dbo.GoAuditsFindingRows')
+         AND c.name = 'RuleId'
+   )
+BEGIN
+    DROP TYPE dbo.GoAuditsFindingRows;
+END
+GO
+
+IF TYPE_ID('dbo.GoAuditsFindingRows') IS NULL
+BEGIN
+    CREATE TYPE dbo.GoAuditsFindingRows AS TABLE
+    (
+        RuleId                   NVARCHAR(256)    NOT NULL,
+        QuestionKey              NVARCHAR(256)    NOT NULL,
+        InstanceIndex            INT              NOT NULL,
+        AnswerValue              NVARCHAR(MAX)    NULL,
+        FindingSeverity          NVARCHAR(10)     NOT NULL,
+        FindingCode              NVARCHAR(50)     NULL,
+        MajorNonCompliantText    NVARCHAR(MAX)    NULL,
+        MinorNonCompliantText    NVARCHAR(MAX)    NULL,
+        ContributingQuestionKeys NVARCHAR(1000)   NULL,
+        PRIMARY KEY (RuleId, InstanceIndex)
+    );
+END
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsFindingsDetail
+AS
+SELECT
+    f.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    f.RuleSetName,
+    f.RuleSetVersion,
+    f.QuestionKey,
+    a.Section,
+    a.QuestionText,
+    f.AnswerValue,
+    f.FindingSeverity,
+    f.FindingCode,
+    f.CreatedUtc,
+    f.JobRunId AS ScoringJobRunId,
+    f.InstanceIndex,
+    a.GroupName,
+    a.AuditorComment,
+    a.MediaReferences,
+    a.IsNotApplicable,
+    f.ContributingQuestionKeys,
+    f.RuleId
+FROM dbo.GoAuditsFindings f
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = f.GoAuditsReportId
+LEFT JOIN dbo.GoAuditsReportAnswers a
+    ON a.GoAuditsReportId = f.GoAuditsReportId
+   AND a.QuestionKey = f.QuestionKey
+   AND a.InstanceIndex = f.InstanceIndex;
+
+GO
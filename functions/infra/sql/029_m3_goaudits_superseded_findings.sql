@@ -0,0 +1,145 @@
+/*
+M3 – Superseded findings
+- Scoring a report replaces its whole finding set for that ruleset/version: findings the new run no longer raises
+  are kept but marked superseded (SupersededUtc, SupersededByJobRunId) instead of staying live
+- A superseded finding raised again by a later run is un-superseded and takes the new values
+- vw_GoAuditsFindingsDetail and vw_GoAuditsAssessmentScoreFinal only show live findings
+- Run 030 afterwards: scoring now updates dbo.GoAuditsFindings
+*/
+
+IF COL_LENGTH('dbo.GoAuditsFindings', 'SupersededUtc') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ADD SupersededUtc DATETIME2(0) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.GoAuditsFindings', 'SupersededByJobRunId') IS NULL
+BEGIN
+    ALTER TABLE dbo.GoAuditsFindings ADD SupersededByJobRunId UNIQUEIDENTIFIER NULL;
+END
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsFindingsDetail
+AS
+SELECT
+    f.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    f.RuleSetName,
+    f.RuleSetVersion,
+    f.QuestionKey,
+    a.Section,
+    a.QuestionText,
+    f.AnswerValue,
+    f.FindingSeverity,
+    f.FindingCode,
+    f.CreatedUtc,
+    f.JobRunId AS ScoringJobRunId,
+    f.InstanceIndex,
+    a.GroupName,
+    a.AuditorComment,
+    a.MediaReferences,
+    a.IsNotApplicable,
+    f.ContributingQuestionKeys,
+    f.RuleId
+FROM dbo.GoAuditsFindings f
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = f.GoAuditsReportId
+LEFT JOIN dbo.GoAuditsReportAnswers a
+    ON a.GoAuditsReportId = f.GoAuditsReportId
+   AND a.QuestionKey = f.QuestionKey
+   AND a.InstanceIndex = f.InstanceIndex
+WHERE f.SupersededUtc IS NULL;
+
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsAssessmentScoreFinal
+AS
+WITH RankedScores AS (
+    SELECT
+        s.GoAuditsReportId,
+        s.RuleSetName,
+        s.RuleSetVersion,
+        s.ScoreValue,
+        s.Outcome,
+        s.ScoredAtUtc,
+        r.CompletedAtUtc,
+        r.CertificationNumber,
+        TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) AS RuleSetVersionNumber,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.GoAuditsReportId, s.RuleSetName
+            ORDER BY
+                TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) DESC,
+                s.ScoredAtUtc DESC
+        ) AS rn
+    FROM dbo.GoAuditsScores s
+    INNER JOIN dbo.GoAuditsReports r
+        ON r.GoAuditsReportId = s.GoAuditsReportId
+),
+LatestScores AS (
+    SELECT *
+    FROM RankedScores
+    WHERE rn = 1
+),
+WorstFinding AS (
+    SELECT
+        f.GoAuditsReportId,
+        f.RuleSetName,
+        f.RuleSetVersion,
+        f.QuestionKey,
+        f.InstanceIndex,
+        f.FindingCode,
+        f.FindingSeverity,
+        a.QuestionText,
+        ROW_NUMBER() OVER (
+            PARTITION BY f.GoAuditsReportId, f.RuleSetName, f.RuleSetVersion
+            ORDER BY
+                CASE f.FindingSeverity WHEN 'Major' THEN 1 WHEN 'Minor' THEN 2 ELSE 3 END,
+                f.CreatedUtc DESC,
+                f.QuestionKey,
+                f.InstanceIndex
+        ) AS rn
+    FROM dbo.GoAuditsFindings f
+    LEFT JOIN dbo.GoAuditsReportAnswers a
+        ON a.GoAuditsReportId = f.GoAuditsReportId
+       AND a.QuestionKey = f.QuestionKey
+       AND a.InstanceIndex = f.InstanceIndex
+    WHERE f.SupersededUtc IS NULL
+)
+SELECT
+    l.GoAuditsReportId,
+    AssessmentId = l.GoAuditsReportId,
+    Address = addr.Address,
+    [Date of Assessment] = CAST(l.CompletedAtUtc AS DATE),
+    [Type] = COALESCE(typ.AssessmentType, l.RuleSetName),
+    [Certificate number] = l.CertificationNumber,
+    Score = l.ScoreValue,
+    WorstBucket = COALESCE(wf.FindingSeverity, l.Outcome),
+    WorstQuestionKey = wf.QuestionKey,
+    WorstFindingCode = wf.FindingCode,
+    WorstQuestionText = wf.QuestionText,
+    l.RuleSetName,
+    l.RuleSetVersion,
+    WorstInstanceIndex = wf.InstanceIndex
+FROM LatestScores l
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS Address
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%address%' OR a.QuestionKey LIKE '%address%')
+    ORDER BY a.InstanceIndex
+) addr
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS AssessmentType
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%type%' OR a.QuestionKey LIKE '%type%')
+    ORDER BY a.InstanceIndex
+) typ
+LEFT JOIN WorstFinding wf
+    ON wf.GoAuditsReportId = l.GoAuditsReportId
+   AND wf.RuleSetName = l.RuleSetName
+   AND wf.RuleSetVersion = l.RuleSetVersion
+   AND wf.rn = 1;
+
+GO
@@ -0,0 +1,145 @@
+/*
+M3 – Effective-dated ruleset versions
+- GoAuditsRuleSetVersions: the effective window of each ruleset version whose rules file declares effectiveFrom
+  and/or effectiveTo (UTC, from inclusive, to exclusive; NULL = open). The scoring job mirrors src/rules into it
+  at start-up; versions without dates have no row
+- Scoring with GOAUDITS_RULESET_VERSION=effective (or a route on version "effective") scores each report with the
+  version in force at its CompletedAtUtc
+- vw_GoAuditsAssessmentScoreFinal keeps the latest-rules score (highest vN) and adds the official score: the
+  version in force at CompletedAtUtc, or the latest version when the ruleset has no effective-dated versions.
+  Official columns are NULL while that version has not scored the report
+- Run 032 afterwards to grant the scoring identity access to the table
+*/
+
+IF OBJECT_ID('dbo.GoAuditsRuleSetVersions', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsRuleSetVersions
+    (
+        RuleSetName        NVARCHAR(50)     NOT NULL,
+        RuleSetVersion     NVARCHAR(20)     NOT NULL,
+        EffectiveFromUtc   DATETIME2(0)     NULL,
+        EffectiveToUtc     DATETIME2(0)     NULL,
+        RegisteredUtc      DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsRuleSetVersions_RegisteredUtc DEFAULT (SYSUTCDATETIME()),
+        UpdatedUtc         DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsRuleSetVersions_UpdatedUtc DEFAULT (SYSUTCDATETIME()),
+        JobRunId           UNIQUEIDENTIFIER NOT NULL,
+        CONSTRAINT PK_GoAuditsRuleSetVersions PRIMARY KEY CLUSTERED (RuleSetName, RuleSetVersion),
+        CONSTRAINT CK_GoAuditsRuleSetVersions_Window CHECK (
+            EffectiveFromUtc IS NULL OR EffectiveToUtc IS NULL OR EffectiveFromUtc < EffectiveToUtc
+        )
+    );
+END
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsAssessmentScoreFinal
+AS
+WITH RankedScores AS (
+    SELECT
+        s.GoAuditsReportId,
+        s.RuleSetName,
+        s.RuleSetVersion,
+        s.ScoreValue,
+        s.Outcome,
+        s.ScoredAtUtc,
+        r.CompletedAtUtc,
+        r.CertificationNumber,
+        TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) AS RuleSetVersionNumber,
+        ROW_NUMBER() OVER (
+            PARTITION BY s.GoAuditsReportId, s.RuleSetName
+            ORDER BY
+                TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) DESC,
+                s.ScoredAtUtc DESC
+        ) AS rn
+    FROM dbo.GoAuditsScores s
+    INNER JOIN dbo.GoAuditsReports r
+        ON r.GoAuditsReportId = s.GoAuditsReportId
+),
+LatestScores AS (
+    SELECT *
+    FROM RankedScores
+    WHERE rn = 1
+),
+WorstFinding AS (
+    SELECT
+        f.GoAuditsReportId,
+        f.RuleSetName,
+        f.RuleSetVersion,
+        f.QuestionKey,
+        f.InstanceIndex,
+        f.FindingCode,
+        f.FindingSeverity,
+        a.QuestionText,
+        ROW_NUMBER() OVER (
+            PARTITION BY f.GoAuditsReportId, f.RuleSetName, f.RuleSetVersion
+            ORDER BY
+                CASE f.FindingSeverity WHEN 'Major' THEN 1 WHEN 'Minor' THEN 2 ELSE 3 END,
+                f.CreatedUtc DESC,
+                f.QuestionKey,
+                f.InstanceIndex
+        ) AS rn
+    FROM dbo.GoAuditsFindings f
+    LEFT JOIN dbo.GoAuditsReportAnswers a
+        ON a.GoAuditsReportId = f.GoAuditsReportId
+       AND a.QuestionKey = f.QuestionKey
+       AND a.InstanceIndex = f.InstanceIndex
+    WHERE f.SupersededUtc IS NULL
+)
+SELECT
+    l.GoAuditsReportId,
+    AssessmentId = l.GoAuditsReportId,
+    Address = addr.Address,
+    [Date of Assessment] = CAST(l.CompletedAtUtc AS DATE),
+    [Type] = COALESCE(typ.AssessmentType, l.RuleSetName),
+    [Certificate number] = l.CertificationNumber,
+    Score = l.ScoreValue,
+    WorstBucket = COALESCE(wf.FindingSeverity, l.Outcome),
+    WorstQuestionKey = wf.QuestionKey,
+    WorstFindingCode = wf.FindingCode,
+    WorstQuestionText = wf.QuestionText,
+    l.RuleSetName,
+    l.RuleSetVersion,
+    WorstInstanceIndex = wf.InstanceIndex,
+    OfficialRuleSetVersion = COALESCE(ev.RuleSetVersion, l.RuleSetVersion),
+    OfficialScore = os.ScoreValue,
+    OfficialOutcome = os.Outcome,
+    OfficialWorstBucket = COALESCE(owf.FindingSeverity, os.Outcome),
+    OfficialWorstFindingCode = owf.FindingCode,
+    OfficialScoredAtUtc = os.ScoredAtUtc
+FROM LatestScores l
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS Address
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%address%' OR a.QuestionKey LIKE '%address%')
+    ORDER BY a.InstanceIndex
+) addr
+OUTER APPLY (
+    SELECT TOP (1) AnswerValue AS AssessmentType
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId = l.GoAuditsReportId
+      AND (a.QuestionText LIKE '%type%' OR a.QuestionKey LIKE '%type%')
+    ORDER BY a.InstanceIndex
+) typ
+LEFT JOIN WorstFinding wf
+    ON wf.GoAuditsReportId = l.GoAuditsReportId
+   AND wf.RuleSetName = l.RuleSetName
+   AND wf.RuleSetVersion = l.RuleSetVersion
+   AND wf.rn = 1
+OUTER APPLY (
+    SELECT TOP (1) v.RuleSetVersion
+    FROM dbo.GoAuditsRuleSetVersions v
+    WHERE v.RuleSetName = l.RuleSetName
+      AND (v.EffectiveFromUtc IS NULL OR l.CompletedAtUtc >= v.EffectiveFromUtc)
+      AND (v.EffectiveToUtc IS NULL OR l.CompletedAtUtc < v.EffectiveToUtc)
+    ORDER BY v.EffectiveFromUtc
+) ev
+LEFT JOIN dbo.GoAuditsScores os
+    ON os.GoAuditsReportId = l.GoAuditsReportId
+   AND os.RuleSetName = l.RuleSetName
+   AND os.RuleSetVersion = COALESCE(ev.RuleSetVersion, l.RuleSetVersion)
+LEFT JOIN WorstFinding owf
+    ON owf.GoAuditsReportId = os.GoAuditsReportId
+   AND owf.RuleSetName = os.RuleSetName
+   AND owf.RuleSetVersion = os.RuleSetVersion
+   AND owf.rn = 1;
+
+GO
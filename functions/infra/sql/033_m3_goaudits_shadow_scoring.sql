@@ -0,0 +1,230 @@
+/*
+M3 – Shadow scoring
+- GoAuditsShadowScores / GoAuditsShadowFindings: same shape as GoAuditsScores / GoAuditsFindings, written by the
+  scoring job with GOAUDITS_SCORE_MODE=shadow for a candidate ruleset version. Nothing reads them for the tracker
+  (vw_GoAuditsAssessmentScoreFinal and vw_GoAuditsFindingsDetail stay on the production tables)
+- Shadow runs keep their own ledger in dbo.ProcessedItems (JobName 'GoAuditsScoringShadow')
+- vw_GoAuditsShadowDisagreements: one row per shadow score whose outcome, major count or worst finding differs
+  from the report's latest production score for the ruleset (highest vN other than the candidate)
+  - Worst finding on both sides: Major before Minor, then QuestionKey, then InstanceIndex, so both sides rank the same way
+  - ProductionOnlyRules / CandidateOnlyRules: live findings raised by one side only (matched on question key,
+    instance and severity), as RuleId with #<instance> for instances after the first
+- Run 034 afterwards to grant the scoring identity access to the tables
+*/
+
+-- 1) GoAuditsShadowScores
+IF OBJECT_ID('dbo.GoAuditsShadowScores', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsShadowScores
+    (
+        GoAuditsReportId   NVARCHAR(100) NOT NULL,
+        RuleSetName        NVARCHAR(50)  NOT NULL,
+        RuleSetVersion     NVARCHAR(20)  NOT NULL,
+        MajorCount         INT NOT NULL CONSTRAINT DF_GoAuditsShadowScores_MajorCount DEFAULT (0),
+        MinorCount         INT NOT NULL CONSTRAINT DF_GoAuditsShadowScores_MinorCount DEFAULT (0),
+        ScoreValue         NVARCHAR(50)  NULL,
+        Outcome            NVARCHAR(20)  NOT NULL,
+        JobRunId           UNIQUEIDENTIFIER NOT NULL,
+        ScoredAtUtc        DATETIME2(3) NOT NULL CONSTRAINT DF_GoAuditsShadowScores_ScoredAtUtc DEFAULT (SYSUTCDATETIME()),
+        CONSTRAINT PK_GoAuditsShadowScores PRIMARY KEY CLUSTERED (GoAuditsReportId, RuleSetName, RuleSetVersion),
+        CONSTRAINT FK_GoAuditsShadowScores_Report FOREIGN KEY (GoAuditsReportId) REFERENCES dbo.GoAuditsReports(GoAuditsReportId)
+    );
+END
+GO
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'IX_GoAuditsShadowScores_RuleSet_Outcome'
+      AND object_id = OBJECT_ID('dbo.GoAuditsShadowScores')
+)
+BEGIN
+    CREATE INDEX IX_GoAuditsShadowScores_RuleSet_Outcome
+        ON dbo.GoAuditsShadowScores (RuleSetName, RuleSetVersion, Outcome)
+        INCLUDE (MajorCount, MinorCount, ScoreValue);
+END
+GO
+
+-- 2) GoAuditsShadowFindings
+IF OBJECT_ID('dbo.GoAuditsShadowFindings', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.GoAuditsShadowFindings
+    (
+        GoAuditsReportId         NVARCHAR(100)    NOT NULL,
+        RuleSetName              NVARCHAR(50)     NOT NULL,
+        RuleSetVersion           NVARCHAR(20)     NOT NULL,
+        RuleId                   NVARCHAR(256)    NOT NULL,
+        QuestionKey              NVARCHAR(256)    NOT NULL,
+        InstanceIndex            INT              NOT NULL CONSTRAINT DF_GoAuditsShadowFindings_InstanceIndex DEFAULT (0),
+        AnswerValue              NVARCHAR(MAX)    NULL,
+        FindingSeverity          NVARCHAR(10)     NOT NULL, -- Major / Minor
+        FindingCode              NVARCHAR(50)     NULL,
+        MajorNonCompliantText    NVARCHAR(MAX)    NULL,
+        MinorNonCompliantText    NVARCHAR(MAX)    NULL,
+        ContributingQuestionKeys NVARCHAR(1000)   NULL,
+        JobRunId                 UNIQUEIDENTIFIER NOT NULL,
+        CreatedUtc               DATETIME2(3)     NOT NULL CONSTRAINT DF_GoAuditsShadowFindings_CreatedUtc DEFAULT (SYSUTCDATETIME()),
+        SupersededUtc            DATETIME2(0)     NULL,
+        SupersededByJobRunId     UNIQUEIDENTIFIER NULL,
+        CONSTRAINT PK_GoAuditsShadowFindings PRIMARY KEY CLUSTERED (GoAuditsReportId, RuleSetName, RuleSetVersion, RuleId, InstanceIndex),
+        CONSTRAINT FK_GoAuditsShadowFindings_Report FOREIGN KEY (GoAuditsReportId) REFERENCES dbo.GoAuditsReports(GoAuditsReportId),
+        CONSTRAINT CK_GoAuditsShadowFindings_Severity CHECK (FindingSeverity IN ('Major','Minor')),
+        CONSTRAINT CK_GoAuditsShadowFindings_ContributingQuestionKeys CHECK (ContributingQuestionKeys IS NULL OR ISJSON(ContributingQuestionKeys) = 1)
+    );
+END
+GO
+
+CREATE OR ALTER VIEW dbo.vw_GoAuditsShadowDisagreements
+AS
+WITH Compared AS (
+    SELECT
+        c.GoAuditsReportId,
+        c.RuleSetName,
+        ProductionRuleSetVersion = p.RuleSetVersion,
+        CandidateRuleSetVersion = c.RuleSetVersion,
+        ProductionOutcome = p.Outcome,
+        CandidateOutcome = c.Outcome,
+        ProductionMajorCount = p.MajorCount,
+        CandidateMajorCount = c.MajorCount,
+        ProductionMinorCount = p.MinorCount,
+        CandidateMinorCount = c.MinorCount,
+        ProductionScore = p.ScoreValue,
+        CandidateScore = c.ScoreValue,
+        c.ScoredAtUtc AS CandidateScoredAtUtc
+    FROM dbo.GoAuditsShadowScores c
+    CROSS APPLY (
+        SELECT TOP (1) s.RuleSetVersion, s.Outcome, s.MajorCount, s.MinorCount, s.ScoreValue
+        FROM dbo.GoAuditsScores s
+        WHERE s.GoAuditsReportId = c.GoAuditsReportId
+          AND s.RuleSetName = c.RuleSetName
+          AND s.RuleSetVersion <> c.RuleSetVersion
+        ORDER BY
+            TRY_CONVERT(INT, CASE WHEN s.RuleSetVersion LIKE '[vV]%' THEN SUBSTRING(s.RuleSetVersion, 2, 10) ELSE s.RuleSetVersion END) DESC,
+            s.ScoredAtUtc DESC
+    ) p
+),
+WithWorst AS (
+    SELECT
+        x.*,
+        ProductionWorstBucket = pw.FindingSeverity,
+        ProductionWorstQuestionKey = pw.QuestionKey,
+        ProductionWorstRuleId = pw.RuleId,
+        ProductionWorstInstanceIndex = pw.InstanceIndex,
+        CandidateWorstBucket = cw.FindingSeverity,
+        CandidateWorstQuestionKey = cw.QuestionKey,
+        CandidateWorstRuleId = cw.RuleId,
+        CandidateWorstInstanceIndex = cw.InstanceIndex
+    FROM Compared x
+    OUTER APPLY (
+        SELECT TOP (1) f.FindingSeverity, f.QuestionKey, f.RuleId, f.InstanceIndex
+        FROM dbo.GoAuditsFindings f
+        WHERE f.GoAuditsReportId = x.GoAuditsReportId
+          AND f.RuleSetName = x.RuleSetName
+          AND f.RuleSetVersion = x.ProductionRuleSetVersion
+          AND f.SupersededUtc IS NULL
+        ORDER BY CASE f.FindingSeverity WHEN 'Major' THEN 1 WHEN 'Minor' THEN 2 ELSE 3 END, f.QuestionKey, f.InstanceIndex
+    ) pw
+    OUTER APPLY (
+        SELECT TOP (1) f.FindingSeverity, f.QuestionKey, f.RuleId, f.InstanceIndex
+        FROM dbo.GoAuditsShadowFindings f
+        WHERE f.GoAuditsReportId = x.GoAuditsReportId
+          AND f.RuleSetName = x.RuleSetName
+          AND f.RuleSetVersion = x.CandidateRuleSetVersion
+          AND f.SupersededUtc IS NULL
+        ORDER BY CASE f.FindingSeverity WHEN 'Major' THEN 1 WHEN 'Minor' THEN 2 ELSE 3 END, f.QuestionKey, f.InstanceIndex
+    ) cw
+),
+Flagged AS (
+    SELECT
+        w.*,
+        OutcomeChanged = CASE WHEN w.ProductionOutcome <> w.CandidateOutcome THEN 1 ELSE 0 END,
+        MajorCountChanged = CASE WHEN w.ProductionMajorCount <> w.CandidateMajorCount THEN 1 ELSE 0 END,
+        WorstFindingChanged = CASE
+            WHEN EXISTS (
+                SELECT w.ProductionWorstBucket, w.ProductionWorstQuestionKey, w.ProductionWorstInstanceIndex
+                EXCEPT
+                SELECT w.CandidateWorstBucket, w.CandidateWorstQuestionKey, w.CandidateWorstInstanceIndex
+            ) THEN 1
+            ELSE 0
+        END
+    FROM WithWorst w
+)
+SELECT
+    d.GoAuditsReportId,
+    r.CompletedAtUtc,
+    r.CertificationNumber,
+    d.RuleSetName,
+    d.ProductionRuleSetVersion,
+    d.CandidateRuleSetVersion,
+    d.OutcomeChanged,
+    d.MajorCountChanged,
+    d.WorstFindingChanged,
+    d.ProductionOutcome,
+    d.CandidateOutcome,
+    d.ProductionMajorCount,
+    d.CandidateMajorCount,
+    d.ProductionMinorCount,
+    d.CandidateMinorCount,
+    d.ProductionScore,
+    d.CandidateScore,
+    d.ProductionWorstBucket,
+    d.CandidateWorstBucket,
+    d.ProductionWorstQuestionKey,
+    d.CandidateWorstQuestionKey,
+    d.ProductionWorstRuleId,
+    d.CandidateWorstRuleId,
+    ProductionOnlyRules = po.Rules,
+    CandidateOnlyRules = co.Rules,
+    d.CandidateScoredAtUtc
+FROM Flagged d
+INNER JOIN dbo.GoAuditsReports r
+    ON r.GoAuditsReportId = d.GoAuditsReportId
+OUTER APPLY (
+    SELECT STRING_AGG(
+        CASE WHEN f.InstanceIndex > 0 THEN f.RuleId + '#' + CAST(f.InstanceIndex AS NVARCHAR(10)) ELSE f.RuleId END,
+        ', '
+    ) WITHIN GROUP (ORDER BY f.RuleId, f.InstanceIndex) AS Rules
+    FROM dbo.GoAuditsFindings f
+    WHERE f.GoAuditsReportId = d.GoAuditsReportId
+      AND f.RuleSetName = d.RuleSetName
+      AND f.RuleSetVersion = d.ProductionRuleSetVersion
+      AND f.SupersededUtc IS NULL
+      AND NOT EXISTS (
+          SELECT 1
+          FROM dbo.GoAuditsShadowFindings c
+          WHERE c.GoAuditsReportId = f.GoAuditsReportId
+            AND c.RuleSetName = f.RuleSetName
+            AND c.RuleSetVersion = d.CandidateRuleSetVersion
+            AND c.SupersededUtc IS NULL
+            AND c.QuestionKey = f.QuestionKey
+            AND c.InstanceIndex = f.InstanceIndex
+            AND c.FindingSeverity = f.FindingSeverity
+      )
+) po
+OUTER APPLY (
+    SELECT STRING_AGG(
+        CASE WHEN c.InstanceIndex > 0 THEN c.RuleId + '#' + CAST(c.InstanceIndex AS NVARCHAR(10)) ELSE c.RuleId END,
+        ', '
+    ) WITHIN GROUP (ORDER BY c.RuleId, c.InstanceIndex) AS Rules
+    FROM dbo.GoAuditsShadowFindings c
+    WHERE c.GoAuditsReportId = d.GoAuditsReportId
+      AND c.RuleSetName = d.RuleSetName
+      AND c.RuleSetVersion = d.CandidateRuleSetVersion
+      AND c.SupersededUtc IS NULL
+      AND NOT EXISTS (
+          SELECT 1
+          FROM dbo.GoAuditsFindings f
+          WHERE f.GoAuditsReportId = c.GoAuditsReportId
+            AND f.RuleSetName = c.RuleSetName
+            AND f.RuleSetVersion = d.ProductionRuleSetVersion
+            AND f.SupersededUtc IS NULL
+            AND f.QuestionKey = c.QuestionKey
+            AND f.InstanceIndex = c.InstanceIndex
+            AND f.FindingSeverity = c.FindingSeverity
+      )
+) co
+WHERE d.OutcomeChanged = 1
+   OR d.MajorCountChanged = 1
+   OR d.WorstFindingChanged = 1;
+
+GO
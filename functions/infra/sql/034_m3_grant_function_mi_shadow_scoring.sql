@@ -0,0 +1,20 @@
+-- M3: Grant Managed Identity access to shadow scoring tables (033)
+DECLARE @ManagedIdentityName SYSNAME = N'id-mcs-scheduled-workers-aca-prod-uks';
+DECLARE @UserName SYSNAME = @ManagedIdentityName;
+DECLARE @UserNameEscaped NVARCHAR(300) = REPLACE(@UserName, ']', ']]'); -- escape bracket if present
+
+-- Create the user from external provider (Entra / Managed Identity)
+IF NOT EXISTS (SELECT 1 FROM sys.database_principals WHERE name = @UserName)
+BEGIN
+    DECLARE @sql NVARCHAR(MAX) = N'CREATE USER [' + @UserNameEscaped + N'] FROM EXTERNAL PROVIDER;';
+    EXEC (@sql);
+END
+
+-- Shadow scoring writes candidate scores and findings the same way as production
+DECLARE @grantSql NVARCHAR(MAX) =
+N'
+GRANT SELECT, INSERT, UPDATE ON dbo.GoAuditsShadowScores TO [' + @UserNameEscaped + N'];
+GRANT SELECT, INSERT, UPDATE ON dbo.GoAuditsShadowFindings TO [' + @UserNameEscaped + N'];
+';
+
+EXEC (@grantSql);
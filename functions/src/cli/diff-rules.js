@@ -0,0 +1,338 @@
+// Prints a semantic diff of two rules versions: rules added, removed,
+// disabled or re-enabled, changed conditions, severities and finding text,
+// ignored question keys, outcome rules and other ruleset settings. Both files
+// are loaded and validated the way the scoring job loads them.
+//
+//   npm run diff-rules -- HeatPump v3 v4
+//   npm run diff-rules -- HeatPump v3 v4 --json
+//   node src/cli/diff-rules.js old/heatpump.v3.json src/rules/heatpump.v3.json
+//
+// Rules are matched by ruleId (the question key in files without ruleIds).
+// A rule left unmatched is then paired with one sharing a question key, so a
+// rule that gained a ruleId or merged template variants shows as changed.
+const path = require('path');
+const { loadRules, validateRulesFile, ruleIdOf, ruleQuestionKeys } = require('../shared/goaudits-rules');
+
+// Finding fields compared per rule, besides severity.
+const FINDING_TEXT_FIELDS = ['code', 'message', 'majorNonCompliantText', 'minorNonCompliantText'];
+// Top-level settings compared as a whole.
+const SETTINGS = ['schemaVersion', 'effectiveFrom', 'effectiveTo', 'answerNormalization', 'scoring.scoreValue'];
+
+function parseArgs(argv) {
+  const options = { json: false, args: [] };
+  for (const arg of argv) {
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unexpected argument ${arg}.`);
+    } else {
+      options.args.push(arg);
+    }
+  }
+  const { args } = options;
+  const filesGiven = args.length === 2 && args.every((arg) => arg.endsWith('.json'));
+  if (!filesGiven && args.length !== 3) {
+    throw new Error(
+      'Usage: diff-rules <ruleset> <fromVersion> <toVersion> [--json] | diff-rules <from.json> <to.json> [--json]'
+    );
+  }
+  return options;
+}
+
+function loadFile(filePath) {
+  const { rulesDoc, errors } = validateRulesFile(path.resolve(filePath));
+  if (errors.length > 0) {
+    throw new Error(`${path.basename(filePath)}: ${errors.join(' ')}`);
+  }
+  return rulesDoc;
+}
+
+function getField(object, dottedName) {
+  return dottedName.split('.').reduce((value, name) => (value == null ? undefined : value[name]), object);
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describeCondition(condition) {
+  if (!condition) {
+    return '(none)';
+  }
+  if (condition.all) {
+    return `all(${condition.all.map(describeCondition).join('; ')})`;
+  }
+  if (condition.any) {
+    return `any(${condition.any.map(describeCondition).join('; ')})`;
+  }
+  if (condition.not) {
+    return `not(${describeCondition(condition.not)})`;
+  }
+
+  const unit = condition.unit ? ` ${condition.unit}` : '';
+  let text;
+  switch (condition.op) {
+    case 'missing':
+    case 'notMissing':
+      text = condition.op;
+      break;
+    case 'in':
+    case 'notIn':
+      text = `${condition.op} [${(condition.values || []).map((value) => JSON.stringify(value)).join(', ')}]`;
+      break;
+    case 'regex':
+      text = `regex /${condition.pattern}/`;
+      break;
+    case 'between':
+      text = `between ${condition.min}..${condition.max}${unit}`;
+      break;
+    case 'lt':
+    case 'lte':
+    case 'gt':
+    case 'gte':
+      text = `${condition.op} ${condition.value}${unit}`;
+      break;
+    default:
+      text = `${condition.op} ${JSON.stringify(condition.value)}`;
+  }
+  return condition.questionKey ? `[${condition.questionKey}] ${text}` : text;
+}
+
+// Before/after text for a condition; falls back to JSON when only options the
+// description leaves out (trim, caseInsensitive) differ.
+function conditionChange(field, before, after) {
+  let from = describeCondition(before);
+  let to = describeCondition(after);
+  if (from === to) {
+    from = JSON.stringify(before);
+    to = JSON.stringify(after);
+  }
+  return { field, from, to };
+}
+
+function describeRule(rule) {
+  const applies = rule.appliesWhen ? ` when ${describeCondition(rule.appliesWhen)}` : '';
+  return `${rule.finding.severity}: ${describeCondition(rule.nonCompliantWhen)}${applies}`;
+}
+
+function describeOutcomeRule(outcomeRule) {
+  const when = Object.entries(outcomeRule.when || {})
+    .map(([name, value]) => (name === 'always' ? 'always' : `${name} ${value}`))
+    .join(' and ');
+  return `${when || 'always'} -> ${outcomeRule.outcome}`;
+}
+
+// Keys rules by ruleId; a repeated id (older files) gets " (2)", " (3)"...
+function keyRules(rules) {
+  const counts = new Map();
+  return rules.map((rule) => {
+    const id = ruleIdOf(rule);
+    const count = (counts.get(id) || 0) + 1;
+    counts.set(id, count);
+    return { key: count > 1 ? `${id} (${count})` : id, rule };
+  });
+}
+
+function matchRules(fromRules, toRules) {
+  const from = keyRules(fromRules);
+  const to = keyRules(toRules);
+  const fromByKey = new Map(from.map((entry) => [entry.key, entry]));
+  const pairs = [];
+  const matched = new Set();
+
+  const unmatchedTo = [];
+  for (const entry of to) {
+    const previous = fromByKey.get(entry.key);
+    if (previous) {
+      pairs.push({ from: previous, to: entry });
+      matched.add(previous);
+    } else {
+      unmatchedTo.push(entry);
+    }
+  }
+
+  const added = [];
+  for (const entry of unmatchedTo) {
+    const keys = ruleQuestionKeys(entry.rule);
+    const previous = from.find(
+      (candidate) => !matched.has(candidate) && ruleQuestionKeys(candidate.rule).some((key) => keys.includes(key))
+    );
+    if (previous) {
+      pairs.push({ from: previous, to: entry });
+      matched.add(previous);
+    } else {
+      added.push(entry);
+    }
+  }
+
+  const removed = from.filter((entry) => !matched.has(entry));
+  return { pairs, added, removed, to };
+}
+
+function ruleChanges(before, after) {
+  const changes = [];
+  if (ruleIdOf(before) !== ruleIdOf(after)) {
+    changes.push({ field: 'ruleId', from: ruleIdOf(before), to: ruleIdOf(after) });
+  }
+  if (!same(ruleQuestionKeys(before), ruleQuestionKeys(after))) {
+    changes.push({
+      field: 'questionKeys',
+      from: ruleQuestionKeys(before).join(', '),
+      to: ruleQuestionKeys(after).join(', '),
+    });
+  }
+  if (!same(before.nonCompliantWhen, after.nonCompliantWhen)) {
+    changes.push(conditionChange('nonCompliantWhen', before.nonCompliantWhen, after.nonCompliantWhen));
+  }
+  if (!same(before.appliesWhen, after.appliesWhen)) {
+    changes.push(conditionChange('appliesWhen', before.appliesWhen, after.appliesWhen));
+  }
+  if (before.finding.severity !== after.finding.severity) {
+    changes.push({ field: 'severity', from: before.finding.severity, to: after.finding.severity });
+  }
+  for (const field of FINDING_TEXT_FIELDS) {
+    if ((before.finding[field] ?? null) !== (after.finding[field] ?? null)) {
+      changes.push({ field, from: before.finding[field] ?? null, to: after.finding[field] ?? null });
+    }
+  }
+  return changes;
+}
+
+function diffRulesets(fromDoc, toDoc) {
+  const { pairs, added, removed, to } = matchRules(fromDoc.rules, toDoc.rules);
+  const questionKeysOf = (entry) => ruleQuestionKeys(entry.rule);
+
+  const rules = { added: [], removed: [], disabled: [], enabled: [], changed: [] };
+  for (const entry of added) {
+    rules.added.push({
+      ruleId: entry.key,
+      questionKeys: questionKeysOf(entry),
+      enabled: entry.rule.enabled !== false,
+      description: describeRule(entry.rule),
+    });
+  }
+  for (const entry of removed) {
+    // A question now read by another rule (template variants merged into
+    // questionKeysAny) is reported with that rule.
+    const keys = questionKeysOf(entry);
+    const successor = to.find((candidate) => questionKeysOf(candidate).some((key) => keys.includes(key)));
+    rules.removed.push({
+      ruleId: entry.key,
+      questionKeys: keys,
+      description: describeRule(entry.rule),
+      ...(successor ? { mergedInto: successor.key } : {}),
+    });
+  }
+  for (const pair of pairs) {
+    const wasEnabled = pair.from.rule.enabled !== false;
+    const isEnabled = pair.to.rule.enabled !== false;
+    if (wasEnabled && !isEnabled) {
+      rules.disabled.push({ ruleId: pair.to.key });
+    } else if (!wasEnabled && isEnabled) {
+      rules.enabled.push({ ruleId: pair.to.key });
+    }
+    const changes = ruleChanges(pair.from.rule, pair.to.rule);
+    if (changes.length > 0) {
+      rules.changed.push({ ruleId: pair.to.key, changes });
+    }
+  }
+
+  const fromIgnored = fromDoc.ignoreQuestionKeys || [];
+  const toIgnored = toDoc.ignoreQuestionKeys || [];
+  const ignoreQuestionKeys = {
+    added: toIgnored.filter((key) => !fromIgnored.includes(key)),
+    removed: fromIgnored.filter((key) => !toIgnored.includes(key)),
+  };
+
+  const fromOutcomeRules = fromDoc.scoring.outcomeRules.map(describeOutcomeRule);
+  const toOutcomeRules = toDoc.scoring.outcomeRules.map(describeOutcomeRule);
+  const outcomeRules = same(fromOutcomeRules, toOutcomeRules) ? null : { from: fromOutcomeRules, to: toOutcomeRules };
+
+  const settings = SETTINGS.filter((field) => !same(getField(fromDoc, field), getField(toDoc, field))).map((field) => ({
+    field,
+    from: getField(fromDoc, field) ?? null,
+    to: getField(toDoc, field) ?? null,
+  }));
+
+  return {
+    from: { ruleSetName: fromDoc.ruleSetName, ruleSetVersion: fromDoc.ruleSetVersion, ruleCount: fromDoc.rules.length },
+    to: { ruleSetName: toDoc.ruleSetName, ruleSetVersion: toDoc.ruleSetVersion, ruleCount: toDoc.rules.length },
+    rules,
+    ignoreQuestionKeys,
+    outcomeRules,
+    settings,
+  };
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function formatText(diff) {
+  const { from, to, rules, ignoreQuestionKeys, outcomeRules, settings } = diff;
+  const lines = [
+    `${from.ruleSetName} ${from.ruleSetVersion} (${from.ruleCount} rules) -> ${to.ruleSetName} ${to.ruleSetVersion} (${to.ruleCount} rules)`,
+    `Rules: ${rules.added.length} added, ${rules.removed.length} removed, ${rules.disabled.length} disabled, ${rules.enabled.length} re-enabled, ${rules.changed.length} changed`,
+  ];
+
+  for (const rule of rules.added) {
+    lines.push(
+      `+ ${rule.ruleId} [${rule.questionKeys.join(', ')}] ${rule.description}${rule.enabled ? '' : ' (disabled)'}`
+    );
+  }
+  for (const rule of rules.removed) {
+    const merged = rule.mergedInto ? ` (question now read by ${rule.mergedInto})` : '';
+    lines.push(`- ${rule.ruleId} [${rule.questionKeys.join(', ')}] ${rule.description}${merged}`);
+  }
+  for (const rule of rules.disabled) {
+    lines.push(`x ${rule.ruleId} disabled`);
+  }
+  for (const rule of rules.enabled) {
+    lines.push(`! ${rule.ruleId} re-enabled`);
+  }
+  for (const rule of rules.changed) {
+    lines.push(`~ ${rule.ruleId}`);
+    for (const change of rule.changes) {
+      lines.push(`    ${change.field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+    }
+  }
+
+  if (ignoreQuestionKeys.added.length > 0 || ignoreQuestionKeys.removed.length > 0) {
+    lines.push('Ignored question keys:');
+    if (ignoreQuestionKeys.added.length > 0) {
+      lines.push(`+ ${ignoreQuestionKeys.added.join(', ')}`);
+    }
+    if (ignoreQuestionKeys.removed.length > 0) {
+      lines.push(`- ${ignoreQuestionKeys.removed.join(', ')}`);
+    }
+  }
+
+  if (outcomeRules) {
+    lines.push('Outcome rules:');
+    lines.push(...outcomeRules.from.map((rule) => `- ${rule}`), ...outcomeRules.to.map((rule) => `+ ${rule}`));
+  }
+
+  for (const setting of settings) {
+    lines.push(`${setting.field}: ${formatValue(setting.from)} -> ${formatValue(setting.to)}`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const [first, second, third] = options.args;
+    const [fromDoc, toDoc] =
+      options.args.length === 2
+        ? [loadFile(first), loadFile(second)]
+        : [loadRules(first, second), loadRules(first, third)];
+
+    const diff = diffRulesets(fromDoc, toDoc);
+    console.log(options.json ? JSON.stringify(diff, null, 2) : formatText(diff));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
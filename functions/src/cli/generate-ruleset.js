@@ -0,0 +1,319 @@
+// Generates src/rules/<ruleset>.<version>.json from the scoring workbook
+// (GoAuditScores.xlsx) or a CSV export of one of its sheets. One row per
+// question: question ID, section, question number, question text, score
+// bucket, HP/PV clause code and the compliant answer (Yes/No). Rows without a
+// score bucket become ignoreQuestionKeys. The result is validated like any
+// rules file before it is written.
+//
+//   npm run generate-ruleset -- --input GoAuditScores.csv --ruleset HeatPump --version v5
+//   npm run generate-ruleset -- --input GoAuditScores.xlsx --sheet "Heat Pump" --ruleset HeatPump --version v5
+//
+// Reading .xlsx needs the exceljs dev dependency (npm install without --omit=dev).
+const fs = require('fs');
+const path = require('path');
+const { RULES_DIR, validateRulesDoc } = require('../shared/goaudits-rules');
+const { parseCsv } = require('../shared/csv');
+
+const BUCKETS = {
+  CAT1: { severity: 'Major', sheetLabel: 'Major non-compliance (risk to health and safety of occupants) (CAT1)' },
+  MAJOR_PERF: { severity: 'Major', sheetLabel: 'Major non-compliance (that will affect system performance)' },
+  MINOR_MAY: {
+    severity: 'Minor',
+    sheetLabel: 'Minor non-compliance (that may affect system performance over time)',
+  },
+  MINOR_WONT: {
+    severity: 'Minor',
+    sheetLabel: 'Minor non-compliance (will not materially affect system performance)',
+  },
+};
+
+// Header aliases, compared lower-case with everything but letters and digits removed.
+const COLUMNS = {
+  questionKey: ['questionid', 'questionkey', 'id'],
+  section: ['section'],
+  number: ['q', 'qno', 'questionno', 'questionnumber', 'number'],
+  text: ['question', 'questiontext'],
+  bucket: ['scorebucket', 'bucket'],
+  clause: ['clause', 'clausecode', 'hppvcode', 'hpcode', 'pvcode', 'mcsclause'],
+  compliantAnswer: ['compliantanswer', 'compliant'],
+};
+const REQUIRED_COLUMNS = ['questionKey', 'section', 'number', 'text', 'bucket', 'compliantAnswer'];
+
+// "Is/Are" questions get "not" before the first of these words; anything else
+// that cannot be negated reads "<statement> not compliant".
+const NEGATABLE_WORDS = new Set([
+  'correctly',
+  'continuous',
+  'installed',
+  'labelled',
+  'present',
+  'level',
+  'fitted',
+  'separated',
+  'sealed',
+  'insulated',
+]);
+
+const STANDARD_SCORING = {
+  outcomeRules: [
+    { when: { majorCountGte: 1 }, outcome: 'Fail' },
+    { when: { minorCountGte: 1 }, outcome: 'Refer' },
+    { when: { always: true }, outcome: 'Pass' },
+  ],
+  scoreValue: { type: 'text', from: 'outcome' },
+};
+
+function parseArgs(argv) {
+  const options = { force: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--') && i + 1 < argv.length) {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      throw new Error(`Unexpected argument ${arg}.`);
+    }
+  }
+  for (const name of ['input', 'ruleset', 'version']) {
+    if (!options[name]) {
+      throw new Error(
+        'Usage: generate-ruleset --input <file.csv|file.xlsx> --ruleset <name> --version <vN> [--sheet <name>] [--out <file>] [--force]'
+      );
+    }
+  }
+  if (!/^v\d+$/.test(options.version)) {
+    throw new Error(`--version must look like v5, not ${options.version}.`);
+  }
+  return options;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if (value.result !== undefined) {
+      return String(value.result);
+    }
+    if (value.text !== undefined) {
+      return String(value.text);
+    }
+  }
+  return String(value);
+}
+
+async function readXlsx(filePath, sheetName) {
+  let ExcelJS;
+  try {
+    ExcelJS = require('exceljs');
+  } catch {
+    throw new Error('Reading .xlsx needs the exceljs dev dependency; run npm install, or export the sheet to CSV.');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error(`Sheet ${sheetName} not found in ${path.basename(filePath)}.`);
+  }
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column += 1) {
+      cells.push(cellText(row.getCell(column).value));
+    }
+    rows.push(cells);
+  });
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function headerKey(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Maps the first row's headers to column indexes; throws listing any missing.
+function columnIndexes(headers) {
+  const keys = headers.map(headerKey);
+  const indexes = {};
+  for (const [name, aliases] of Object.entries(COLUMNS)) {
+    const index = keys.findIndex((key) => aliases.includes(key));
+    if (index !== -1) {
+      indexes[name] = index;
+    }
+  }
+  const missing = REQUIRED_COLUMNS.filter((name) => indexes[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.join(', ')}. Headers found: ${headers.join(', ')}.`);
+  }
+  return indexes;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Turns a yes/no question into the statement used for majorNonCompliantText /
+// minorNonCompliantText, e.g. "Is the heat pump level? (HP6)" -> "Heat pump
+// not level", "Do the clearances meet ...?" -> "Clearances do not meet ...".
+// A "Section note: " prefix is kept.
+function nonCompliantText(questionText) {
+  const cleaned = questionText
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\?/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const prefixMatch = /^([^:]+:\s*)(.*)$/.exec(cleaned);
+  const prefix = prefixMatch && /^(is|are|has|have|do|does)\b/i.test(prefixMatch[2]) ? prefixMatch[1] : '';
+  const words = (prefix ? cleaned.slice(prefix.length) : cleaned).split(' ');
+  const aux = words[0].toLowerCase();
+
+  let statement;
+  if (aux === 'do' || aux === 'does') {
+    const rest = words.slice(1);
+    if (rest[0] && rest[0].toLowerCase() === 'the') {
+      rest.shift();
+    }
+    statement = [rest[0], aux, 'not', ...rest.slice(1)].join(' ');
+  } else if (aux === 'has' || aux === 'have') {
+    const rest = words.slice(1);
+    const been = rest.indexOf('been');
+    statement =
+      been === -1
+        ? `${rest.join(' ')} not compliant`
+        : [...rest.slice(0, been), 'not', ...rest.slice(been + 1)].join(' ');
+  } else if (aux === 'is' || aux === 'are') {
+    const rest = words.slice(1);
+    if (rest[0] && rest[0].toLowerCase() === 'the') {
+      rest.shift();
+    }
+    const at = rest.findIndex((word) => NEGATABLE_WORDS.has(word));
+    statement =
+      at === -1 ? `${rest.join(' ')} not compliant` : [...rest.slice(0, at), 'not', ...rest.slice(at)].join(' ');
+  } else {
+    statement = `${words.join(' ')} not compliant`;
+  }
+
+  return `${prefix}${capitalize(statement)}`;
+}
+
+function buildRule(row, rowNumber) {
+  const fail = (problem) => {
+    throw new Error(`Row ${rowNumber} (question ${row.questionKey || '?'}): ${problem}`);
+  };
+
+  const bucketName = row.bucket.toUpperCase();
+  const bucket = BUCKETS[bucketName];
+  if (!bucket) {
+    fail(`unknown score bucket ${row.bucket} (expected ${Object.keys(BUCKETS).join(', ')}).`);
+  }
+  if (!row.text) {
+    fail('question text is empty.');
+  }
+
+  const compliant = row.compliantAnswer.toLowerCase();
+  if (compliant !== 'yes' && compliant !== 'no') {
+    fail(`compliant answer must be Yes or No, not ${row.compliantAnswer || '(empty)'}.`);
+  }
+
+  const clause = row.clause || '';
+  const question = clause && !row.text.endsWith(`(${clause})`) ? `${row.text} (${clause})` : row.text;
+  const number = /^q/i.test(row.number) ? `Q${row.number.slice(1)}` : `Q${row.number}`;
+  const text = nonCompliantText(question);
+
+  return {
+    questionKey: row.questionKey,
+    enabled: true,
+    nonCompliantWhen: {
+      op: 'equals',
+      value: compliant === 'yes' ? 'No' : 'Yes',
+      caseInsensitive: true,
+      trim: true,
+    },
+    finding: {
+      severity: bucket.severity,
+      code: clause ? `${bucketName}|${clause}` : bucketName,
+      message: `${row.section} | ${number} | ${question} | ScoreBucket: ${bucketName} | SheetLabel: ${bucket.sheetLabel}`,
+      majorNonCompliantText: bucket.severity === 'Major' ? text : null,
+      minorNonCompliantText: bucket.severity === 'Minor' ? text : null,
+    },
+  };
+}
+
+function buildRuleset(rows, options) {
+  const indexes = columnIndexes(rows[0]);
+  const rules = [];
+  const ignoreQuestionKeys = [];
+  const seen = new Set();
+
+  rows.slice(1).forEach((cells, i) => {
+    const row = {};
+    for (const [name, index] of Object.entries(indexes)) {
+      row[name] = (cells[index] || '').trim();
+    }
+    if (!row.questionKey) {
+      return;
+    }
+    if (seen.has(row.questionKey)) {
+      throw new Error(`Row ${i + 2}: question ${row.questionKey} appears more than once.`);
+    }
+    seen.add(row.questionKey);
+
+    if (!row.bucket) {
+      ignoreQuestionKeys.push(row.questionKey);
+    } else {
+      rules.push(buildRule(row, i + 2));
+    }
+  });
+
+  return {
+    ruleSetName: options.ruleset,
+    ruleSetVersion: options.version,
+    generatedFrom: path.basename(options.input),
+    answerNormalization: { trim: true, caseInsensitive: true, emptyIsNull: true },
+    rules,
+    ignoreQuestionKeys,
+    scoring: STANDARD_SCORING,
+  };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const inputPath = path.resolve(options.input);
+    const rows = /\.xlsx$/i.test(inputPath)
+      ? await readXlsx(inputPath, options.sheet)
+      : parseCsv(fs.readFileSync(inputPath, 'utf8'));
+    if (rows.length < 2) {
+      throw new Error(`${path.basename(inputPath)} has no question rows.`);
+    }
+
+    const rulesDoc = buildRuleset(rows, options);
+    const { errors } = validateRulesDoc(rulesDoc);
+    if (errors.length > 0) {
+      throw new Error(`Generated ruleset does not validate: ${errors.join(' ')}`);
+    }
+
+    const outPath = options.out
+      ? path.resolve(options.out)
+      : path.join(RULES_DIR, `${options.ruleset.toLowerCase()}.${options.version}.json`);
+    if (fs.existsSync(outPath) && !options.force) {
+      throw new Error(`${outPath} exists; rulesets are never edited in place (use a new version, or --force).`);
+    }
+
+    fs.writeFileSync(outPath, JSON.stringify(rulesDoc, null, 2));
+    console.log(
+      `Wrote ${path.relative(process.cwd(), outPath)}: ${rulesDoc.rules.length} rules, ${rulesDoc.ignoreQuestionKeys.length} ignored question keys.`
+    );
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,194 @@
+// Scores one audit offline with the scoring job's own code: answers are read
+// the way enrichment reads them, then every rule is evaluated and the outcome
+// and score value determined. No SQL or network access. Prints the findings,
+// the outcome and a per-rule trace.
+//
+//   npm run score-audit -- --input details.json --ruleset HeatPump --version v3
+//   npm run score-audit -- --input answers.csv --ruleset PV --version v2 --json
+//
+// --input is one of:
+// - a getauditdetailsbyid response (JSON array of rows, e.g. the stored raw payload);
+// - answers JSON mapping question keys to an answer, or to a list of answers for a
+//   repeating group (one per instance), optionally under "answers" as in rules file examples;
+// - answers CSV with QuestionKey and AnswerValue columns and optional InstanceIndex,
+//   e.g. an export of GoAuditsReportAnswers for the report.
+const fs = require('fs');
+const path = require('path');
+const { loadRules, scoreAnswers } = require('../shared/goaudits-rules');
+const { extractAnswers, answerFromValue, answersFromMap, toAnswerMap } = require('../shared/goaudits-answers');
+const { parseCsv } = require('../shared/csv');
+
+// CSV header aliases, compared lower-case with everything but letters and digits removed.
+const CSV_COLUMNS = {
+  questionKey: ['questionkey', 'questionid'],
+  answerValue: ['answervalue', 'answer', 'value'],
+  instanceIndex: ['instanceindex', 'instance'],
+};
+
+function parseArgs(argv) {
+  const options = { json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--') && i + 1 < argv.length) {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      throw new Error(`Unexpected argument ${arg}.`);
+    }
+  }
+  for (const name of ['input', 'ruleset', 'version']) {
+    if (!options[name]) {
+      throw new Error(
+        'Usage: score-audit --input <details.json|answers.json|answers.csv> --ruleset <name> --version <vN> [--json]'
+      );
+    }
+  }
+  return options;
+}
+
+function answersFromCsv(rows) {
+  const keys = rows[0].map((header) => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const indexes = {};
+  for (const [name, aliases] of Object.entries(CSV_COLUMNS)) {
+    indexes[name] = keys.findIndex((key) => aliases.includes(key));
+  }
+  if (indexes.questionKey === -1 || indexes.answerValue === -1) {
+    throw new Error(`CSV needs QuestionKey and AnswerValue columns. Headers found: ${rows[0].join(', ')}.`);
+  }
+
+  // Without InstanceIndex, repeats of a question are instances in row order.
+  // Rows without a question key (section headings, notes) are skipped.
+  const instanceCounts = new Map();
+  const answers = [];
+  rows.slice(1).forEach((cells, index) => {
+    const questionKey = (cells[indexes.questionKey] || '').trim();
+    if (!questionKey) {
+      return;
+    }
+    let instanceIndex = instanceCounts.get(questionKey) || 0;
+    const instanceCell = indexes.instanceIndex === -1 ? '' : (cells[indexes.instanceIndex] || '').trim();
+    if (instanceCell !== '') {
+      if (!/^\d+$/.test(instanceCell)) {
+        // Rows are numbered from the header (row 1), not counting blank lines.
+        throw new Error(`CSV row ${index + 2}: InstanceIndex ${instanceCell} is not a non-negative integer.`);
+      }
+      instanceIndex = Number(instanceCell);
+    }
+    instanceCounts.set(questionKey, instanceIndex + 1);
+    answers.push(answerFromValue(questionKey, instanceIndex, cells[indexes.answerValue] ?? null));
+  });
+  return answers;
+}
+
+// Returns { source, answers } for the input file.
+function readAnswers(inputPath) {
+  const fileName = path.basename(inputPath);
+  const text = fs.readFileSync(inputPath, 'utf8');
+
+  if (path.extname(inputPath).toLowerCase() === '.csv') {
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+      throw new Error(`${fileName} has no answer rows.`);
+    }
+    return { source: 'answers CSV', answers: answersFromCsv(rows) };
+  }
+
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) {
+    const answers = extractAnswers(parsed, path.basename(inputPath, path.extname(inputPath)));
+    if (answers.length === 0) {
+      throw new Error(`${fileName} has no Detail rows; expected a getauditdetailsbyid response.`);
+    }
+    return { source: 'getauditdetailsbyid response', answers };
+  }
+  if (parsed && typeof parsed === 'object') {
+    const map = parsed.answers && typeof parsed.answers === 'object' ? parsed.answers : parsed;
+    return { source: 'answers JSON', answers: answersFromMap(map) };
+  }
+  throw new Error(`${fileName} is neither a getauditdetailsbyid response nor an answers map.`);
+}
+
+function instanceName(name, instanceIndex) {
+  return instanceIndex > 0 ? `${name}#${instanceIndex}` : name;
+}
+
+function describeAnswer(value) {
+  return value === null ? 'not answered' : JSON.stringify(value);
+}
+
+// One line per rule instance: what was read and what the rule made of it.
+function traceLines(trace) {
+  if (!trace.enabled) {
+    return [`  ${trace.ruleId}: disabled`];
+  }
+  return trace.instances.map((step) => {
+    let result;
+    if (step.applies === false) {
+      result = 'does not apply';
+    } else {
+      result = step.nonCompliant ? 'NON-COMPLIANT' : 'compliant';
+    }
+    return `  ${instanceName(trace.ruleId, step.instanceIndex)} [${step.questionKey}] ${describeAnswer(step.answerValue)}: ${result}`;
+  });
+}
+
+function formatText(result) {
+  const lines = [
+    `${result.ruleset} ${result.version}: ${result.outcome} (score ${result.scoreValue ?? 'none'}), ${result.majorCount} major, ${result.minorCount} minor`,
+    `Answers: ${result.answerCount} from ${result.source}`,
+    `Findings (${result.findings.length}):`,
+  ];
+  for (const finding of result.findings) {
+    const text = finding.majorNonCompliantText || finding.minorNonCompliantText || finding.message;
+    lines.push(
+      `  ${finding.severity} ${instanceName(finding.ruleId, finding.instanceIndex)} [${finding.questionKey}] ${describeAnswer(finding.answerValue)}: ${text}`
+    );
+  }
+  lines.push('Trace:');
+  for (const trace of result.trace) {
+    lines.push(...traceLines(trace));
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const rulesDoc = loadRules(options.ruleset, options.version);
+    const { source, answers } = readAnswers(path.resolve(options.input));
+
+    const trace = [];
+    const score = scoreAnswers(rulesDoc, toAnswerMap(answers), trace);
+    const result = {
+      ruleset: rulesDoc.ruleSetName,
+      version: rulesDoc.ruleSetVersion,
+      source,
+      answerCount: answers.length,
+      outcome: score.outcome,
+      scoreValue: score.scoreValue,
+      majorCount: score.majorCount,
+      minorCount: score.minorCount,
+      findings: score.findings.map((finding) => ({
+        ruleId: finding.ruleId,
+        questionKey: finding.questionKey,
+        instanceIndex: finding.instanceIndex,
+        answerValue: finding.answerValue,
+        severity: finding.severity,
+        code: finding.code,
+        message: finding.message,
+        majorNonCompliantText: finding.majorNonCompliantText,
+        minorNonCompliantText: finding.minorNonCompliantText,
+        contributingQuestionKeys: finding.contributingKeys,
+      })),
+      trace,
+    };
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatText(result));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
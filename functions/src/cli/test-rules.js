@@ -0,0 +1,155 @@
+// Runs the examples embedded in rules files against the scoring engine,
+// offline. Checks every <ruleset>.<version>.json in src/rules, or the files
+// given as arguments. Exits 1 when a file does not validate or an example fails.
+//
+//   npm run test-rules
+//   node src/cli/test-rules.js src/rules/heatpump.v4.json
+//
+// Rule examples ({ answers, nonCompliant }) run that rule alone; ruleset
+// examples ({ answers, expect: { outcome, findings, majorCount, minorCount } })
+// score the whole file. Answers map question keys to a value, or to a list of
+// values for a repeating group (one per instance).
+const fs = require('fs');
+const path = require('path');
+const {
+  RULES_DIR,
+  RULES_FILE_PATTERN,
+  validateRulesFile,
+  ruleIdOf,
+  evaluateRule,
+  scoreAnswers,
+} = require('../shared/goaudits-rules');
+const { answersFromMap, toAnswerMap } = require('../shared/goaudits-answers');
+
+// Findings are named by ruleId, with #<instance> for instances after the first.
+function findingName(finding) {
+  return finding.instanceIndex > 0 ? `${finding.ruleId}#${finding.instanceIndex}` : finding.ruleId;
+}
+
+// Multiset difference of two name lists: names in `a` not matched in `b`.
+function missingFrom(a, b) {
+  const remaining = [...b];
+  return a.filter((name) => {
+    const index = remaining.indexOf(name);
+    if (index === -1) {
+      return true;
+    }
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+function runRuleExample(rulesDoc, rule, example) {
+  const answerMap = toAnswerMap(answersFromMap(example.answers));
+  const findings = evaluateRule(rule, answerMap, rulesDoc.answerNormalization || {});
+  const nonCompliant = findings.length > 0;
+  if (nonCompliant === example.nonCompliant) {
+    return [];
+  }
+  const describe = (value) => (value ? 'non-compliant' : 'compliant');
+  return [`expected ${describe(example.nonCompliant)}, got ${describe(nonCompliant)}`];
+}
+
+function runRulesetExample(rulesDoc, example) {
+  const result = scoreAnswers(rulesDoc, toAnswerMap(answersFromMap(example.answers)));
+  const expect = example.expect;
+  const diffs = [];
+
+  if (result.outcome !== expect.outcome) {
+    diffs.push(`outcome: expected ${expect.outcome}, got ${result.outcome}`);
+  }
+  for (const field of ['majorCount', 'minorCount']) {
+    if (expect[field] !== undefined && result[field] !== expect[field]) {
+      diffs.push(`${field}: expected ${expect[field]}, got ${result[field]}`);
+    }
+  }
+  if (expect.findings !== undefined) {
+    const actual = result.findings.map(findingName);
+    const missing = missingFrom(expect.findings, actual);
+    const unexpected = missingFrom(actual, expect.findings);
+    if (missing.length > 0) {
+      diffs.push(`findings missing: ${missing.join(', ')}`);
+    }
+    if (unexpected.length > 0) {
+      diffs.push(`findings not expected: ${unexpected.join(', ')}`);
+    }
+  }
+  return diffs;
+}
+
+function exampleLabel(example, index) {
+  return `example ${index + 1}${example.description ? ` (${example.description})` : ''}`;
+}
+
+function reportFailure(label, example, diffs) {
+  console.log(`  FAIL ${label}`);
+  console.log(`    answers: ${JSON.stringify(example.answers)}`);
+  for (const diff of diffs) {
+    console.log(`    ${diff}`);
+  }
+}
+
+// Returns { run, failed } for one file.
+function testFile(filePath) {
+  const { rulesDoc, errors } = validateRulesFile(filePath);
+  if (errors.length > 0) {
+    console.log(`  FAIL file does not validate: ${errors.join(' ')}`);
+    return { run: 0, failed: 1 };
+  }
+
+  let run = 0;
+  let failed = 0;
+
+  rulesDoc.rules.forEach((rule, ruleIndex) => {
+    (rule.examples || []).forEach((example, index) => {
+      run += 1;
+      const diffs = runRuleExample(rulesDoc, rule, example);
+      if (diffs.length > 0) {
+        failed += 1;
+        reportFailure(`rule #${ruleIndex + 1} (${ruleIdOf(rule)}) ${exampleLabel(example, index)}`, example, diffs);
+      }
+    });
+  });
+
+  (rulesDoc.examples || []).forEach((example, index) => {
+    run += 1;
+    const diffs = runRulesetExample(rulesDoc, example);
+    if (diffs.length > 0) {
+      failed += 1;
+      reportFailure(`ruleset ${exampleLabel(example, index)}`, example, diffs);
+    }
+  });
+
+  console.log(`  ${run - failed}/${run} examples passed`);
+  return { run, failed };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const files =
+    args.length > 0
+      ? args.map((arg) => path.resolve(arg))
+      : fs
+          .readdirSync(RULES_DIR)
+          .filter((name) => RULES_FILE_PATTERN.test(name))
+          .sort()
+          .map((name) => path.join(RULES_DIR, name));
+
+  let totalRun = 0;
+  let totalFailed = 0;
+  for (const filePath of files) {
+    console.log(path.relative(process.cwd(), filePath));
+    const { run, failed } = testFile(filePath);
+    totalRun += run;
+    totalFailed += failed;
+  }
+
+  console.log(
+    totalFailed > 0
+      ? `${totalFailed} failure(s) across ${files.length} file(s).`
+      : `All ${totalRun} examples passed.`
+  );
+  process.exitCode = totalFailed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,111 @@
+// Validates rules files the way the scoring job does at start-up, plus
+// routing.json. Checks every <ruleset>.<version>.json in src/rules, or the
+// files given as arguments. Exits 1 when any file has errors. Effective dates
+// are also checked across each ruleset's versions.
+//
+//   npm run validate-rules
+//   node src/cli/validate-rules.js src/rules/pv.v3.json
+const fs = require('fs');
+const path = require('path');
+const {
+  RULES_DIR,
+  RULES_FILE_PATTERN,
+  EFFECTIVE_VERSION,
+  validateRulesFile,
+  loadEffectiveVersions,
+  effectiveWindowProblems,
+} = require('../shared/goaudits-rules');
+const { loadRouting } = require('../shared/goaudits-routing');
+
+const ROUTING_PATH = path.join(RULES_DIR, 'routing.json');
+
+function validateRouting() {
+  const errors = [];
+  let routing;
+  try {
+    routing = loadRouting(ROUTING_PATH);
+  } catch (error) {
+    return [error.message];
+  }
+
+  for (const route of routing.routes) {
+    if (route.ruleSetVersion === EFFECTIVE_VERSION) {
+      try {
+        if (loadEffectiveVersions(route.ruleSetName).length === 0) {
+          errors.push(`Route ${route.name} uses ${EFFECTIVE_VERSION} but no ${route.ruleSetName} rules file is effective-dated.`);
+        }
+      } catch (error) {
+        errors.push(`Route ${route.name}: ${error.message}`);
+      }
+      continue;
+    }
+    const fileName = `${route.ruleSetName.toLowerCase()}.${route.ruleSetVersion}.json`;
+    if (!fs.existsSync(path.join(RULES_DIR, fileName))) {
+      errors.push(`Route ${route.name} points to ${fileName}, which does not exist.`);
+    }
+  }
+  return errors;
+}
+
+function report(label, errors, warnings) {
+  console.log(`${errors.length > 0 ? 'FAIL' : 'OK  '} ${label}`);
+  for (const error of errors) {
+    console.log(`  error: ${error}`);
+  }
+  for (const warning of warnings) {
+    console.log(`  warning: ${warning}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const files =
+    args.length > 0
+      ? args.map((arg) => path.resolve(arg))
+      : fs
+          .readdirSync(RULES_DIR)
+          .filter((name) => RULES_FILE_PATTERN.test(name))
+          .sort()
+          .map((name) => path.join(RULES_DIR, name));
+
+  let failed = 0;
+  const byRuleset = new Map();
+  for (const filePath of files) {
+    let result;
+    try {
+      result = validateRulesFile(filePath);
+    } catch (error) {
+      result = { errors: [error.message], warnings: [] };
+    }
+    report(path.relative(process.cwd(), filePath), result.errors, result.warnings);
+    if (result.errors.length > 0) {
+      failed += 1;
+    } else {
+      const ruleset = result.rulesDoc.ruleSetName;
+      byRuleset.set(ruleset, [...(byRuleset.get(ruleset) || []), result.rulesDoc]);
+    }
+  }
+
+  for (const [ruleset, rulesDocs] of byRuleset) {
+    const { errors, warnings } = effectiveWindowProblems(rulesDocs);
+    if (errors.length > 0 || warnings.length > 0) {
+      report(`${ruleset} effective dates`, errors, warnings);
+    }
+    if (errors.length > 0) {
+      failed += 1;
+    }
+  }
+
+  if (args.length === 0) {
+    const routingErrors = validateRouting();
+    report(path.relative(process.cwd(), ROUTING_PATH), routingErrors, []);
+    if (routingErrors.length > 0) {
+      failed += 1;
+    }
+  }
+
+  console.log(failed > 0 ? `${failed} file(s) failed validation.` : 'All rules files are valid.');
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
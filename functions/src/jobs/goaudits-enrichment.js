@@ -1,14 +1,43 @@
-const { randomUUID, createHash } = require('crypto');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { SecretClient } = require('@azure/keyvault-secrets');
+const { randomUUID } = require('crypto');
 const { sql, getSqlPool } = require('../shared/sql');
+const { runWorkers } = require('../shared/workers');
+const {
+  getBearerToken,
+  postJson,
+  startHalfOpen,
+  getCircuitState,
+} = require('../shared/goaudits-client');
+const {
+  SOURCE_DETAILS,
+  hashPayload,
+  saveRawPayload,
+  loadLatestRawPayloads,
+  parseReportIdList,
+} = require('../shared/goaudits-raw-payloads');
+const {
+  MAX_ANSWER_LENGTH,
+  truncate,
+  extractCertificate,
+  extractAnswers,
+} = require('../shared/goaudits-answers');
+const {
+  loadQuestionCatalogue,
+  observeQuestions,
+  flushQuestionCatalogue,
+} = require('../shared/goaudits-question-catalogue');
 
 const JOB_NAME = 'GoAuditsEnrichment';
+const SCORING_JOB_NAME = 'GoAuditsScoring';
+const SHADOW_SCORING_JOB_NAME = 'GoAuditsScoringShadow';
+const STATUS_UPSTREAM_UNAVAILABLE = 'UpstreamUnavailable';
+// dbo.JobWatermark row holding when the GoAudits circuit opened (NULL = closed).
+const CIRCUIT_BREAKER_JOB_NAME = 'GoAuditsCircuitBreaker';
 const DEFAULT_DETAILS_URL =
   'https://api.goaudits.com/v1/audits/getauditdetailsbyid';
 const DEFAULT_BATCH_SIZE = 50;
-const MAX_RETRIES = 5;
-const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_BASE_MINUTES = 60;
+const DEFAULT_BACKOFF_MAX_HOURS = 48;
 const DETAILS_REQUEST_BASE = {
   archived: '',
   audit_type_id: '',
@@ -41,17 +70,6 @@ const DETAILS_REQUEST_BASE = {
   xlsx: 0,
   xlsxflag: false,
 };
-
-const credential = new DefaultAzureCredential({
-  managedIdentityClientId: process.env.AZURE_CLIENT_ID,
-});
-
-function truncate(str, max) {
-  if (str == null) return null;
-  const s = String(str);
-  return s.length > max ? s.slice(0, max) : s;
-}
-
 function getEnv(name, fallback) {
   const value = process.env[name];
   return value && value.trim().length > 0 ? value : fallback;
@@ -66,141 +84,16 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-function normalizeQuestionKey(questionId, questionText) {
-  if (questionId && String(questionId).trim()) {
-    return String(questionId).trim();
-  }
-
-  if (!questionText) return null;
-  const normalized =
-    String(questionText)
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim()
-      .replace(/[^a-z0-9]+/g, '_')
-      .replace(/^_+|_+$/g, '') || null;
-
-  if (!normalized) {
-    return null;
-  }
-
-  if (normalized.length <= 256) {
-    return normalized;
-  }
-
-  const hash = createHash('sha1').update(normalized).digest('hex');
-  const prefix = normalized.slice(0, 256 - hash.length - 1);
-  return `${prefix}_${hash}`;
-}
-
-async function getBearerToken() {
-  const keyVaultUri = process.env.KEYVAULT_URI;
-  const secretName = getEnv('GOAUDITS_BEARER_SECRET_NAME', 'goaudits-bearer-token');
-
-  if (!keyVaultUri) {
-    throw new Error('KEYVAULT_URI environment variable is not set.');
-  }
-
-  const client = new SecretClient(keyVaultUri, credential);
-  const secret = await client.getSecret(secretName);
-
-  if (!secret || !secret.value) {
-    throw new Error('GoAudits bearer token was empty.');
-  }
-
-  return secret.value;
-}
-
-async function fetchWithRetry(url, token, bodyObj) {
-  const headers = {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${token}`,
-  };
-
-  const body = JSON.stringify(bodyObj);
-  let attempt = 0;
-
-  while (attempt < MAX_RETRIES) {
-    attempt += 1;
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body,
-        signal: controller.signal,
-      });
-
-      if (response.status === 401 || response.status === 403) {
-        const error = new Error(
-          `Authorization failed with status ${response.status}.`
-        );
-        error.fatal = true;
-        throw error;
-      }
-
-      if (
-        response.status === 429 ||
-        (response.status >= 500 && response.status < 600)
-      ) {
-        if (attempt >= MAX_RETRIES) {
-          throw new Error(
-            `GoAudits details API returned ${response.status} after ${attempt} attempts.`
-          );
-        }
-
-        const delay =
-          Math.min(1000 * 2 ** (attempt - 1), 8000) +
-          Math.floor(Math.random() * 300);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        continue;
-      }
-
-      if (!response.ok) {
-        const error = new Error(
-          `GoAudits details API returned ${response.status} ${response.statusText} for ${url}.`
-        );
-        error.fatal = response.status === 401 || response.status === 403;
-        error.retryable = false;
-        throw error;
-      }
-
-      const parsed = await response.json().catch(() => {
-        const error = new Error('GoAudits details API response was not valid JSON.');
-        error.retryable = false;
-        throw error;
-      });
-
-      if (!Array.isArray(parsed)) {
-        const error = new Error('GoAudits details API response was not an array.');
-        error.retryable = false;
-        throw error;
-      }
-
-      return parsed;
-    } catch (error) {
-      if (error && error.fatal) {
-        throw error;
-      }
-      if (error && error.retryable === false) {
-        throw error;
-      }
-      if (attempt >= MAX_RETRIES) {
-        throw error;
-      }
+async function fetchDetails(url, token, bodyObj) {
+  const parsed = await postJson(url, token, bodyObj, { label: 'GoAudits details API' });
 
-      const delay =
-        Math.min(1000 * 2 ** (attempt - 1), 8000) +
-        Math.floor(Math.random() * 300);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    } finally {
-      clearTimeout(timeout);
-    }
+  if (!Array.isArray(parsed)) {
+    const error = new Error('GoAudits details API response was not an array.');
+    error.retryable = false;
+    throw error;
   }
 
-  throw new Error('Unexpected retry loop exit');
+  return parsed;
 }
 
 async function insertJobRun(pool, runId, status, message) {
@@ -227,6 +120,40 @@ async function updateJobRun(pool, runId, status, message) {
   );
 }
 
+async function isCircuitBreakerOpen(pool) {
+  const request = pool.request();
+  request.input('jobName', sql.NVarChar(100), CIRCUIT_BREAKER_JOB_NAME);
+
+  const result = await request.query(
+    'SELECT WatermarkUtc FROM dbo.JobWatermark WHERE JobName = @jobName'
+  );
+  return result.recordset.length > 0 && result.recordset[0].WatermarkUtc !== null;
+}
+
+// Persists the breaker: Open keeps the first open-since time, Closed clears it,
+// HalfOpen (the probe was never sent) leaves the stored state as it was.
+async function saveCircuitBreaker(pool, circuitState) {
+  if (circuitState !== 'Open' && circuitState !== 'Closed') {
+    return;
+  }
+
+  const request = pool.request();
+  request.input('jobName', sql.NVarChar(100), CIRCUIT_BREAKER_JOB_NAME);
+  request.input('isOpen', sql.Bit, circuitState === 'Open');
+
+  await request.query(
+    `
+IF EXISTS (SELECT 1 FROM dbo.JobWatermark WHERE JobName = @jobName)
+  UPDATE dbo.JobWatermark
+  SET WatermarkUtc = CASE WHEN @isOpen = 1 THEN COALESCE(WatermarkUtc, SYSUTCDATETIME()) END,
+      UpdatedUtc = SYSUTCDATETIME()
+  WHERE JobName = @jobName;
+ELSE IF @isOpen = 1
+  INSERT INTO dbo.JobWatermark (JobName, WatermarkUtc) VALUES (@jobName, SYSUTCDATETIME());
+    `.trim()
+  );
+}
+
 async function selectBatch(pool, batchSize) {
   const request = pool.request();
   request.input('batchSize', sql.Int, batchSize);
@@ -237,14 +164,26 @@ async function selectBatch(pool, batchSize) {
     FROM dbo.GoAuditsReports r
     WHERE
       (
-        r.CertificationNumber IS NULL OR r.CertificationNumber = ''
-        OR NOT EXISTS (
-          SELECT 1 FROM dbo.GoAuditsReportAnswers a WHERE a.GoAuditsReportId = r.GoAuditsReportId
+        (
+          (
+            r.CertificationNumber IS NULL OR r.CertificationNumber = ''
+            OR NOT EXISTS (
+              SELECT 1 FROM dbo.GoAuditsReportAnswers a WHERE a.GoAuditsReportId = r.GoAuditsReportId
+            )
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM dbo.ProcessedItems p
+            WHERE p.JobName = @jobName AND p.ItemKey = r.GoAuditsReportId
+          )
         )
+        -- Edited in GoAudits after completion (flagged by ingestion from Updated_On)
+        OR r.PendingRevisionUtc IS NOT NULL
       )
+      -- Failed before: wait out the backoff; poisoned reports are never picked
       AND NOT EXISTS (
-        SELECT 1 FROM dbo.ProcessedItems p
-        WHERE p.JobName = @jobName AND p.ItemKey = r.GoAuditsReportId
+        SELECT 1 FROM dbo.GoAuditsEnrichmentFailures f
+        WHERE f.GoAuditsReportId = r.GoAuditsReportId
+          AND (f.IsPoisoned = 1 OR f.NextAttemptUtc > SYSUTCDATETIME())
       )
     ORDER BY r.CompletedAtUtc DESC;
   `;
@@ -253,126 +192,301 @@ async function selectBatch(pool, batchSize) {
   return result.recordset.map((row) => row.GoAuditsReportId);
 }
 
-function extractCertificate(rows) {
-  for (const row of rows) {
-    const questionId = row && row.QUESTION_ID ? String(row.QUESTION_ID).trim() : '';
-    const questionText = row && row.Question ? String(row.Question) : '';
-    const answer = row ? row.Answer : null;
+function getFailurePolicy() {
+  return {
+    maxAttempts: parsePositiveInt(process.env.GOAUDITS_ENRICH_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+    baseMinutes: parsePositiveInt(
+      process.env.GOAUDITS_ENRICH_BACKOFF_BASE_MINUTES,
+      DEFAULT_BACKOFF_BASE_MINUTES
+    ),
+    maxMinutes:
+      parsePositiveInt(process.env.GOAUDITS_ENRICH_BACKOFF_MAX_HOURS, DEFAULT_BACKOFF_MAX_HOURS) * 60,
+  };
+}
 
-    if (questionId === '1' || /certificate number/i.test(questionText || '')) {
-      if (answer != null && String(answer).trim() !== '') {
-        return truncate(String(answer).trim(), 100);
-      }
-    }
+// Records a failed attempt for a report. The next attempt waits
+// baseMinutes * 2^(attempts - 1), capped at maxMinutes; on the last allowed
+// attempt the report is poisoned instead.
+async function recordFailure(pool, reportId, error, jobRunId, policy, counts) {
+  const request = pool.request();
+  request.input('reportId', sql.NVarChar(100), reportId);
+  request.input('lastError', sql.NVarChar(1000), truncate(error && error.message ? error.message : String(error), 1000));
+  request.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+  request.input('maxAttempts', sql.Int, policy.maxAttempts);
+  request.input('baseMinutes', sql.Int, policy.baseMinutes);
+  request.input('maxMinutes', sql.Int, policy.maxMinutes);
+
+  const result = await request.query(
+    `
+DECLARE @attempts INT;
+
+UPDATE dbo.GoAuditsEnrichmentFailures
+SET @attempts = AttemptCount = AttemptCount + 1,
+    LastFailedUtc = SYSUTCDATETIME(),
+    LastError = @lastError,
+    LastJobRunId = @jobRunId
+WHERE GoAuditsReportId = @reportId;
+
+IF @@ROWCOUNT = 0
+BEGIN
+  SET @attempts = 1;
+  INSERT INTO dbo.GoAuditsEnrichmentFailures
+    (GoAuditsReportId, AttemptCount, FirstFailedUtc, LastFailedUtc, LastError, LastJobRunId)
+  VALUES
+    (@reportId, 1, SYSUTCDATETIME(), SYSUTCDATETIME(), @lastError, @jobRunId);
+END
+
+DECLARE @poisoned BIT = CASE WHEN @attempts >= @maxAttempts THEN 1 ELSE 0 END;
+DECLARE @delayMinutes FLOAT = @baseMinutes * POWER(CAST(2 AS FLOAT), @attempts - 1);
+
+UPDATE dbo.GoAuditsEnrichmentFailures
+SET IsPoisoned = @poisoned,
+    PoisonedUtc = CASE WHEN @poisoned = 1 THEN COALESCE(PoisonedUtc, SYSUTCDATETIME()) ELSE NULL END,
+    NextAttemptUtc = CASE
+      WHEN @poisoned = 1 THEN NULL
+      ELSE DATEADD(minute, CASE WHEN @delayMinutes > @maxMinutes THEN @maxMinutes ELSE CAST(@delayMinutes AS INT) END, SYSUTCDATETIME())
+    END
+WHERE GoAuditsReportId = @reportId;
+
+SELECT @attempts AS AttemptCount, @poisoned AS IsPoisoned;
+    `.trim()
+  );
+
+  const state = result.recordset[0];
+  counts.failuresRecordedCount += 1;
+  if (state.IsPoisoned) {
+    counts.poisonedCount += 1;
   }
-  return null;
+  return { attemptCount: state.AttemptCount, poisoned: Boolean(state.IsPoisoned) };
 }
 
-function extractAnswers(rows, reportId) {
-  const answers = new Map();
+// Columns versioned on both GoAuditsReportAnswers (current) and
+// GoAuditsReportAnswerHistory (every version with its validity window), in
+// dbo.GoAuditsAnswerRows column order. Text columns compare case- and
+// accent-sensitively when deciding whether an answer changed.
+const ANSWER_COLUMNS = [
+  { column: 'GroupName', field: 'groupName', type: () => sql.NVarChar(200), text: true },
+  { column: 'AnswerValue', field: 'answerValue', type: () => sql.NVarChar(sql.MAX), text: true },
+  { column: 'Section', field: 'section', type: () => sql.NVarChar(200), text: true },
+  { column: 'QuestionText', field: 'questionText', type: () => sql.NVarChar(1000), text: true },
+  { column: 'AuditorComment', field: 'auditorComment', type: () => sql.NVarChar(2000), text: true },
+  { column: 'MediaReferences', field: 'mediaReferences', type: () => sql.NVarChar(sql.MAX), text: true },
+  { column: 'IsNotApplicable', field: 'isNotApplicable', type: () => sql.Bit },
+  { column: 'AnswerType', field: 'answerType', type: () => sql.NVarChar(20), text: true },
+  { column: 'AnswerNumber', field: 'answerNumber', type: () => sql.Float },
+  { column: 'AnswerUnit', field: 'answerUnit', type: () => sql.NVarChar(20), text: true },
+  { column: 'AnswerDate', field: 'answerDate', type: () => sql.DateTime2(0) },
+  { column: 'AnswerBoolean', field: 'answerBoolean', type: () => sql.Bit },
+  { column: 'AnswerListJson', field: 'answerListJson', type: () => sql.NVarChar(sql.MAX), text: true },
+  { column: 'AnswerTruncated', field: 'answerTruncated', type: () => sql.Bit },
+];
+
+function answerRowsTable(answers) {
+  const table = new sql.Table('dbo.GoAuditsAnswerRows');
+  table.columns.add('QuestionKey', sql.NVarChar(256), { nullable: false });
+  table.columns.add('InstanceIndex', sql.Int, { nullable: false });
+  for (const { column, type } of ANSWER_COLUMNS) {
+    table.columns.add(column, type(), { nullable: true });
+  }
 
-  for (const row of rows) {
-    if (!row || row.RecordType !== 'Detail') {
-      continue;
-    }
+  for (const answer of answers) {
+    table.rows.add(
+      answer.questionKey,
+      answer.instanceIndex,
+      ...ANSWER_COLUMNS.map(({ field }) => answer[field] ?? null)
+    );
+  }
+  return table;
+}
 
-    const questionText = row.Question ? String(row.Question).trim() : '';
-    const answerRaw = row.Answer;
+function comparableColumns(alias) {
+  return ANSWER_COLUMNS.map(({ column, text }) =>
+    text ? `${alias}.${column} COLLATE Latin1_General_100_BIN2` : `${alias}.${column}`
+  ).join(', ');
+}
 
-    if (!questionText && (answerRaw === null || answerRaw === undefined || String(answerRaw).trim() === '')) {
-      continue;
+// Brings the current answers for a report in line with `answers` in one
+// round trip: a MERGE of the whole set into GoAuditsReportAnswers, then the
+// history versions of whatever it inserted, updated or deleted are closed and
+// opened. Unchanged answers are untouched. The caller holds UPDLOCK on the
+// report row, so no other writer interleaves.
+async function syncAnswers(transaction, reportId, answers, jobRunId, counts) {
+  const columns = ANSWER_COLUMNS.map(({ column }) => column).join(', ');
+  const sourceValues = ANSWER_COLUMNS.map(({ column }) => `s.${column}`).join(', ');
+  const assignments = ANSWER_COLUMNS.map(({ column }) => `${column} = s.${column}`).join(', ');
+
+  const request = new sql.Request(transaction);
+  request.input('reportId', sql.NVarChar(100), reportId);
+  request.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+  request.input('validFromUtc', sql.DateTime2(3), new Date());
+  request.input('answers', answerRowsTable(answers));
+
+  const startedMs = Date.now();
+  const result = await request.query(
+    `
+DECLARE @changes TABLE (ChangeAction NVARCHAR(10) NOT NULL, QuestionKey NVARCHAR(256) NOT NULL, InstanceIndex INT NOT NULL);
+
+WITH target AS (
+  SELECT * FROM dbo.GoAuditsReportAnswers WHERE GoAuditsReportId = @reportId
+)
+MERGE target AS t
+USING @answers AS s
+  ON t.QuestionKey = s.QuestionKey AND t.InstanceIndex = s.InstanceIndex
+WHEN MATCHED AND EXISTS (SELECT ${comparableColumns('t')} EXCEPT SELECT ${comparableColumns('s')}) THEN
+  UPDATE SET ${assignments}, JobRunId = @jobRunId
+WHEN NOT MATCHED BY TARGET THEN
+  INSERT (GoAuditsReportId, QuestionKey, InstanceIndex, ${columns}, JobRunId)
+  VALUES (@reportId, s.QuestionKey, s.InstanceIndex, ${sourceValues}, @jobRunId)
+WHEN NOT MATCHED BY SOURCE THEN
+  DELETE
+OUTPUT $action, COALESCE(inserted.QuestionKey, deleted.QuestionKey), COALESCE(inserted.InstanceIndex, deleted.InstanceIndex)
+  INTO @changes (ChangeAction, QuestionKey, InstanceIndex);
+
+UPDATE h
+SET ValidToUtc = @validFromUtc, ClosedByJobRunId = @jobRunId
+FROM dbo.GoAuditsReportAnswerHistory h
+JOIN @changes c ON c.QuestionKey = h.QuestionKey AND c.InstanceIndex = h.InstanceIndex
+WHERE h.GoAuditsReportId = @reportId
+  AND h.ValidToUtc IS NULL
+  AND c.ChangeAction IN (N'UPDATE', N'DELETE');
+
+INSERT INTO dbo.GoAuditsReportAnswerHistory (GoAuditsReportId, QuestionKey, InstanceIndex, ${columns}, ValidFromUtc, JobRunId)
+SELECT @reportId, s.QuestionKey, s.InstanceIndex, ${sourceValues}, @validFromUtc, @jobRunId
+FROM @answers s
+JOIN @changes c ON c.QuestionKey = s.QuestionKey AND c.InstanceIndex = s.InstanceIndex
+WHERE c.ChangeAction IN (N'INSERT', N'UPDATE');
+
+SELECT ChangeAction, COUNT(*) AS ChangeCount FROM @changes GROUP BY ChangeAction;
+    `.trim()
+  );
+  counts.answerRowsWritten += answers.length;
+  counts.answerWriteMs += Date.now() - startedMs;
+
+  const recordset = result.recordsets[result.recordsets.length - 1] || [];
+  for (const row of recordset) {
+    if (row.ChangeAction === 'INSERT') {
+      counts.answersInsertedCount += row.ChangeCount;
+    } else if (row.ChangeAction === 'UPDATE') {
+      counts.answersUpdatedCount += row.ChangeCount;
+    } else if (row.ChangeAction === 'DELETE') {
+      counts.answersDeletedCount += row.ChangeCount;
     }
+  }
+}
 
-    const questionKey = normalizeQuestionKey(row.QUESTION_ID, questionText);
-    if (!questionKey) {
+// Answers longer than AnswerValue holds are stored cut, with AnswerTruncated set.
+// Only keys and lengths are logged, never the answer text.
+function warnTruncatedAnswers(reportId, answers, jobRunId, counts) {
+  for (const answer of answers) {
+    if (!answer.answerTruncated) {
       continue;
     }
+    counts.answersTruncatedCount += 1;
+    console.warn(
+      JSON.stringify({
+        jobName: JOB_NAME,
+        jobRunId,
+        warning: 'Answer truncated',
+        reportId,
+        questionKey: answer.questionKey,
+        instanceIndex: answer.instanceIndex,
+        answerLength: answer.answerLength,
+        storedLength: MAX_ANSWER_LENGTH,
+      })
+    );
+  }
+}
 
-    let section = row.Section ? String(row.Section).trim() : null;
-    if (row.GroupName && String(row.GroupName).trim() && String(row.GroupName).trim() !== 'N/A') {
-      const combined = `${section || ''}${section ? ' | ' : ''}${String(row.GroupName).trim()}`;
-      section = truncate(combined, 200) || section;
-    }
+// Adds a report's questions to the run's catalogue and warns about questions
+// that are new or whose text differs from every text seen for the key, since
+// rulesets rely on a key keeping its meaning.
+function recordQuestions(catalogue, reportId, completedAtUtc, answers, jobRunId, counts) {
+  if (!catalogue || !completedAtUtc) {
+    return;
+  }
 
-    let answerValue = null;
-    if (answerRaw === null || answerRaw === undefined) {
-      answerValue = null;
-    } else if (typeof answerRaw === 'string' || typeof answerRaw === 'number' || typeof answerRaw === 'boolean') {
-      answerValue = truncate(String(answerRaw), 4000);
+  for (const event of observeQuestions(catalogue, reportId, completedAtUtc, answers)) {
+    if (event.type === 'NewQuestion') {
+      counts.newQuestionCount += 1;
     } else {
-      try {
-        answerValue = truncate(JSON.stringify(answerRaw), 4000);
-      } catch {
-        answerValue = null;
-      }
-    }
-
-    if (!answers.has(questionKey)) {
-      answers.set(questionKey, {
-        reportId,
-        questionKey,
-        answerValue,
-        section,
-        questionText: truncate(questionText, 1000) || null,
-      });
+      counts.questionTextChangedCount += 1;
     }
+    console.warn(
+      JSON.stringify({
+        jobName: JOB_NAME,
+        jobRunId,
+        warning: event.type === 'NewQuestion' ? 'New question' : 'Question text changed',
+        reportId: event.reportId,
+        questionKey: event.questionKey,
+        previousText: event.previousText,
+        questionText: event.questionText,
+      })
+    );
   }
-
-  return Array.from(answers.values());
 }
 
-async function processReport(pool, token, reportId, jobRunId, counts, detailsUrl) {
-  try {
-    const rows = await fetchWithRetry(detailsUrl, token, {
-      ...DETAILS_REQUEST_BASE,
-      audit_id: String(reportId),
-    });
+async function writeReport(pool, reportId, rows, jobRunId, counts, options = {}) {
+  const cert = extractCertificate(rows);
+  const answers = extractAnswers(rows, reportId);
+  const contentHash = hashPayload(JSON.stringify(rows));
+  warnTruncatedAnswers(reportId, answers, jobRunId, counts);
 
-    const hasDetail = Array.isArray(rows) && rows.some((row) => row && row.RecordType === 'Detail');
-    if (!Array.isArray(rows) || rows.length === 0 || !hasDetail) {
-      const error = new Error('No detail rows returned for report.');
-      error.retryable = false;
-      throw error;
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    const reqState = new sql.Request(transaction);
+    reqState.input('reportId', sql.NVarChar(100), reportId);
+    const stateResult = await reqState.query(
+      'SELECT CompletedAtUtc, DetailsContentHash, PendingRevisionUtc FROM dbo.GoAuditsReports WITH (UPDLOCK) WHERE GoAuditsReportId=@reportId'
+    );
+    const reportState = stateResult.recordset[0] || {};
+    const previousHash = reportState.DetailsContentHash || null;
+    const pendingRevision = Boolean(reportState.PendingRevisionUtc);
+
+    // A changed details hash is a revision. Reports enriched before hashes were
+    // kept have nothing to compare against, so a flagged edit is trusted.
+    const isRevision =
+      !options.replace &&
+      (previousHash ? previousHash !== contentHash : pendingRevision);
+    const replace = Boolean(options.replace) || isRevision;
+
+    if (pendingRevision && !isRevision && !options.replace) {
+      counts.revisionUnchangedCount += 1;
     }
 
-    const cert = extractCertificate(rows);
-    const answers = extractAnswers(rows, reportId);
+    if (options.raw) {
+      const { inserted } = await saveRawPayload(transaction, {
+        reportId,
+        source: SOURCE_DETAILS,
+        fetchedAtUtc: options.raw.fetchedAtUtc,
+        payload: rows,
+        jobRunId,
+      });
+      counts.rawStoredCount += inserted ? 1 : 0;
 
-    const transaction = new sql.Transaction(pool);
-    await transaction.begin();
+      // Fetched and parsed: any earlier failures for the report no longer apply.
+      const reqCleared = new sql.Request(transaction);
+      reqCleared.input('reportId', sql.NVarChar(100), reportId);
+      await reqCleared.query('DELETE FROM dbo.GoAuditsEnrichmentFailures WHERE GoAuditsReportId=@reportId');
+    }
 
     const requestUpdate = new sql.Request(transaction);
     requestUpdate.input('reportId', sql.NVarChar(100), reportId);
     requestUpdate.input('cert', sql.NVarChar(100), cert);
 
     if (cert) {
+      // Replays and revisions rebuild the report, so they may correct an existing certificate.
       const updateResult = await requestUpdate.query(
-        'UPDATE dbo.GoAuditsReports SET CertificationNumber=@cert WHERE GoAuditsReportId=@reportId AND (CertificationNumber IS NULL OR CertificationNumber = \'\')'
+        replace
+          ? 'UPDATE dbo.GoAuditsReports SET CertificationNumber=@cert WHERE GoAuditsReportId=@reportId AND (CertificationNumber IS NULL OR CertificationNumber <> @cert)'
+          : 'UPDATE dbo.GoAuditsReports SET CertificationNumber=@cert WHERE GoAuditsReportId=@reportId AND (CertificationNumber IS NULL OR CertificationNumber = \'\')'
       );
       counts.certUpdatedCount +=
         updateResult && updateResult.rowsAffected && updateResult.rowsAffected[0] > 0 ? 1 : 0;
     }
 
-    for (const answer of answers) {
-      const req = new sql.Request(transaction);
-      req.input('reportId', sql.NVarChar(100), answer.reportId);
-      req.input('questionKey', sql.NVarChar(256), answer.questionKey);
-      req.input('answerValue', sql.NVarChar(4000), answer.answerValue);
-      req.input('section', sql.NVarChar(200), answer.section);
-      req.input('questionText', sql.NVarChar(1000), answer.questionText);
-      req.input('jobRunId', sql.UniqueIdentifier, jobRunId);
-
-      try {
-        await req.query(
-          'INSERT INTO dbo.GoAuditsReportAnswers (GoAuditsReportId, QuestionKey, AnswerValue, Section, QuestionText, JobRunId) VALUES (@reportId, @questionKey, @answerValue, @section, @questionText, @jobRunId)'
-        );
-        counts.answersInsertedCount += 1;
-      } catch (error) {
-        if (!(error && (error.number === 2627 || error.number === 2601))) {
-          throw error;
-        }
-      }
-    }
+    await syncAnswers(transaction, reportId, answers, jobRunId, counts);
 
     const reqCheck = new sql.Request(transaction);
     reqCheck.input('reportId', sql.NVarChar(100), reportId);
@@ -391,6 +505,34 @@ async function processReport(pool, token, reportId, jobRunId, counts, detailsUrl
       counts.certMissingCount += 1;
     }
 
+    const reqRevision = new sql.Request(transaction);
+    reqRevision.input('reportId', sql.NVarChar(100), reportId);
+    reqRevision.input('contentHash', sql.Char(64), contentHash);
+    reqRevision.input('revisionIncrement', sql.Int, isRevision ? 1 : 0);
+    await reqRevision.query(
+      `
+UPDATE dbo.GoAuditsReports
+SET DetailsContentHash = @contentHash,
+    PendingRevisionUtc = NULL,
+    RevisionCount = RevisionCount + @revisionIncrement,
+    LastRevisedUtc = CASE WHEN @revisionIncrement > 0 THEN SYSUTCDATETIME() ELSE LastRevisedUtc END
+WHERE GoAuditsReportId = @reportId;
+      `.trim()
+    );
+
+    if (isRevision) {
+      // Drop the scoring ledger keys (<reportId>|<ruleset>|<version>), live and
+      // shadow, so the report is scored again against its corrected answers.
+      const reqRescore = new sql.Request(transaction);
+      reqRescore.input('jobName', sql.NVarChar(100), SCORING_JOB_NAME);
+      reqRescore.input('shadowJobName', sql.NVarChar(100), SHADOW_SCORING_JOB_NAME);
+      reqRescore.input('reportId', sql.NVarChar(100), reportId);
+      await reqRescore.query(
+        "DELETE FROM dbo.ProcessedItems WHERE JobName IN (@jobName, @shadowJobName) AND LEFT(ItemKey, LEN(@reportId) + 1) = @reportId + '|'"
+      );
+      counts.revisedCount += 1;
+    }
+
     if (answersExist) {
       const reqProcessed = new sql.Request(transaction);
       reqProcessed.input('jobName', sql.NVarChar(100), JOB_NAME);
@@ -409,15 +551,136 @@ async function processReport(pool, token, reportId, jobRunId, counts, detailsUrl
     }
 
     await transaction.commit();
+    recordQuestions(options.catalogue, reportId, reportState.CompletedAtUtc, answers, jobRunId, counts);
+  } catch (error) {
+    try {
+      await transaction.rollback();
+    } catch {
+      // best effort
+    }
+    throw error;
+  }
+}
+
+async function processReport(pool, token, reportId, jobRunId, counts, detailsUrl, catalogue, failurePolicy) {
+  try {
+    const rows = await fetchDetails(detailsUrl, token, {
+      ...DETAILS_REQUEST_BASE,
+      audit_id: String(reportId),
+    });
+    const fetchedAtUtc = new Date();
+
+    const hasDetail = Array.isArray(rows) && rows.some((row) => row && row.RecordType === 'Detail');
+    if (!Array.isArray(rows) || rows.length === 0 || !hasDetail) {
+      const error = new Error('No detail rows returned for report.');
+      error.retryable = false;
+      throw error;
+    }
+
+    await writeReport(pool, reportId, rows, jobRunId, counts, {
+      raw: { fetchedAtUtc },
+      catalogue,
+    });
     counts.processed += 1;
   } catch (error) {
-    if (error && error.fatal) {
+    // Auth failures stop the job; an open circuit stops the run and leaves the
+    // report untouched for the next one.
+    if (error && (error.fatal || error.upstreamUnavailable)) {
       throw error;
     }
     counts.failedCount += 1;
+
+    try {
+      const { attemptCount, poisoned } = await recordFailure(
+        pool,
+        reportId,
+        error,
+        jobRunId,
+        failurePolicy,
+        counts
+      );
+      console.warn(
+        JSON.stringify({
+          jobName: JOB_NAME,
+          jobRunId,
+          warning: poisoned ? 'Report poisoned' : 'Report failed',
+          reportId,
+          attemptCount,
+          error: error && error.message ? error.message : String(error),
+        })
+      );
+    } catch {
+      // best effort: the report is simply retried on the next run
+    }
+  }
+}
+
+async function replayReport(pool, record, jobRunId, counts, catalogue) {
+  try {
+    const rows = Array.isArray(record.payload) ? record.payload : [];
+    if (!rows.some((row) => row && row.RecordType === 'Detail')) {
+      throw new Error('Stored details payload has no detail rows.');
+    }
+
+    await writeReport(pool, record.reportId, rows, jobRunId, counts, {
+      replace: true,
+      catalogue,
+    });
+    counts.processed += 1;
+  } catch (error) {
+    counts.failedCount += 1;
+    console.warn(
+      JSON.stringify({
+        jobName: JOB_NAME,
+        jobRunId,
+        warning: 'Replay failed',
+        reportId: record.reportId,
+        error: error && error.message ? error.message : String(error),
+      })
+    );
+  }
+}
+
+// Rebuilds answers (and certificates) from the latest stored details payload
+// per report, replacing what is in SQL. No GoAudits calls are made.
+async function replay(pool, jobRunId, counts, batchSize, concurrency, catalogue) {
+  const reportIds = parseReportIdList(process.env.GOAUDITS_REPLAY_REPORT_IDS);
+  let afterReportId = '';
+
+  for (;;) {
+    const records = await loadLatestRawPayloads(pool, SOURCE_DETAILS, {
+      afterReportId,
+      batchSize,
+      reportIds,
+    });
+
+    if (records.length === 0) {
+      break;
+    }
+
+    counts.selected += records.length;
+    await runWorkers(records, concurrency, (record) =>
+      replayReport(pool, record, jobRunId, counts, catalogue)
+    );
+    afterReportId = records[records.length - 1].reportId;
   }
 }
 
+// Throughput for the run: reports enriched per minute of wall time, and answer
+// rows per second spent in the bulk answer write.
+function recordThroughput(counts, startedAtUtc) {
+  const elapsedMinutes = (Date.now() - Date.parse(startedAtUtc)) / 60000;
+  counts.reportsPerMinute =
+    elapsedMinutes > 0 ? Math.round((counts.processed / elapsedMinutes) * 10) / 10 : 0;
+  counts.answerRowsPerSecond =
+    counts.answerWriteMs > 0 ? Math.round((counts.answerRowsWritten * 1000) / counts.answerWriteMs) : 0;
+}
+
+function summarizeCounts(counts, mode) {
+  const prefix = mode === 'replay' ? 'Mode=Replay ' : '';
+  return `${prefix}Selected=${counts.selected} Processed=${counts.processed} CertUpdated=${counts.certUpdatedCount} AnswersInserted=${counts.answersInsertedCount} AnswersUpdated=${counts.answersUpdatedCount} AnswersDeleted=${counts.answersDeletedCount} AnswersTruncated=${counts.answersTruncatedCount} RawStored=${counts.rawStoredCount} Revised=${counts.revisedCount} RevisionUnchanged=${counts.revisionUnchangedCount} NewQuestions=${counts.newQuestionCount} QuestionTextChanged=${counts.questionTextChangedCount} QuestionsCatalogued=${counts.questionsCataloguedCount} MarkedProcessed=${counts.markedProcessedCount} CertMissing=${counts.certMissingCount} Failed=${counts.failedCount} FailuresRecorded=${counts.failuresRecordedCount} Poisoned=${counts.poisonedCount} AnswerRowsWritten=${counts.answerRowsWritten} AnswerRowsPerSec=${counts.answerRowsPerSecond} ReportsPerMin=${counts.reportsPerMinute}`;
+}
+
 async function run() {
   const jobRunId = randomUUID();
   const startedAtUtc = new Date().toISOString();
@@ -430,21 +693,47 @@ async function run() {
     failedCount: 0,
     authFatal: false,
     certMissingCount: 0,
+    answersUpdatedCount: 0,
+    answersDeletedCount: 0,
+    answersTruncatedCount: 0,
+    rawStoredCount: 0,
+    revisedCount: 0,
+    revisionUnchangedCount: 0,
+    newQuestionCount: 0,
+    questionTextChangedCount: 0,
+    questionsCataloguedCount: 0,
+    failuresRecordedCount: 0,
+    poisonedCount: 0,
+    answerRowsWritten: 0,
+    answerWriteMs: 0,
+    answerRowsPerSecond: 0,
+    reportsPerMinute: 0,
   };
+  const mode = getEnv('GOAUDITS_ENRICH_MODE', 'live').trim().toLowerCase();
 
   let pool;
   let status = 'Succeeded';
   let errorMessage = '';
 
   try {
+    if (mode !== 'live' && mode !== 'replay') {
+      throw new Error(`Unsupported GOAUDITS_ENRICH_MODE: ${mode}. Expected live or replay.`);
+    }
+
     pool = await getSqlPool();
-    await insertJobRun(pool, jobRunId, 'Running', 'Starting GoAudits enrichment');
+    await insertJobRun(
+      pool,
+      jobRunId,
+      'Running',
+      mode === 'replay' ? 'Starting GoAudits enrichment replay' : 'Starting GoAudits enrichment'
+    );
 
     console.log(
       JSON.stringify({
         jobName: JOB_NAME,
         jobRunId,
         startedAtUtc,
+        mode,
       })
     );
 
@@ -462,6 +751,27 @@ async function run() {
       DEFAULT_DETAILS_URL
     );
 
+    if (mode === 'replay') {
+      const catalogue = await loadQuestionCatalogue(pool);
+      await replay(pool, jobRunId, counts, batchSize, concurrency, catalogue);
+      counts.questionsCataloguedCount = await flushQuestionCatalogue(pool, catalogue, jobRunId);
+      recordThroughput(counts, startedAtUtc);
+
+      const message = summarizeCounts(counts, mode);
+      await updateJobRun(pool, jobRunId, status, message);
+      console.log(
+        JSON.stringify({
+          jobName: JOB_NAME,
+          jobRunId,
+          completedAtUtc: new Date().toISOString(),
+          status,
+          mode,
+          counts,
+        })
+      );
+      process.exit(0);
+    }
+
     const reportIds = await selectBatch(pool, batchSize);
     counts.selected = reportIds.length;
     if (reportIds.length === 0) {
@@ -481,19 +791,34 @@ async function run() {
     }
 
     const token = await getBearerToken();
+    const catalogue = await loadQuestionCatalogue(pool);
+    const failurePolicy = getFailurePolicy();
 
-    const queue = [...reportIds];
-    const workers = new Array(concurrency).fill(0).map(async () => {
-      while (queue.length) {
-        const reportId = queue.shift();
-        await processReport(pool, token, reportId, jobRunId, counts, detailsUrl);
-      }
-    });
+    // The breaker was left open by an earlier run: probe with one request
+    // before letting the batch through.
+    if (await isCircuitBreakerOpen(pool)) {
+      startHalfOpen();
+    }
 
-    await Promise.all(workers);
+    let upstreamError = null;
+    try {
+      await runWorkers(reportIds, concurrency, (reportId) =>
+        processReport(pool, token, reportId, jobRunId, counts, detailsUrl, catalogue, failurePolicy)
+      );
+    } catch (error) {
+      if (!(error && error.upstreamUnavailable)) {
+        throw error;
+      }
+      status = STATUS_UPSTREAM_UNAVAILABLE;
+      upstreamError = error.message;
+    }
+    await saveCircuitBreaker(pool, getCircuitState());
+    counts.questionsCataloguedCount = await flushQuestionCatalogue(pool, catalogue, jobRunId);
+    recordThroughput(counts, startedAtUtc);
 
     const completedAtUtc = new Date().toISOString();
-    const message = `Selected=${counts.selected} Processed=${counts.processed} CertUpdated=${counts.certUpdatedCount} AnswersInserted=${counts.answersInsertedCount} MarkedProcessed=${counts.markedProcessedCount} CertMissing=${counts.certMissingCount} Failed=${counts.failedCount}`;
+    const summary = summarizeCounts(counts, mode);
+    const message = upstreamError ? `${upstreamError} ${summary}` : summary;
     await updateJobRun(pool, jobRunId, status, message);
 
     console.log(
@@ -503,6 +828,7 @@ async function run() {
         completedAtUtc,
         status,
         counts,
+        ...(upstreamError ? { error: upstreamError } : {}),
       })
     );
     process.exit(0);
@@ -531,6 +857,7 @@ async function run() {
         jobRunId,
         completedAtUtc,
         status,
+        mode,
         counts,
         error: errorMessage,
       })
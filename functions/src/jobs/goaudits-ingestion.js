@@ -1,19 +1,23 @@
-const { randomUUID } = require('crypto');
-const { DefaultAzureCredential } = require('@azure/identity');
-const { SecretClient } = require('@azure/keyvault-secrets');
+const { randomUUID, createHash } = require('crypto');
 const { sql, getSqlPool } = require('../shared/sql');
+const { getBearerToken, postJson } = require('../shared/goaudits-client');
+const { DAY_MS, formatDateOnly, parseDateOnly, buildSlices } = require('../shared/date-slices');
+const {
+  SOURCE_SUMMARY,
+  saveRawPayload,
+  loadLatestRawPayloads,
+  parseReportIdList,
+} = require('../shared/goaudits-raw-payloads');
 
 const JOB_NAME = 'GoAuditsIngestion';
 const DEFAULT_AUDIT_URL =
   'https://api.goaudits.com/v1/audits/getauditsummary';
-const DEFAULT_SECRET_NAME = 'goaudits-bearer-token';
 const MAX_MESSAGE_LENGTH = 4000;
-const REQUEST_TIMEOUT_MS = 30000;
-const MAX_RETRIES = 5;
-
-const credential = new DefaultAzureCredential({
-  managedIdentityClientId: process.env.AZURE_CLIENT_ID,
-});
+const DEFAULT_SLICE_DAYS = 7;
+// Off until getauditsummary is confirmed to honour pageNumber/pageSize.
+const DEFAULT_PAGE_SIZE = 0;
+const DEFAULT_MAX_PAGES = 200;
+const DEFAULT_REPLAY_BATCH_SIZE = 500;
 
 function truncateMessage(message) {
   if (!message) {
@@ -25,15 +29,21 @@ function truncateMessage(message) {
     : message;
 }
 
-function formatDateOnly(date) {
-  return date.toISOString().slice(0, 10);
-}
-
 function getEnv(name, defaultValue) {
   const value = process.env[name];
   return value && value.trim().length > 0 ? value : defaultValue;
 }
 
+function parsePositiveInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+}
+
+function parseNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
 function getFirstDefined(item, keys) {
   for (const key of keys) {
     if (Object.prototype.hasOwnProperty.call(item, key) && item[key] != null) {
@@ -94,131 +104,85 @@ async function getWatermark(pool) {
   };
 }
 
-async function getBearerToken() {
-  const keyVaultUri = process.env.KEYVAULT_URI;
-  const secretName = getEnv(
-    'GOAUDITS_BEARER_SECRET_NAME',
-    DEFAULT_SECRET_NAME
-  );
-
-  if (!keyVaultUri) {
-    throw new Error('KEYVAULT_URI environment variable is not set.');
-  }
-
-  const client = new SecretClient(keyVaultUri, credential);
-  const secret = await client.getSecret(secretName);
+async function fetchPage(url, token, payload) {
+  const parsed = await postJson(url, token, payload);
 
-  if (!secret || !secret.value) {
-    throw new Error('GoAudits bearer token was empty.');
+  if (Array.isArray(parsed)) {
+    return { items: parsed, keys: parsed[0] ? Object.keys(parsed[0]) : [] };
   }
 
-  return secret.value;
+  return { items: [], keys: Object.keys(parsed || {}) };
 }
 
-async function fetchPage(url, token, payload) {
-  const headers = {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${token}`,
-  };
-
-  const body = JSON.stringify(payload);
-  let attempt = 0;
-
-  while (attempt < MAX_RETRIES) {
-    attempt += 1;
-    const controller = new AbortController();
-    const timeout = setTimeout(
-      () => controller.abort(),
-      REQUEST_TIMEOUT_MS
-    );
+function pageSignature(items) {
+  return createHash('sha1').update(JSON.stringify(items)).digest('hex');
+}
 
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body,
-        signal: controller.signal,
-      });
-
-      if (response.status === 401 || response.status === 403) {
-        const error = new Error(
-          `Authorization failed with status ${response.status}.`
-        );
-        error.fatal = true;
-        throw error;
-      }
+async function collectAudits(token, payload, paging) {
+  const url = getEnv('GOAUDITS_AUDITSUMMARY_URL', DEFAULT_AUDIT_URL);
 
-      if (
-        response.status === 429 ||
-        (response.status >= 500 && response.status < 600)
-      ) {
-        if (attempt >= MAX_RETRIES) {
-          throw new Error(
-            `GoAudits API returned ${response.status} after ${attempt} attempts.`
-          );
-        }
+  if (!paging.pageSize) {
+    const { items, keys } = await fetchPage(url, token, payload);
+    return { items, keys, pages: 1 };
+  }
 
-        const delay =
-          Math.min(1000 * 2 ** (attempt - 1), 8000) +
-          Math.floor(Math.random() * 300);
+  const items = [];
+  let keys = [];
+  let pages = 0;
+  let previousSignature = null;
 
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        continue;
-      }
+  for (let pageNumber = 1; ; pageNumber += 1) {
+    if (pageNumber > paging.maxPages) {
+      throw new Error(
+        `GoAudits summary returned more than ${paging.maxPages} pages for ${payload.start_date}..${payload.end_date}; reduce GOAUDITS_INGEST_SLICE_DAYS.`
+      );
+    }
 
-      if (!response.ok) {
-        const error = new Error(
-          `GoAudits API returned ${response.status} ${response.statusText} for ${url}.`
-        );
-        error.fatal = true;
-        throw error;
-      }
+    const page = await fetchPage(url, token, {
+      ...payload,
+      pageNumber,
+      pageSize: paging.pageSize,
+    });
+    pages += 1;
 
-      const parsed = await response.json().catch(() => {
-        const error = new Error('GoAudits API response was not valid JSON.');
-        error.fatal = true;
-        throw error;
-      });
+    if (pageNumber === 1) {
+      keys = page.keys;
+    }
 
-      if (Array.isArray(parsed)) {
-        return { items: parsed, keys: parsed[0] ? Object.keys(parsed[0]) : [] };
-      }
+    // An endpoint that ignores paging returns the same rows again; stop rather than loop.
+    const signature = pageSignature(page.items);
+    if (page.items.length === 0 || signature === previousSignature) {
+      break;
+    }
 
-      return { items: [], keys: Object.keys(parsed || {}) };
-    } catch (error) {
-      if ((error && error.fatal) || attempt >= MAX_RETRIES) {
-        throw error;
-      }
+    items.push(...page.items);
+    previousSignature = signature;
 
-      const delay =
-        Math.min(1000 * 2 ** (attempt - 1), 8000) +
-        Math.floor(Math.random() * 300);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    } finally {
-      clearTimeout(timeout);
+    if (page.items.length < paging.pageSize) {
+      break;
     }
   }
 
-  return { items: [], keys: [] };
+  return { items, keys, pages };
 }
 
-async function collectAudits(token, payload) {
-  const url = getEnv('GOAUDITS_AUDITSUMMARY_URL', DEFAULT_AUDIT_URL);
-  const { items, keys } = await fetchPage(url, token, payload);
-  return { items, keys, pages: 1 };
+function parseUpdatedOnValue(item) {
+  const updatedOn = getFirstDefined(item, ['Updated_On', 'updated_on']);
+  if (!updatedOn) {
+    return null;
+  }
+
+  const formatted =
+    typeof updatedOn === 'string'
+      ? `${updatedOn.replace(' ', 'T')}Z`
+      : updatedOn;
+  return parseCompletedAt(formatted);
 }
 
 function parseCompletedAtValue(item) {
-  const updatedOn = getFirstDefined(item, ['Updated_On', 'updated_on']);
+  const updatedOn = parseUpdatedOnValue(item);
   if (updatedOn) {
-    const formatted =
-      typeof updatedOn === 'string'
-        ? `${updatedOn.replace(' ', 'T')}Z`
-        : updatedOn;
-    const parsed = parseCompletedAt(formatted);
-    if (parsed) {
-      return parsed;
-    }
+    return updatedOn;
   }
 
   const fallback = getFirstDefined(item, ['EndTime', 'endTime', 'Date', 'date']);
@@ -245,8 +209,84 @@ function buildPayload(watermark) {
   };
 }
 
+function toIngestItem(item) {
+  const reportId =
+    getFirstDefined(item, [
+      'ID',
+      'Id',
+      'auditId',
+      'audit_id',
+      'id',
+      'reportId',
+      'report_id',
+    ]) || null;
+
+  const completedAt = parseCompletedAtValue(item);
+  const updatedOn = parseUpdatedOnValue(item);
+
+  const certificationNumber =
+    getFirstDefined(item, [
+      'certificationNumber',
+      'certification_number',
+      'certification',
+      'certNumber',
+      'cert_number',
+    ]) || null;
+
+  const templateName = getFirstDefined(item, [
+    'Template_Name',
+    'template_name',
+    'TemplateName',
+    'Checklist_Name',
+    'checklist_name',
+    'Checklist',
+  ]);
+
+  if (!reportId || !completedAt) {
+    return null;
+  }
+
+  return {
+    reportId: String(reportId),
+    completedAtUtc: new Date(completedAt),
+    updatedOnUtc: updatedOn,
+    certificationNumber: certificationNumber
+      ? String(certificationNumber)
+      : null,
+    templateName: templateName ? String(templateName).trim().slice(0, 200) || null : null,
+  };
+}
+
 function summarizeCounts(counts) {
-  return `Fetched=${counts.fetched} Eligible=${counts.eligible} Ingested=${counts.ingested} Skipped=${counts.skipped} AlreadyProcessed=${counts.alreadyProcessed}`;
+  return `Fetched=${counts.fetched} Eligible=${counts.eligible} Ingested=${counts.ingested} Skipped=${counts.skipped} AlreadyProcessed=${counts.alreadyProcessed} RevisionsDetected=${counts.revisionsDetected} Slices=${counts.slicesCompleted}/${counts.slices} Pages=${counts.pages} RawStored=${counts.rawStored}`;
+}
+
+function summarizeReplayCounts(counts) {
+  return `Mode=Replay Replayed=${counts.replayed} Inserted=${counts.ingested} Updated=${counts.updated} Unchanged=${counts.unchanged} Skipped=${counts.skipped}`;
+}
+
+// An already-ingested report whose Updated_On moved forward was edited in
+// GoAudits after completion; flag it so enrichment fetches it again.
+async function flagRevision(transaction, item) {
+  if (!item.updatedOnUtc) {
+    return 0;
+  }
+
+  const request = new sql.Request(transaction);
+  request.input('reportId', sql.NVarChar(100), item.reportId);
+  request.input('updatedOnUtc', sql.DateTime2, item.updatedOnUtc);
+
+  const result = await request.query(
+    `
+UPDATE dbo.GoAuditsReports
+SET SourceUpdatedOnUtc = @updatedOnUtc,
+    PendingRevisionUtc = COALESCE(PendingRevisionUtc, SYSUTCDATETIME())
+WHERE GoAuditsReportId = @reportId
+  AND @updatedOnUtc > COALESCE(SourceUpdatedOnUtc, CompletedAtUtc);
+    `.trim()
+  );
+
+  return result.rowsAffected[0] > 0 ? 1 : 0;
 }
 
 async function ingestIntoSql(
@@ -256,13 +296,28 @@ async function ingestIntoSql(
   maxCompletedAtUtc,
   counts,
   watermarkExists,
-  currentWatermark
+  currentWatermark,
+  rawPayloads
 ) {
   const transaction = new sql.Transaction(pool);
   await transaction.begin();
 
   try {
     for (const item of items) {
+      // Land the raw summary rows once per report, including already-processed ones.
+      const raw = rawPayloads.get(item.reportId);
+      if (raw) {
+        rawPayloads.delete(item.reportId);
+        const { inserted } = await saveRawPayload(transaction, {
+          reportId: item.reportId,
+          source: SOURCE_SUMMARY,
+          fetchedAtUtc: raw.fetchedAtUtc,
+          payload: raw.rows,
+          jobRunId: runId,
+        });
+        counts.rawStored += inserted ? 1 : 0;
+      }
+
       const processedRequest = new sql.Request(transaction);
       processedRequest.input('jobName', sql.NVarChar(100), JOB_NAME);
       processedRequest.input('itemKey', sql.NVarChar(200), item.reportId);
@@ -276,6 +331,7 @@ async function ingestIntoSql(
         // PK violation means already processed
         if (error && (error.number === 2627 || error.number === 2601)) {
           counts.alreadyProcessed += 1;
+          counts.revisionsDetected += await flagRevision(transaction, item);
           continue;
         }
         throw error;
@@ -297,10 +353,16 @@ async function ingestIntoSql(
         sql.NVarChar(100),
         item.certificationNumber
       );
+      reportRequest.input(
+        'sourceUpdatedOnUtc',
+        sql.DateTime2,
+        item.updatedOnUtc
+      );
+      reportRequest.input('templateName', sql.NVarChar(200), item.templateName);
       reportRequest.input('jobRunId', sql.UniqueIdentifier, runId);
 
       await reportRequest.query(
-        'INSERT INTO dbo.GoAuditsReports (GoAuditsReportId, CompletedAtUtc, CertificationNumber, JobRunId) VALUES (@reportId, @completedAtUtc, @certificationNumber, @jobRunId)'
+        'INSERT INTO dbo.GoAuditsReports (GoAuditsReportId, CompletedAtUtc, CertificationNumber, SourceUpdatedOnUtc, TemplateName, JobRunId) VALUES (@reportId, @completedAtUtc, @certificationNumber, @sourceUpdatedOnUtc, @templateName, @jobRunId)'
       );
 
       counts.ingested += 1;
@@ -332,6 +394,218 @@ ELSE
   }
 }
 
+async function replayReport(pool, runId, record, counts) {
+  const rows = Array.isArray(record.payload) ? record.payload : [record.payload];
+  const ingestItem = rows.map(toIngestItem).find(Boolean);
+
+  if (!ingestItem || ingestItem.reportId !== record.reportId) {
+    counts.skipped += 1;
+    return;
+  }
+
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    const request = new sql.Request(transaction);
+    request.input('reportId', sql.NVarChar(100), ingestItem.reportId);
+    request.input('completedAtUtc', sql.DateTime2, ingestItem.completedAtUtc);
+    request.input(
+      'certificationNumber',
+      sql.NVarChar(100),
+      ingestItem.certificationNumber
+    );
+    request.input('sourceUpdatedOnUtc', sql.DateTime2, ingestItem.updatedOnUtc);
+    request.input('templateName', sql.NVarChar(200), ingestItem.templateName);
+    request.input('jobRunId', sql.UniqueIdentifier, runId);
+    request.input('jobName', sql.NVarChar(100), JOB_NAME);
+
+    // Certificates normally arrive via enrichment, so a blank summary value
+    // never clears one that is already set.
+    const result = await request.query(
+      `
+IF EXISTS (SELECT 1 FROM dbo.GoAuditsReports WHERE GoAuditsReportId = @reportId)
+BEGIN
+  UPDATE dbo.GoAuditsReports
+  SET CompletedAtUtc = @completedAtUtc,
+      CertificationNumber = COALESCE(@certificationNumber, CertificationNumber),
+      SourceUpdatedOnUtc = COALESCE(@sourceUpdatedOnUtc, SourceUpdatedOnUtc),
+      TemplateName = COALESCE(@templateName, TemplateName)
+  WHERE GoAuditsReportId = @reportId
+    AND (
+      CompletedAtUtc <> @completedAtUtc
+      OR (@sourceUpdatedOnUtc IS NOT NULL AND (SourceUpdatedOnUtc IS NULL OR SourceUpdatedOnUtc <> @sourceUpdatedOnUtc))
+      OR (@certificationNumber IS NOT NULL AND (CertificationNumber IS NULL OR CertificationNumber <> @certificationNumber))
+      OR (@templateName IS NOT NULL AND (TemplateName IS NULL OR TemplateName <> @templateName))
+    );
+  SELECT CAST(CASE WHEN @@ROWCOUNT > 0 THEN 'Updated' ELSE 'Unchanged' END AS NVARCHAR(20)) AS Outcome;
+END
+ELSE
+BEGIN
+  INSERT INTO dbo.GoAuditsReports (GoAuditsReportId, CompletedAtUtc, CertificationNumber, SourceUpdatedOnUtc, TemplateName, JobRunId)
+  VALUES (@reportId, @completedAtUtc, @certificationNumber, @sourceUpdatedOnUtc, @templateName, @jobRunId);
+
+  IF NOT EXISTS (SELECT 1 FROM dbo.ProcessedItems WHERE JobName = @jobName AND ItemKey = @reportId)
+    INSERT INTO dbo.ProcessedItems (JobName, ItemKey, RunId) VALUES (@jobName, @reportId, @jobRunId);
+
+  SELECT CAST('Inserted' AS NVARCHAR(20)) AS Outcome;
+END
+      `.trim()
+    );
+
+    await transaction.commit();
+
+    const outcome = result.recordset[0].Outcome;
+    if (outcome === 'Inserted') {
+      counts.ingested += 1;
+    } else if (outcome === 'Updated') {
+      counts.updated += 1;
+    } else {
+      counts.unchanged += 1;
+    }
+  } catch (error) {
+    try {
+      await transaction.rollback();
+    } catch {
+      // best effort
+    }
+    throw error;
+  }
+}
+
+// Rebuilds GoAuditsReports from the latest stored summary payload per report.
+// No GoAudits calls are made and the watermark is left untouched.
+async function replay(pool, runId, counts) {
+  const batchSize = parsePositiveInt(
+    process.env.GOAUDITS_REPLAY_BATCH_SIZE,
+    DEFAULT_REPLAY_BATCH_SIZE
+  );
+  const reportIds = parseReportIdList(process.env.GOAUDITS_REPLAY_REPORT_IDS);
+  let afterReportId = '';
+
+  for (;;) {
+    const records = await loadLatestRawPayloads(pool, SOURCE_SUMMARY, {
+      afterReportId,
+      batchSize,
+      reportIds,
+    });
+
+    if (records.length === 0) {
+      break;
+    }
+
+    for (const record of records) {
+      await replayReport(pool, runId, record, counts);
+      counts.replayed += 1;
+    }
+
+    afterReportId = records[records.length - 1].reportId;
+  }
+}
+
+async function ingestSlice(pool, runId, token, basePayload, slice, isLastSlice, state, counts) {
+  const payload = {
+    ...basePayload,
+    start_date: slice.start_date,
+    end_date: slice.end_date,
+  };
+
+  const { items, keys, pages } = await collectAudits(token, payload, state.paging);
+  const fetchedAtUtc = new Date();
+  counts.pages += pages;
+  counts.fetched += items.length;
+
+  if (!state.keysLogged && keys && keys.length > 0) {
+    state.keysLogged = true;
+    console.log(
+      JSON.stringify({
+        jobName: JOB_NAME,
+        jobRunId: runId,
+        info: 'First item keys',
+        keys,
+      })
+    );
+  }
+
+  let maxCompletedAtUtc = null;
+  const toIngest = [];
+  const rawPayloads = new Map();
+
+  for (const item of items) {
+    const ingestItem = toIngestItem(item);
+
+    // Eligibility is judged against the watermark the run started from, so a
+    // slice that advanced it cannot hide late-updated items in later slices.
+    if (!ingestItem || ingestItem.completedAtUtc <= state.startWatermark) {
+      counts.skipped += 1;
+      continue;
+    }
+
+    toIngest.push(ingestItem);
+
+    const raw = rawPayloads.get(ingestItem.reportId);
+    if (raw) {
+      raw.rows.push(item);
+    } else {
+      rawPayloads.set(ingestItem.reportId, { fetchedAtUtc, rows: [item] });
+    }
+
+    if (!maxCompletedAtUtc || ingestItem.completedAtUtc > maxCompletedAtUtc) {
+      maxCompletedAtUtc = ingestItem.completedAtUtc;
+    }
+  }
+
+  counts.eligible += toIngest.length;
+
+  // Items are dated by Updated_On, so a slice can hold audits dated after its
+  // end_date. Until the last slice is in, a slice moves the watermark no
+  // further than its own upper bound; otherwise a later slice that fails
+  // would be skipped by the next run. The last slice commits the latest date seen.
+  if (maxCompletedAtUtc && (!state.maxCompletedAtUtc || maxCompletedAtUtc > state.maxCompletedAtUtc)) {
+    state.maxCompletedAtUtc = maxCompletedAtUtc;
+  }
+  const sliceUpperBound = new Date(parseDateOnly(slice.end_date, 'end_date').getTime() + DAY_MS);
+  let candidate = state.maxCompletedAtUtc;
+  if (!isLastSlice) {
+    candidate =
+      maxCompletedAtUtc && maxCompletedAtUtc > sliceUpperBound ? sliceUpperBound : maxCompletedAtUtc;
+  }
+  const nextWatermark =
+    candidate && candidate > state.watermark ? candidate : null;
+
+  if (toIngest.length > 0 || !state.watermarkExists || nextWatermark) {
+    await ingestIntoSql(
+      pool,
+      runId,
+      toIngest,
+      nextWatermark,
+      counts,
+      state.watermarkExists,
+      state.watermark,
+      rawPayloads
+    );
+    state.watermarkExists = true;
+    if (nextWatermark) {
+      state.watermark = nextWatermark;
+    }
+  }
+
+  counts.slicesCompleted += 1;
+
+  console.log(
+    JSON.stringify({
+      jobName: JOB_NAME,
+      jobRunId: runId,
+      info: 'Slice ingested',
+      start_date: slice.start_date,
+      end_date: slice.end_date,
+      pages,
+      fetched: items.length,
+      eligible: toIngest.length,
+    })
+  );
+}
+
 async function main() {
   const runId = randomUUID();
   const startedAtUtc = new Date().toISOString();
@@ -345,7 +619,15 @@ async function main() {
     skipped: 0,
     alreadyProcessed: 0,
     pages: 0,
+    slices: 0,
+    slicesCompleted: 0,
+    rawStored: 0,
+    revisionsDetected: 0,
+    replayed: 0,
+    updated: 0,
+    unchanged: 0,
   };
+  const mode = getEnv('GOAUDITS_INGEST_MODE', 'live').trim().toLowerCase();
 
   let pool;
   let status = 'Succeeded';
@@ -354,99 +636,83 @@ async function main() {
   let payload;
   let startDate;
   let endDate;
+  let currentSlice;
 
   try {
-    pool = await getSqlPool();
-    await insertJobRun(pool, runId, 'Running', 'Starting GoAudits ingestion', correlationId);
-
-    const { watermark, exists: watermarkExists } = await getWatermark(pool);
-    const bearerToken = await getBearerToken();
-
-    payload = buildPayload(watermark);
-    startDate = payload.start_date;
-    endDate = payload.end_date;
+    if (mode !== 'live' && mode !== 'replay') {
+      throw new Error(`Unsupported GOAUDITS_INGEST_MODE: ${mode}. Expected live or replay.`);
+    }
 
-    const { items, keys, pages } = await collectAudits(bearerToken, payload);
-    counts.pages = pages;
+    pool = await getSqlPool();
+    await insertJobRun(
+      pool,
+      runId,
+      'Running',
+      mode === 'replay' ? 'Starting GoAudits ingestion replay' : 'Starting GoAudits ingestion',
+      correlationId
+    );
 
-    let maxCompletedAtUtc = null;
-    const toIngest = [];
+    if (mode === 'replay') {
+      await replay(pool, runId, counts);
 
-    if (Array.isArray(items)) {
-      counts.fetched = items.length;
-    }
+      completedAtUtc = new Date().toISOString();
+      message = summarizeReplayCounts(counts);
+      await updateJobRun(pool, runId, 'Succeeded', message);
 
-    if (keys && keys.length > 0) {
       console.log(
         JSON.stringify({
           jobName: JOB_NAME,
           jobRunId: runId,
-          info: 'First item keys',
-          keys,
+          startedAtUtc,
+          completedAtUtc,
+          status,
+          mode,
+          counts,
         })
       );
+      process.exit(0);
     }
 
-    for (const item of items) {
-      const reportId =
-        getFirstDefined(item, [
-          'ID',
-          'Id',
-          'auditId',
-          'audit_id',
-          'id',
-          'reportId',
-          'report_id',
-        ]) || null;
-
-      const completedAt = parseCompletedAtValue(item);
-
-      const certificationNumber =
-        getFirstDefined(item, [
-          'certificationNumber',
-          'certification_number',
-          'certification',
-          'certNumber',
-          'cert_number',
-        ]) || null;
-
-      if (!reportId || !completedAt) {
-        counts.skipped += 1;
-        continue;
-      }
-
-      if (completedAt <= watermark) {
-        counts.skipped += 1;
-        continue;
-      }
-
-      const normalizedCompleted = new Date(completedAt);
-      toIngest.push({
-        reportId: String(reportId),
-        completedAtUtc: normalizedCompleted,
-        certificationNumber: certificationNumber
-          ? String(certificationNumber)
-          : null,
-      });
-
-      if (!maxCompletedAtUtc || normalizedCompleted > maxCompletedAtUtc) {
-        maxCompletedAtUtc = normalizedCompleted;
-      }
-    }
+    const { watermark, exists: watermarkExists } = await getWatermark(pool);
+    const bearerToken = await getBearerToken();
 
-    counts.eligible = toIngest.length;
+    payload = buildPayload(watermark);
+    startDate = payload.start_date;
+    endDate = payload.end_date;
 
-    if (toIngest.length > 0 || !watermarkExists) {
-      await ingestIntoSql(
-        pool,
-        runId,
-        toIngest,
-        maxCompletedAtUtc,
-        counts,
-        watermarkExists,
-        watermark
-      );
+    const sliceDays = parsePositiveInt(
+      process.env.GOAUDITS_INGEST_SLICE_DAYS,
+      DEFAULT_SLICE_DAYS
+    );
+    const slices = buildSlices(startDate, endDate, sliceDays);
+    counts.slices = slices.length;
+
+    const state = {
+      startWatermark: watermark,
+      watermark,
+      maxCompletedAtUtc: null,
+      watermarkExists,
+      keysLogged: false,
+      paging: {
+        pageSize: parseNonNegativeInt(
+          process.env.GOAUDITS_PAGE_SIZE,
+          DEFAULT_PAGE_SIZE
+        ),
+        maxPages: parsePositiveInt(
+          process.env.GOAUDITS_MAX_PAGES,
+          DEFAULT_MAX_PAGES
+        ),
+      },
+    };
+
+    // Each slice commits its own rows and watermark, so a failure part-way
+    // through a backfill resumes from the last committed slice.
+    for (const [index, slice] of slices.entries()) {
+      currentSlice = slice;
+      const isLastSlice = index === slices.length - 1;
+      await ingestSlice(pool, runId, bearerToken, payload, slice, isLastSlice, state, counts);
     }
+    currentSlice = undefined;
 
     completedAtUtc = new Date().toISOString();
     message = summarizeCounts(counts);
@@ -471,7 +737,12 @@ async function main() {
     const safeMessage = truncateMessage(
       error && error.message ? error.message : 'GoAudits ingestion failed.'
     );
-    message = `${summarizeCounts(counts)} | Error: ${safeMessage}`;
+    const sliceNote = currentSlice
+      ? ` | FailedSlice=${currentSlice.start_date}..${currentSlice.end_date}`
+      : '';
+    const summary =
+      mode === 'replay' ? summarizeReplayCounts(counts) : summarizeCounts(counts);
+    message = `${summary}${sliceNote} | Error: ${safeMessage}`;
 
     if (pool) {
       try {
@@ -494,10 +765,12 @@ async function main() {
         startedAtUtc,
         completedAtUtc,
         status,
+        mode,
         counts,
         error: safeMessage,
         start_date: startDate,
         end_date: endDate,
+        failed_slice: currentSlice,
       })
     );
     process.exit(1);
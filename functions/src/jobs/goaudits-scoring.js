@@ -1,244 +1,512 @@
 const { randomUUID } = require('crypto');
-const fs = require('fs');
-const path = require('path');
 const { sql, getSqlPool } = require('../shared/sql');
+const {
+  EFFECTIVE_VERSION,
+  loadRules,
+  loadEffectiveVersions,
+  versionInForce,
+  extractRulesetQuestionKeys,
+  scoreAnswers,
+} = require('../shared/goaudits-rules');
+const { ROUTE_STATUS, loadRouting, resolveRoute } = require('../shared/goaudits-routing');
+const { runWorkers } = require('../shared/workers');
+const { parseReportIdList } = require('../shared/goaudits-raw-payloads');
 
 const JOB_NAME = 'GoAuditsScoring';
+// Where a run writes: production, or shadow tables for a candidate version
+// (kept out of the tracker view), each with its own ProcessedItems ledger.
+const LIVE_OUTPUT = { ledgerJobName: JOB_NAME, scores: 'dbo.GoAuditsScores', findings: 'dbo.GoAuditsFindings' };
+const SHADOW_OUTPUT = {
+  ledgerJobName: 'GoAuditsScoringShadow',
+  scores: 'dbo.GoAuditsShadowScores',
+  findings: 'dbo.GoAuditsShadowFindings',
+};
 const DEFAULT_RULESET_VERSION = 'v1';
 const DEFAULT_BATCH_SIZE = 100;
-
-function requireEnv(name) {
-  const value = process.env[name];
-  if (!value || !value.trim()) {
-    throw new Error(`${name} environment variable is not set.`);
-  }
-  return value.trim();
-}
+const DEFAULT_MAX_BATCHES = 100;
 
 function parseIntEnv(name, defaultValue) {
   const value = parseInt(process.env[name], 10);
   return Number.isFinite(value) && value > 0 ? value : defaultValue;
 }
 
-function loadRules(ruleset, version) {
-  const fileName = `${ruleset.toLowerCase()}.${version}.json`;
-  const filePath = path.join(__dirname, '..', 'rules', fileName);
-  const raw = fs.readFileSync(filePath, 'utf8');
-  const json = JSON.parse(raw);
-
-  if (!json.ruleSetName || !json.ruleSetVersion || !Array.isArray(json.rules) || !json.scoring) {
-    throw new Error('Rules file missing required fields (ruleSetName, ruleSetVersion, rules, scoring).');
-  }
-
-  if (String(json.ruleSetVersion) !== version) {
-    throw new Error(`Rules version mismatch. Expected ${version}, found ${json.ruleSetVersion}.`);
-  }
-
-  if (String(json.ruleSetName).toLowerCase() !== ruleset.toLowerCase()) {
-    throw new Error(`Rules name mismatch. Expected ${ruleset}, found ${json.ruleSetName}.`);
-  }
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
 
-  if (!Array.isArray(json.scoring.outcomeRules) || json.scoring.outcomeRules.length === 0 || !json.scoring.scoreValue) {
-    throw new Error('Scoring configuration is incomplete (outcomeRules/scoreValue).');
-  }
+async function insertJobRun(pool, runId, status, message) {
+  const request = pool.request();
+  request.input('runId', sql.UniqueIdentifier, runId);
+  request.input('jobName', sql.NVarChar(100), JOB_NAME);
+  request.input('status', sql.NVarChar(30), status);
+  request.input('message', sql.NVarChar(4000), message || '');
+  request.input('correlationId', sql.NVarChar(100), runId);
 
-  return json;
+  await request.query(
+    'INSERT INTO dbo.JobRunHistory (RunId, JobName, Status, Message, CorrelationId) VALUES (@runId, @jobName, @status, @message, @correlationId)'
+  );
 }
 
-function extractRulesetQuestionKeys(rulesDoc) {
-  const keys = new Set();
-  for (const rule of rulesDoc.rules ?? []) {
-    for (const k of rule.questionKeysAny ?? []) keys.add(Number(k));
-  }
-  for (const k of rulesDoc.ignoreQuestionKeys ?? []) keys.add(Number(k));
-  return keys;
+async function updateJobRun(pool, runId, status, message) {
+  const request = pool.request();
+  request.input('runId', sql.UniqueIdentifier, runId);
+  request.input('status', sql.NVarChar(30), status);
+  request.input('message', sql.NVarChar(4000), message || '');
+
+  await request.query(
+    'UPDATE dbo.JobRunHistory SET Status = @status, Message = @message, RunCompletedUtc = SYSUTCDATETIME() WHERE RunId = @runId'
+  );
 }
 
-function normalizeAnswer(value, options = {}) {
-  const { trim = false, caseInsensitive = false, emptyIsNull = false } = options;
+// The effective-dated version (dbo.GoAuditsRuleSetVersions) of
+// @effectiveRuleSetName in force at r.CompletedAtUtc, as ev.RuleSetVersion.
+const EFFECTIVE_VERSION_APPLY = `
+    OUTER APPLY (
+        SELECT TOP (1) v.RuleSetVersion
+        FROM dbo.GoAuditsRuleSetVersions v
+        WHERE v.RuleSetName = @effectiveRuleSetName
+          AND (v.EffectiveFromUtc IS NULL OR r.CompletedAtUtc >= v.EffectiveFromUtc)
+          AND (v.EffectiveToUtc IS NULL OR r.CompletedAtUtc < v.EffectiveToUtc)
+        ORDER BY v.EffectiveFromUtc
+    ) ev`;
+
+// Mirrors the effective-dated versions of a ruleset in src/rules into
+// dbo.GoAuditsRuleSetVersions, which selection and the tracker view read.
+async function syncRuleSetVersions(pool, ruleSetName, versions, jobRunId) {
+  const request = pool.request();
+  request.input('ruleSetName', sql.NVarChar(50), ruleSetName);
+  request.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+  request.input(
+    'versions',
+    sql.NVarChar(sql.MAX),
+    JSON.stringify(
+      versions.map((entry) => ({
+        ruleSetVersion: entry.version,
+        effectiveFrom: entry.rulesDoc.effectiveFrom ?? null,
+        effectiveTo: entry.rulesDoc.effectiveTo ?? null,
+      }))
+    )
+  );
 
-  if (value === null || value === undefined) {
-    return null;
-  }
+  await request.query(
+    `
+WITH t AS (
+  SELECT *
+  FROM dbo.GoAuditsRuleSetVersions WITH (HOLDLOCK)
+  WHERE RuleSetName = @ruleSetName
+)
+MERGE t
+USING (
+  SELECT RuleSetVersion, EffectiveFromUtc, EffectiveToUtc
+  FROM OPENJSON(@versions) WITH (
+    RuleSetVersion   NVARCHAR(20) '$.ruleSetVersion',
+    EffectiveFromUtc DATETIME2(0) '$.effectiveFrom',
+    EffectiveToUtc   DATETIME2(0) '$.effectiveTo'
+  )
+) AS s
+  ON t.RuleSetVersion = s.RuleSetVersion
+WHEN MATCHED AND EXISTS (
+  SELECT t.EffectiveFromUtc, t.EffectiveToUtc
+  EXCEPT
+  SELECT s.EffectiveFromUtc, s.EffectiveToUtc
+) THEN
+  UPDATE SET EffectiveFromUtc = s.EffectiveFromUtc, EffectiveToUtc = s.EffectiveToUtc, UpdatedUtc = SYSUTCDATETIME(), JobRunId = @jobRunId
+WHEN NOT MATCHED BY TARGET THEN
+  INSERT (RuleSetName, RuleSetVersion, EffectiveFromUtc, EffectiveToUtc, JobRunId)
+  VALUES (@ruleSetName, s.RuleSetVersion, s.EffectiveFromUtc, s.EffectiveToUtc, @jobRunId)
+WHEN NOT MATCHED BY SOURCE THEN
+  DELETE;
+    `.trim()
+  );
+}
 
-  let result = String(value);
-  if (trim) {
-    result = result.trim();
-  }
-  if (emptyIsNull && result === '') {
+function parseDateEnv(name) {
+  const value = (process.env[name] || '').trim();
+  if (!value) {
     return null;
   }
-  if (caseInsensitive) {
-    result = result.toLowerCase();
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} is not a valid date: ${value}.`);
   }
-  return result;
+  return date;
 }
 
-function evaluateRule(rule, answerMap, defaultNorm) {
-  if (rule.enabled === false) {
-    return null;
-  }
-
-  const nc = rule.nonCompliantWhen || {};
-  const normOpts = {
-    trim: defaultNorm.trim || false,
-    caseInsensitive: defaultNorm.caseInsensitive || false,
-    emptyIsNull: defaultNorm.emptyIsNull || false,
+// Rescore mode targets reports matching every GOAUDITS_RESCORE_* filter given:
+// CompletedAtUtc in [FROM, TO), an explicit report id list and, in routed
+// mode, the ruleset (and version) the report is currently routed to.
+function getRescoreTarget(fixed) {
+  const target = {
+    fromUtc: parseDateEnv('GOAUDITS_RESCORE_FROM'),
+    toUtc: parseDateEnv('GOAUDITS_RESCORE_TO'),
+    reportIds: parseReportIdList(process.env.GOAUDITS_RESCORE_REPORT_IDS),
+    ruleSetName: (process.env.GOAUDITS_RESCORE_RULESET || '').trim() || null,
+    ruleSetVersion: (process.env.GOAUDITS_RESCORE_RULESET_VERSION || '').trim() || null,
   };
 
-  if (typeof nc.trim === 'boolean') {
-    normOpts.trim = nc.trim;
+  if (target.ruleSetVersion && !target.ruleSetName) {
+    throw new Error('GOAUDITS_RESCORE_RULESET_VERSION needs GOAUDITS_RESCORE_RULESET.');
   }
-  if (typeof nc.caseInsensitive === 'boolean') {
-    normOpts.caseInsensitive = nc.caseInsensitive;
+  if (fixed && target.ruleSetName) {
+    throw new Error('GOAUDITS_RESCORE_RULESET applies to routed scoring; fixed mode rescores GOAUDITS_RULESET.');
   }
-
-  const answerRaw = answerMap.get(rule.questionKey) ?? null;
-  const answerNorm = normalizeAnswer(answerRaw, normOpts);
-
-  const op = nc.op;
-  let isNonCompliant = false;
-
-  switch (op) {
-    case 'missing':
-      isNonCompliant = answerNorm === null || answerNorm === '';
-      break;
-    case 'equals': {
-      const expected = normalizeAnswer(nc.value, normOpts);
-      isNonCompliant = expected !== null && answerNorm === expected;
-      break;
-    }
-    case 'in': {
-      const values = Array.isArray(nc.values) ? nc.values.map((v) => normalizeAnswer(v, normOpts)) : [];
-      isNonCompliant = answerNorm !== null && values.includes(answerNorm);
-      break;
-    }
-    default:
-      throw new Error(`Unsupported op: ${op}`);
-  }
-
-  if (!isNonCompliant) {
-    return null;
-  }
-
-  const severity = rule.finding.severity;
-  const majorNonCompliantText =
-    severity === 'Major' ? rule.finding?.majorNonCompliantText ?? null : null;
-  const minorNonCompliantText =
-    severity === 'Minor' ? rule.finding?.minorNonCompliantText ?? null : null;
-
-  return {
-    questionKey: rule.questionKey,
-    answerValue: answerRaw === undefined ? null : answerRaw,
-    severity,
-    code: rule.finding.code || null,
-    message: rule.finding.message,
-    majorNonCompliantText,
-    minorNonCompliantText,
-  };
-}
-
-function determineOutcome(scoring, majorCount, minorCount) {
-  for (const rule of scoring.outcomeRules) {
-    const when = rule.when || {};
-    if (when.always === true) {
-      return rule.outcome;
-    }
-    if (typeof when.majorCountGte === 'number' && majorCount >= when.majorCountGte) {
-      return rule.outcome;
-    }
-    if (typeof when.minorCountGte === 'number' && minorCount >= when.minorCountGte) {
-      return rule.outcome;
-    }
+  if (!target.fromUtc && !target.toUtc && !target.reportIds && !target.ruleSetName) {
+    throw new Error(
+      'Rescore needs at least one of GOAUDITS_RESCORE_FROM, GOAUDITS_RESCORE_TO, GOAUDITS_RESCORE_REPORT_IDS or GOAUDITS_RESCORE_RULESET.'
+    );
   }
-  return null;
+  return target;
 }
 
-function computeScoreValue(scoreValueConfig, outcome) {
-  if (!scoreValueConfig) return null;
-  const { type, from, fixedValue } = scoreValueConfig;
-
-  if (from === 'fixed') {
-    if (fixedValue === null || fixedValue === undefined) return null;
-    return String(fixedValue);
-  }
-
-  if (from === 'outcome') {
-    if (type === 'text') {
-      return outcome;
-    }
-    if (type === 'numeric') {
-      return outcome != null ? String(outcome) : null;
-    }
-  }
-
-  return null;
+// Adds the rescore target's parameters to `request` and returns the matching
+// condition on `r` (GoAuditsReports) and `sr` (GoAuditsScoringRoutes).
+function rescoreTargetFilter(request, target) {
+  request.input('rescoreFromUtc', sql.DateTime2, target.fromUtc);
+  request.input('rescoreToUtc', sql.DateTime2, target.toUtc);
+  request.input('rescoreReportIds', sql.NVarChar(sql.MAX), target.reportIds ? JSON.stringify(target.reportIds) : null);
+  request.input('rescoreRuleSetName', sql.NVarChar(50), target.ruleSetName);
+  request.input('rescoreRuleSetVersion', sql.NVarChar(20), target.ruleSetVersion);
+
+  return `
+    (@rescoreFromUtc IS NULL OR r.CompletedAtUtc >= @rescoreFromUtc)
+    AND (@rescoreToUtc IS NULL OR r.CompletedAtUtc < @rescoreToUtc)
+    AND (
+        @rescoreReportIds IS NULL
+        OR r.GoAuditsReportId IN (SELECT id FROM OPENJSON(@rescoreReportIds) WITH (id NVARCHAR(100) '$'))
+    )
+    AND (@rescoreRuleSetName IS NULL OR sr.RuleSetName = @rescoreRuleSetName)
+    AND (@rescoreRuleSetVersion IS NULL OR sr.RuleSetVersion = @rescoreRuleSetVersion)`.trim();
 }
 
-async function insertJobRun(pool, runId, status, message) {
+// Rescore mode: drops the ledger keys of the targeted reports so the run (or,
+// past GOAUDITS_SCORE_MAX_BATCHES, a later run) scores them again. Fixed mode
+// clears the job's ruleset key; routed mode the key of each report's current
+// route; effective-dated fixed mode the key of the version in force. Returns
+// the number of keys removed.
+async function clearRescoreKeys(pool, selection, target) {
   const request = pool.request();
-  request.input('runId', sql.UniqueIdentifier, runId);
   request.input('jobName', sql.NVarChar(100), JOB_NAME);
-  request.input('status', sql.NVarChar(30), status);
-  request.input('message', sql.NVarChar(4000), message || '');
-  request.input('correlationId', sql.NVarChar(100), runId);
-
-  await request.query(
-    'INSERT INTO dbo.JobRunHistory (RunId, JobName, Status, Message, CorrelationId) VALUES (@runId, @jobName, @status, @message, @correlationId)'
-  );
-}
-
-async function updateJobRun(pool, runId, status, message) {
-  const request = pool.request();
-  request.input('runId', sql.UniqueIdentifier, runId);
-  request.input('status', sql.NVarChar(30), status);
-  request.input('message', sql.NVarChar(4000), message || '');
+  const filter = rescoreTargetFilter(request, target);
+
+  let itemKey;
+  let effectiveApply = '';
+  if (selection.rulesetKey) {
+    request.input('rulesetKey', sql.NVarChar(200), selection.rulesetKey);
+    itemKey = "r.GoAuditsReportId + '|' + @rulesetKey";
+  } else if (selection.effectiveRuleSetName) {
+    request.input('effectiveRuleSetName', sql.NVarChar(50), selection.effectiveRuleSetName);
+    effectiveApply = EFFECTIVE_VERSION_APPLY;
+    itemKey = "r.GoAuditsReportId + '|' + @effectiveRuleSetName + '|' + ev.RuleSetVersion";
+  } else {
+    itemKey = "r.GoAuditsReportId + '|' + sr.RuleSetName + '|' + sr.RuleSetVersion";
+  }
+  const routedOnly = selection.routingVersion ? "\n    AND sr.RouteStatus = 'Routed'" : '';
 
-  await request.query(
-    'UPDATE dbo.JobRunHistory SET Status = @status, Message = @message, RunCompletedUtc = SYSUTCDATETIME() WHERE RunId = @runId'
-  );
+  const result = await request.query(`
+    DELETE p
+    FROM dbo.GoAuditsReports r
+    LEFT JOIN dbo.GoAuditsScoringRoutes sr ON sr.GoAuditsReportId = r.GoAuditsReportId${effectiveApply}
+    INNER JOIN dbo.ProcessedItems p ON p.JobName = @jobName AND p.ItemKey = ${itemKey}
+    WHERE ${filter}${routedOnly};
+  `);
+  return result.rowsAffected[0] || 0;
 }
 
-async function selectReports(pool, batchSize, rulesetName, rulesetVersion) {
+// Unscored reports, newest first, strictly after `after` ({ completedAtUtc,
+// reportId } of the previous batch's last report) so a run pages through the
+// backlog and never reselects a report that failed earlier in the run.
+// Fixed mode (`selection.rulesetKey`) picks reports without a ledger key for
+// that ruleset; effective-dated fixed mode (`selection.effectiveRuleSetName`)
+// reports with a version in force and no ledger key for it. Routed mode (`selection.routingVersion`) picks reports never
+// routed, unrouted by an earlier routing version, or routed but not yet scored.
+// Shadow mode (`selection.shadow`) picks reports production scored with
+// another version of the ruleset and the candidate has not.
+// With `selection.rescoreTarget` only targeted reports are picked.
+async function selectReports(pool, batchSize, selection, after) {
   const request = pool.request();
   request.input('batchSize', sql.Int, batchSize);
   request.input('jobName', sql.NVarChar(100), JOB_NAME);
-  request.input('rulesetKey', sql.NVarChar(200), `${rulesetName}|${rulesetVersion}`);
+  request.input('afterCompletedAtUtc', sql.DateTime2, after ? after.completedAtUtc : null);
+  request.input('afterReportId', sql.NVarChar(100), after ? after.reportId : null);
+
+  let pendingFilter;
+  let effectiveApply = '';
+  if (selection.shadow) {
+    request.input('shadowJobName', sql.NVarChar(100), SHADOW_OUTPUT.ledgerJobName);
+    request.input('shadowRuleSetName', sql.NVarChar(50), selection.shadow.ruleSetName);
+    request.input('shadowRuleSetVersion', sql.NVarChar(20), selection.shadow.ruleSetVersion);
+    pendingFilter = `
+    EXISTS (
+        SELECT 1 FROM dbo.GoAuditsScores s
+        WHERE s.GoAuditsReportId = r.GoAuditsReportId
+          AND s.RuleSetName = @shadowRuleSetName
+          AND s.RuleSetVersion <> @shadowRuleSetVersion
+    )
+    AND NOT EXISTS (
+        SELECT 1 FROM dbo.ProcessedItems p
+        WHERE p.JobName = @shadowJobName
+          AND p.ItemKey = r.GoAuditsReportId + '|' + @shadowRuleSetName + '|' + @shadowRuleSetVersion
+    )`;
+  } else if (selection.rulesetKey) {
+    request.input('rulesetKey', sql.NVarChar(200), selection.rulesetKey);
+    pendingFilter = `
+    NOT EXISTS (
+        SELECT 1 FROM dbo.ProcessedItems p
+        WHERE p.JobName = @jobName
+          AND p.ItemKey = r.GoAuditsReportId + '|' + @rulesetKey
+    )`;
+  } else if (selection.effectiveRuleSetName) {
+    request.input('effectiveRuleSetName', sql.NVarChar(50), selection.effectiveRuleSetName);
+    effectiveApply = EFFECTIVE_VERSION_APPLY;
+    pendingFilter = `
+    ev.RuleSetVersion IS NOT NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM dbo.ProcessedItems p
+        WHERE p.JobName = @jobName
+          AND p.ItemKey = r.GoAuditsReportId + '|' + @effectiveRuleSetName + '|' + ev.RuleSetVersion
+    )`;
+  } else {
+    request.input('routingVersion', sql.NVarChar(20), selection.routingVersion);
+    pendingFilter = `
+    (
+        sr.GoAuditsReportId IS NULL
+        OR (sr.RouteStatus = 'Unrouted' AND sr.RoutingVersion <> @routingVersion)
+        OR (
+            sr.RouteStatus = 'Routed'
+            AND NOT EXISTS (
+                SELECT 1 FROM dbo.ProcessedItems p
+                WHERE p.JobName = @jobName
+                  AND p.ItemKey = r.GoAuditsReportId + '|' + sr.RuleSetName + '|' + sr.RuleSetVersion
+            )
+        )
+    )`;
+  }
+
+  const targetFilter = selection.rescoreTarget
+    ? `\n    AND ${rescoreTargetFilter(request, selection.rescoreTarget)}`
+    : '';
 
   const query = `
-    SELECT TOP (@batchSize) r.GoAuditsReportId
+    SELECT TOP (@batchSize) r.GoAuditsReportId, r.CompletedAtUtc, r.TemplateName
     FROM dbo.GoAuditsReports r
+    LEFT JOIN dbo.GoAuditsScoringRoutes sr ON sr.GoAuditsReportId = r.GoAuditsReportId${effectiveApply}
     WHERE EXISTS (
         SELECT 1 FROM dbo.GoAuditsReportAnswers a WHERE a.GoAuditsReportId = r.GoAuditsReportId
     )
-    AND NOT EXISTS (
-        SELECT 1 FROM dbo.ProcessedItems p
-        WHERE p.JobName = @jobName
-          AND p.ItemKey = r.GoAuditsReportId + '|' + @rulesetKey
+    AND ${pendingFilter.trim()}${targetFilter}
+    AND (
+        @afterCompletedAtUtc IS NULL
+        OR r.CompletedAtUtc < @afterCompletedAtUtc
+        OR (r.CompletedAtUtc = @afterCompletedAtUtc AND r.GoAuditsReportId < @afterReportId)
     )
-    ORDER BY r.CompletedAtUtc DESC;
+    ORDER BY r.CompletedAtUtc DESC, r.GoAuditsReportId DESC;
   `;
 
   const result = await request.query(query);
-  return result.recordset.map((row) => row.GoAuditsReportId);
+  return result.recordset.map((row) => ({
+    reportId: row.GoAuditsReportId,
+    completedAtUtc: row.CompletedAtUtc,
+    templateName: row.TemplateName,
+  }));
 }
 
-async function loadAnswers(pool, reportId) {
+// Records which ruleset (or none) routing chose for a report.
+async function recordRoute(pool, report, route, routingVersion, jobRunId) {
   const request = pool.request();
-  request.input('reportId', sql.NVarChar(100), reportId);
+  request.input('reportId', sql.NVarChar(100), report.reportId);
+  request.input('routeStatus', sql.NVarChar(20), route ? ROUTE_STATUS.ROUTED : ROUTE_STATUS.UNROUTED);
+  request.input('routeName', sql.NVarChar(100), route ? route.name : null);
+  request.input('ruleSetName', sql.NVarChar(50), route ? route.ruleSetName : null);
+  request.input('ruleSetVersion', sql.NVarChar(20), route ? route.ruleSetVersion : null);
+  request.input('routingVersion', sql.NVarChar(20), routingVersion);
+  request.input('templateName', sql.NVarChar(200), report.templateName ?? null);
+  request.input('jobRunId', sql.UniqueIdentifier, jobRunId);
 
-  const result = await request.query(
-    'SELECT QuestionKey, AnswerValue FROM dbo.GoAuditsReportAnswers WHERE GoAuditsReportId = @reportId'
+  await request.query(
+    `
+MERGE dbo.GoAuditsScoringRoutes WITH (HOLDLOCK) AS t
+USING (SELECT @reportId AS GoAuditsReportId) AS s
+  ON t.GoAuditsReportId = s.GoAuditsReportId
+WHEN MATCHED THEN
+  UPDATE SET RouteStatus = @routeStatus, RouteName = @routeName, RuleSetName = @ruleSetName, RuleSetVersion = @ruleSetVersion,
+             RoutingVersion = @routingVersion, TemplateName = @templateName, RoutedUtc = SYSUTCDATETIME(), JobRunId = @jobRunId
+WHEN NOT MATCHED THEN
+  INSERT (GoAuditsReportId, RouteStatus, RouteName, RuleSetName, RuleSetVersion, RoutingVersion, TemplateName, JobRunId)
+  VALUES (@reportId, @routeStatus, @routeName, @ruleSetName, @ruleSetVersion, @routingVersion, @templateName, @jobRunId);
+    `.trim()
   );
+}
 
-  const map = new Map();
+// Loads answers for a whole batch in one query.
+// Returns reportId -> questionKey -> instances in order ([{ instanceIndex, value, typed }]).
+async function loadAnswersForReports(pool, reportIds) {
+  const request = pool.request();
+  request.input('reportIds', sql.NVarChar(sql.MAX), JSON.stringify(reportIds));
+
+  const result = await request.query(`
+    SELECT a.GoAuditsReportId, a.QuestionKey, a.InstanceIndex, a.AnswerValue, a.AnswerType, a.AnswerNumber, a.AnswerUnit, a.AnswerDate
+    FROM dbo.GoAuditsReportAnswers a
+    WHERE a.GoAuditsReportId IN (SELECT id FROM OPENJSON(@reportIds) WITH (id NVARCHAR(100) '$'))
+    ORDER BY a.GoAuditsReportId, a.QuestionKey, a.InstanceIndex;
+  `);
+
+  const byReport = new Map();
   for (const row of result.recordset) {
-    map.set(row.QuestionKey, row.AnswerValue);
+    if (!byReport.has(row.GoAuditsReportId)) {
+      byReport.set(row.GoAuditsReportId, new Map());
+    }
+    const map = byReport.get(row.GoAuditsReportId);
+    if (!map.has(row.QuestionKey)) {
+      map.set(row.QuestionKey, []);
+    }
+    map.get(row.QuestionKey).push({
+      instanceIndex: row.InstanceIndex,
+      value: row.AnswerValue,
+      typed: row.AnswerType
+        ? {
+            answerType: row.AnswerType,
+            answerNumber: row.AnswerNumber,
+            answerUnit: row.AnswerUnit,
+            answerDate: row.AnswerDate,
+          }
+        : null,
+    });
   }
-  return map;
+  return byReport;
 }
 
-async function processReport(pool, reportId, ruleset, version, rulesDoc, jobRunId, counts) {
+function findingRowsTable(findings) {
+  const table = new sql.Table('dbo.GoAuditsFindingRows');
+  table.columns.add('RuleId', sql.NVarChar(256), { nullable: false });
+  table.columns.add('QuestionKey', sql.NVarChar(256), { nullable: false });
+  table.columns.add('InstanceIndex', sql.Int, { nullable: false });
+  table.columns.add('AnswerValue', sql.NVarChar(sql.MAX), { nullable: true });
+  table.columns.add('FindingSeverity', sql.NVarChar(10), { nullable: false });
+  table.columns.add('FindingCode', sql.NVarChar(50), { nullable: true });
+  table.columns.add('MajorNonCompliantText', sql.NVarChar(sql.MAX), { nullable: true });
+  table.columns.add('MinorNonCompliantText', sql.NVarChar(sql.MAX), { nullable: true });
+  table.columns.add('ContributingQuestionKeys', sql.NVarChar(1000), { nullable: true });
+
+  for (const f of findings) {
+    table.rows.add(
+      f.ruleId,
+      f.questionKey,
+      f.instanceIndex,
+      f.answerValue,
+      f.severity,
+      f.code,
+      f.majorNonCompliantText,
+      f.minorNonCompliantText,
+      JSON.stringify(f.contributingKeys)
+    );
+  }
+  return table;
+}
+
+// Replaces a report's finding set for the ruleset/version in one MERGE.
+// Findings raised again are overwritten with this run's values; live findings
+// this run no longer raises (answers corrected since the last scoring) are
+// marked superseded rather than deleted. `supersedeOthers` also supersedes the
+// report's live findings from other versions of the ruleset ('versions') or
+// from every other ruleset and version ('rulesets'). Shadow output never sets it.
+async function writeFindings(transaction, reportId, scoring, findings, jobRunId, counts) {
+  const { ruleset, version, supersedeOthers, output = LIVE_OUTPUT } = scoring;
+  const req = new sql.Request(transaction);
+  req.input('reportId', sql.NVarChar(100), reportId);
+  req.input('ruleSetName', sql.NVarChar(50), ruleset);
+  req.input('ruleSetVersion', sql.NVarChar(20), version);
+  req.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+  req.input('findings', findingRowsTable(findings));
+  req.input('supersedeOthers', sql.NVarChar(10), supersedeOthers || null);
+
+  const startedMs = Date.now();
+  const result = await req.query(
+    `
+DECLARE @changes TABLE (ChangeAction NVARCHAR(10) NOT NULL, Superseded BIT NOT NULL);
+
+WITH t AS (
+  SELECT *
+  FROM ${output.findings} WITH (HOLDLOCK)
+  WHERE GoAuditsReportId = @reportId
+    AND RuleSetName      = @ruleSetName
+    AND RuleSetVersion   = @ruleSetVersion
+)
+MERGE t
+USING @findings AS s
+  ON t.RuleId        = s.RuleId
+ AND t.InstanceIndex = s.InstanceIndex
+WHEN MATCHED THEN
+  UPDATE SET
+    QuestionKey = s.QuestionKey,
+    AnswerValue = s.AnswerValue,
+    FindingSeverity = s.FindingSeverity,
+    FindingCode = s.FindingCode,
+    MajorNonCompliantText = s.MajorNonCompliantText,
+    MinorNonCompliantText = s.MinorNonCompliantText,
+    ContributingQuestionKeys = s.ContributingQuestionKeys,
+    JobRunId = @jobRunId,
+    SupersededUtc = NULL,
+    SupersededByJobRunId = NULL
+WHEN NOT MATCHED BY TARGET THEN
+  INSERT (GoAuditsReportId, RuleSetName, RuleSetVersion, RuleId, QuestionKey, InstanceIndex, AnswerValue, FindingSeverity, FindingCode, MajorNonCompliantText, MinorNonCompliantText, ContributingQuestionKeys, JobRunId)
+  VALUES (@reportId, @ruleSetName, @ruleSetVersion, s.RuleId, s.QuestionKey, s.InstanceIndex, s.AnswerValue, s.FindingSeverity, s.FindingCode, s.MajorNonCompliantText, s.MinorNonCompliantText, s.ContributingQuestionKeys, @jobRunId)
+WHEN NOT MATCHED BY SOURCE AND t.SupersededUtc IS NULL THEN
+  UPDATE SET SupersededUtc = SYSUTCDATETIME(), SupersededByJobRunId = @jobRunId
+OUTPUT $action, CASE WHEN inserted.SupersededUtc IS NULL THEN 0 ELSE 1 END INTO @changes (ChangeAction, Superseded);
+
+DECLARE @otherSuperseded INT = 0;
+IF @supersedeOthers IS NOT NULL
+BEGIN
+  UPDATE ${output.findings}
+  SET SupersededUtc = SYSUTCDATETIME(), SupersededByJobRunId = @jobRunId
+  WHERE GoAuditsReportId = @reportId
+    AND SupersededUtc IS NULL
+    AND NOT (RuleSetName = @ruleSetName AND RuleSetVersion = @ruleSetVersion)
+    AND (@supersedeOthers = N'rulesets' OR RuleSetName = @ruleSetName);
+  SET @otherSuperseded = @@ROWCOUNT;
+END
+
+SELECT
+  SUM(CASE WHEN ChangeAction = N'INSERT' THEN 1 ELSE 0 END) AS InsertedCount,
+  SUM(CASE WHEN Superseded = 1 THEN 1 ELSE 0 END) + @otherSuperseded AS SupersededCount
+FROM @changes;
+    `.trim()
+  );
+  counts.findingRowsWritten += findings.length;
+  counts.findingWriteMs += Date.now() - startedMs;
+  counts.findingsInsertedCount += result.recordset[0].InsertedCount || 0;
+  counts.findingsSupersededCount += result.recordset[0].SupersededCount || 0;
+}
+
+async function writeScore(transaction, output, reportId, ruleset, version, score, jobRunId) {
+  const scoreReq = new sql.Request(transaction);
+  scoreReq.input('reportId', sql.NVarChar(100), reportId);
+  scoreReq.input('ruleSetName', sql.NVarChar(50), ruleset);
+  scoreReq.input('ruleSetVersion', sql.NVarChar(20), version);
+  scoreReq.input('majorCount', sql.Int, score.majorCount);
+  scoreReq.input('minorCount', sql.Int, score.minorCount);
+  scoreReq.input('scoreValue', sql.NVarChar(50), score.scoreValue);
+  scoreReq.input('outcome', sql.NVarChar(20), score.outcome);
+  scoreReq.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+
+  await scoreReq.query(
+    `
+MERGE ${output.scores} WITH (HOLDLOCK) AS t
+USING (SELECT @reportId AS GoAuditsReportId, @ruleSetName AS RuleSetName, @ruleSetVersion AS RuleSetVersion) AS s
+  ON t.GoAuditsReportId = s.GoAuditsReportId
+ AND t.RuleSetName      = s.RuleSetName
+ AND t.RuleSetVersion   = s.RuleSetVersion
+WHEN MATCHED THEN
+  UPDATE SET MajorCount = @majorCount, MinorCount = @minorCount, ScoreValue = @scoreValue, Outcome = @outcome, JobRunId = @jobRunId, ScoredAtUtc = SYSUTCDATETIME()
+WHEN NOT MATCHED THEN
+  INSERT (GoAuditsReportId, RuleSetName, RuleSetVersion, MajorCount, MinorCount, ScoreValue, Outcome, JobRunId)
+  VALUES (@reportId, @ruleSetName, @ruleSetVersion, @majorCount, @minorCount, @scoreValue, @outcome, @jobRunId);
+    `.trim()
+  );
+}
+
+async function processReport(pool, reportId, answerMap, scoring, jobRunId, counts) {
+  const { ruleset, version, rulesDoc, rulesetKeys, output = LIVE_OUTPUT } = scoring;
   const transaction = new sql.Transaction(pool);
   await transaction.begin();
 
@@ -246,7 +514,7 @@ async function processReport(pool, reportId, ruleset, version, rulesDoc, jobRunI
 
   try {
     const procReq = new sql.Request(transaction);
-    procReq.input('jobName', sql.NVarChar(100), JOB_NAME);
+    procReq.input('jobName', sql.NVarChar(100), output.ledgerJobName);
     procReq.input('itemKey', sql.NVarChar(200), processedKey);
     procReq.input('runId', sql.UniqueIdentifier, jobRunId);
 
@@ -265,10 +533,10 @@ async function processReport(pool, reportId, ruleset, version, rulesDoc, jobRunI
   }
 
   try {
-    const answerMap = await loadAnswers(pool, reportId);
-    const rulesetKeys = extractRulesetQuestionKeys(rulesDoc);
-    let eligible = false;
-    for (const key of answerMap.keys()) {
+    // Fixed mode only: a report is scored when it shares a question key with
+    // the ruleset. Routed reports were matched to their ruleset already.
+    let eligible = !rulesetKeys;
+    for (const key of rulesetKeys ? answerMap.keys() : []) {
       const keyNumber = Number(key);
       if (!Number.isNaN(keyNumber) && rulesetKeys.has(keyNumber)) {
         eligible = true;
@@ -280,86 +548,18 @@ async function processReport(pool, reportId, ruleset, version, rulesDoc, jobRunI
       counts.skippedNotEligible += 1;
       return;
     }
-    const defaultNorm = rulesDoc.answerNormalization || {};
-    const findings = [];
-    let majorCount = 0;
-    let minorCount = 0;
-
-    for (const rule of rulesDoc.rules) {
-      const finding = evaluateRule(rule, answerMap, defaultNorm);
-      if (finding) {
-        findings.push(finding);
-        if (finding.severity === 'Major') {
-          majorCount += 1;
-        } else if (finding.severity === 'Minor') {
-          minorCount += 1;
-        }
-      }
-    }
-
-    const outcome = determineOutcome(rulesDoc.scoring, majorCount, minorCount) || 'Unknown';
-    const scoreValue = computeScoreValue(rulesDoc.scoring.scoreValue, outcome);
-
-    // Insert findings (ignore PK duplicates)
-    for (const f of findings) {
-      const req = new sql.Request(transaction);
-      req.input('reportId', sql.NVarChar(100), reportId);
-      req.input('ruleSetName', sql.NVarChar(50), ruleset);
-      req.input('ruleSetVersion', sql.NVarChar(20), version);
-      req.input('questionKey', sql.NVarChar(256), f.questionKey);
-      req.input('answerValue', sql.NVarChar(sql.MAX), f.answerValue);
-      req.input('findingSeverity', sql.NVarChar(10), f.severity);
-      req.input('findingCode', sql.NVarChar(50), f.code);
-      req.input('majorNonCompliantText', sql.NVarChar(sql.MAX), f.majorNonCompliantText);
-      req.input('minorNonCompliantText', sql.NVarChar(sql.MAX), f.minorNonCompliantText);
-      req.input('jobRunId', sql.UniqueIdentifier, jobRunId);
-      try {
-        await req.query(
-          'INSERT INTO dbo.GoAuditsFindings (GoAuditsReportId, RuleSetName, RuleSetVersion, QuestionKey, AnswerValue, FindingSeverity, FindingCode, MajorNonCompliantText, MinorNonCompliantText, JobRunId) VALUES (@reportId, @ruleSetName, @ruleSetVersion, @questionKey, @answerValue, @findingSeverity, @findingCode, @majorNonCompliantText, @minorNonCompliantText, @jobRunId)'
-        );
-        counts.findingsInsertedCount += 1;
-      } catch (error) {
-        if (error && (error.number === 2627 || error.number === 2601)) {
-          await req.query(
-            `UPDATE dbo.GoAuditsFindings
-SET
-  MajorNonCompliantText = COALESCE(MajorNonCompliantText, @majorNonCompliantText),
-  MinorNonCompliantText = COALESCE(MinorNonCompliantText, @minorNonCompliantText)
-WHERE GoAuditsReportId = @reportId
-  AND RuleSetName      = @ruleSetName
-  AND RuleSetVersion   = @ruleSetVersion
-  AND QuestionKey      = @questionKey;`
-          );
-        } else {
-          throw error;
-        }
-      }
-    }
-
-    // Upsert score
-    const scoreReq = new sql.Request(transaction);
-    scoreReq.input('reportId', sql.NVarChar(100), reportId);
-    scoreReq.input('ruleSetName', sql.NVarChar(50), ruleset);
-    scoreReq.input('ruleSetVersion', sql.NVarChar(20), version);
-    scoreReq.input('majorCount', sql.Int, majorCount);
-    scoreReq.input('minorCount', sql.Int, minorCount);
-    scoreReq.input('scoreValue', sql.NVarChar(50), scoreValue);
-    scoreReq.input('outcome', sql.NVarChar(20), outcome);
-    scoreReq.input('jobRunId', sql.UniqueIdentifier, jobRunId);
-
-    try {
-      await scoreReq.query(
-        'INSERT INTO dbo.GoAuditsScores (GoAuditsReportId, RuleSetName, RuleSetVersion, MajorCount, MinorCount, ScoreValue, Outcome, JobRunId) VALUES (@reportId, @ruleSetName, @ruleSetVersion, @majorCount, @minorCount, @scoreValue, @outcome, @jobRunId)'
-      );
-    } catch (error) {
-      if (error && (error.number === 2627 || error.number === 2601)) {
-        await scoreReq.query(
-          'UPDATE dbo.GoAuditsScores SET MajorCount=@majorCount, MinorCount=@minorCount, ScoreValue=@scoreValue, Outcome=@outcome, JobRunId=@jobRunId, ScoredAtUtc=SYSUTCDATETIME() WHERE GoAuditsReportId=@reportId AND RuleSetName=@ruleSetName AND RuleSetVersion=@ruleSetVersion'
-        );
-      } else {
-        throw error;
-      }
-    }
+    const { findings, majorCount, minorCount, outcome, scoreValue } = scoreAnswers(rulesDoc, answerMap);
+
+    await writeFindings(transaction, reportId, scoring, findings, jobRunId, counts);
+    await writeScore(
+      transaction,
+      output,
+      reportId,
+      ruleset,
+      version,
+      { majorCount, minorCount, scoreValue, outcome },
+      jobRunId
+    );
 
     await transaction.commit();
     counts.processed += 1;
@@ -376,42 +576,242 @@ async function main() {
   const startedAtUtc = new Date().toISOString();
 
   const counts = {
+    batches: 0,
     selected: 0,
+    routed: 0,
+    unrouted: 0,
     processed: 0,
-    skipped: 0,
     skippedNotEligible: 0,
     alreadyProcessed: 0,
     findingsInsertedCount: 0,
+    findingsSupersededCount: 0,
+    rescoreKeysCleared: 0,
+    noVersionInForce: 0,
     majorCountTotal: 0,
     minorCountTotal: 0,
     failedCount: 0,
+    findingRowsWritten: 0,
+    findingWriteMs: 0,
+    findingRowsPerSecond: 0,
+    reportsPerMinute: 0,
   };
 
+  const mode = (process.env.GOAUDITS_SCORE_MODE || 'live').trim().toLowerCase();
+
   let pool;
   let status = 'Succeeded';
   let message = '';
 
   try {
-    const rulesetName = requireEnv('GOAUDITS_RULESET');
-    const rulesetVersion = process.env.GOAUDITS_RULESET_VERSION
-      ? process.env.GOAUDITS_RULESET_VERSION.trim()
-      : DEFAULT_RULESET_VERSION;
+    if (mode !== 'live' && mode !== 'rescore' && mode !== 'shadow') {
+      throw new Error(`Unsupported GOAUDITS_SCORE_MODE: ${mode}. Expected live, rescore or shadow.`);
+    }
+
+    // GOAUDITS_RULESET pins the job to one ruleset (fixed mode); without it
+    // every pending report is routed by src/rules/routing.json.
+    const fixedRuleset = (process.env.GOAUDITS_RULESET || '').trim();
     const batchSize = parseIntEnv('GOAUDITS_SCORE_BATCH_SIZE', DEFAULT_BATCH_SIZE);
+    const maxBatches = parseIntEnv('GOAUDITS_SCORE_MAX_BATCHES', DEFAULT_MAX_BATCHES);
+    const concurrency = clamp(parseIntEnv('GOAUDITS_SCORE_CONCURRENCY', 1), 1, 3);
+    if (mode === 'shadow' && !fixedRuleset) {
+      throw new Error('Shadow scoring needs GOAUDITS_RULESET and GOAUDITS_RULESET_VERSION naming the candidate version.');
+    }
 
-    const rulesDoc = loadRules(rulesetName, rulesetVersion);
+    let routing = null;
+    let fixedScoring = null;
+    const scorings = new Map();
+    // Effective-dated versions of every ruleset the run uses, whether or not
+    // it selects by date: they are mirrored to SQL for the tracker view.
+    const effectiveVersions = new Map();
+    // On rescore, fixed jobs (which run side by side, one per ruleset) retire
+    // the report's findings from this ruleset's other versions; routing picks
+    // one ruleset per report, so routed rescores retire every other ruleset
+    // and version.
+    const rescoreSupersedes = (fixed) => (mode === 'rescore' ? (fixed ? 'versions' : 'rulesets') : null);
+    const addEffectiveVersions = (ruleSetName, fixed) => {
+      if (!effectiveVersions.has(ruleSetName)) {
+        const versions = loadEffectiveVersions(ruleSetName).map((entry) => ({
+          ...entry,
+          scoring: {
+            ruleset: ruleSetName,
+            version: entry.version,
+            rulesDoc: entry.rulesDoc,
+            rulesetKeys: fixed ? extractRulesetQuestionKeys(entry.rulesDoc) : null,
+            supersedeOthers: rescoreSupersedes(fixed),
+          },
+        }));
+        for (const entry of versions) {
+          scorings.set(`${ruleSetName}|${entry.version}`, entry.scoring);
+        }
+        effectiveVersions.set(ruleSetName, versions);
+      }
+      return effectiveVersions.get(ruleSetName);
+    };
+    const noEffectiveVersions = (ruleSetName) =>
+      new Error(`${EFFECTIVE_VERSION} needs a ${ruleSetName} rules file declaring effectiveFrom or effectiveTo.`);
+
+    if (fixedRuleset) {
+      const rulesetVersion = process.env.GOAUDITS_RULESET_VERSION
+        ? process.env.GOAUDITS_RULESET_VERSION.trim()
+        : DEFAULT_RULESET_VERSION;
+      // Shadow runs leave the registered versions alone: a candidate's dates
+      // must not reach the tracker view before it ships.
+      const versions = mode === 'shadow' ? [] : addEffectiveVersions(fixedRuleset, true);
+      if (mode === 'shadow') {
+        if (rulesetVersion === EFFECTIVE_VERSION) {
+          throw new Error(`Shadow scoring needs an explicit candidate version, not ${EFFECTIVE_VERSION}.`);
+        }
+        // Candidates score every report production scored with the ruleset,
+        // so the eligibility check is not needed.
+        fixedScoring = {
+          ruleset: fixedRuleset,
+          version: rulesetVersion,
+          rulesDoc: loadRules(fixedRuleset, rulesetVersion),
+          rulesetKeys: null,
+          output: SHADOW_OUTPUT,
+        };
+      } else if (rulesetVersion === EFFECTIVE_VERSION) {
+        if (versions.length === 0) {
+          throw noEffectiveVersions(fixedRuleset);
+        }
+        fixedScoring = { ruleset: fixedRuleset, version: EFFECTIVE_VERSION, effective: versions };
+      } else {
+        const rulesDoc = loadRules(fixedRuleset, rulesetVersion);
+        fixedScoring = {
+          ruleset: fixedRuleset,
+          version: rulesetVersion,
+          rulesDoc,
+          rulesetKeys: extractRulesetQuestionKeys(rulesDoc),
+          supersedeOthers: rescoreSupersedes(true),
+        };
+      }
+    } else {
+      routing = loadRouting();
+      for (const route of routing.routes) {
+        const versions = addEffectiveVersions(route.ruleSetName, false);
+        if (route.ruleSetVersion === EFFECTIVE_VERSION) {
+          if (versions.length === 0) {
+            throw noEffectiveVersions(route.ruleSetName);
+          }
+          continue;
+        }
+        const key = `${route.ruleSetName}|${route.ruleSetVersion}`;
+        if (!scorings.has(key)) {
+          scorings.set(key, {
+            ruleset: route.ruleSetName,
+            version: route.ruleSetVersion,
+            rulesDoc: loadRules(route.ruleSetName, route.ruleSetVersion),
+            rulesetKeys: null,
+            supersedeOthers: rescoreSupersedes(false),
+          });
+        }
+      }
+    }
+    let selection;
+    if (mode === 'shadow') {
+      selection = { shadow: { ruleSetName: fixedScoring.ruleset, ruleSetVersion: fixedScoring.version } };
+    } else if (!fixedScoring) {
+      selection = { routingVersion: routing.routingVersion };
+    } else if (fixedScoring.effective) {
+      selection = { effectiveRuleSetName: fixedScoring.ruleset };
+    } else {
+      selection = { rulesetKey: `${fixedScoring.ruleset}|${fixedScoring.version}` };
+    }
+    if (mode === 'rescore') {
+      selection.rescoreTarget = getRescoreTarget(Boolean(fixedScoring));
+    }
 
+    const scope = fixedScoring
+      ? `${fixedScoring.ruleset} ${fixedScoring.version}`
+      : `routed (routing ${routing.routingVersion})`;
     pool = await getSqlPool();
-    await insertJobRun(pool, jobRunId, 'Running', `Scoring ${rulesetName} ${rulesetVersion}`);
+    const verb = { live: 'Scoring', rescore: 'Rescoring', shadow: 'Shadow scoring' }[mode];
+    await insertJobRun(pool, jobRunId, 'Running', `${verb} ${scope}`);
+
+    for (const [ruleSetName, versions] of effectiveVersions) {
+      await syncRuleSetVersions(pool, ruleSetName, versions, jobRunId);
+    }
 
-    const reportIds = await selectReports(pool, batchSize, rulesetName, rulesetVersion);
-    counts.selected = reportIds.length;
+    if (selection.rescoreTarget) {
+      counts.rescoreKeysCleared = await clearRescoreKeys(pool, selection, selection.rescoreTarget);
+    }
+
+    const scoreReport = async (report, answerMap) => {
+      if (fixedScoring) {
+        const scoring = fixedScoring.effective
+          ? versionInForce(fixedScoring.effective, report.completedAtUtc)?.scoring
+          : fixedScoring;
+        if (!scoring) {
+          counts.noVersionInForce += 1;
+          return;
+        }
+        await processReport(pool, report.reportId, answerMap, scoring, jobRunId, counts);
+        return;
+      }
+
+      // A route on the effective version scores with the version in force at
+      // CompletedAtUtc; without one the report is stored as unrouted.
+      let route = resolveRoute(routing, report.templateName, answerMap);
+      if (route && route.ruleSetVersion === EFFECTIVE_VERSION) {
+        const entry = versionInForce(effectiveVersions.get(route.ruleSetName), report.completedAtUtc);
+        if (entry) {
+          route = { ...route, ruleSetVersion: entry.version };
+        } else {
+          counts.noVersionInForce += 1;
+          route = null;
+        }
+      }
+      try {
+        await recordRoute(pool, report, route, routing.routingVersion, jobRunId);
+      } catch {
+        counts.failedCount += 1;
+        return;
+      }
+
+      if (!route) {
+        counts.unrouted += 1;
+        return;
+      }
+      counts.routed += 1;
+      const scoring = scorings.get(`${route.ruleSetName}|${route.ruleSetVersion}`);
+      await processReport(pool, report.reportId, answerMap, scoring, jobRunId, counts);
+    };
+
+    let after = null;
+    while (counts.batches < maxBatches) {
+      const reports = await selectReports(pool, batchSize, selection, after);
+      if (reports.length === 0) {
+        break;
+      }
+      counts.batches += 1;
+      counts.selected += reports.length;
+
+      const answersByReport = await loadAnswersForReports(
+        pool,
+        reports.map((report) => report.reportId)
+      );
+      await runWorkers(reports, concurrency, (report) =>
+        scoreReport(report, answersByReport.get(report.reportId) || new Map())
+      );
 
-    for (const reportId of reportIds) {
-      await processReport(pool, reportId, rulesetName, rulesetVersion, rulesDoc, jobRunId, counts);
+      after = reports[reports.length - 1];
+      if (reports.length < batchSize) {
+        break;
+      }
     }
 
+    const elapsedMinutes = (Date.now() - Date.parse(startedAtUtc)) / 60000;
+    counts.reportsPerMinute =
+      elapsedMinutes > 0 ? Math.round((counts.processed / elapsedMinutes) * 10) / 10 : 0;
+    counts.findingRowsPerSecond =
+      counts.findingWriteMs > 0 ? Math.round((counts.findingRowsWritten * 1000) / counts.findingWriteMs) : 0;
+
     const completedAtUtc = new Date().toISOString();
-    message = `Selected=${counts.selected} Processed=${counts.processed} Skipped=${counts.skipped} SkippedNotEligible=${counts.skippedNotEligible} AlreadyProcessed=${counts.alreadyProcessed} FindingsInserted=${counts.findingsInsertedCount} Majors=${counts.majorCountTotal} Minors=${counts.minorCountTotal} Failed=${counts.failedCount}`;
+    const rescorePrefix = mode === 'rescore' ? `Mode=Rescore KeysCleared=${counts.rescoreKeysCleared} ` : '';
+    const prefix = fixedScoring
+      ? `${mode === 'shadow' ? 'Mode=Shadow ' : ''}${rescorePrefix}`
+      : `Mode=Routed ${rescorePrefix}RoutingVersion=${routing.routingVersion} Routed=${counts.routed} Unrouted=${counts.unrouted} `;
+    message = `${prefix}Batches=${counts.batches} Selected=${counts.selected} Processed=${counts.processed} SkippedNotEligible=${counts.skippedNotEligible} AlreadyProcessed=${counts.alreadyProcessed} NoVersionInForce=${counts.noVersionInForce} FindingsInserted=${counts.findingsInsertedCount} FindingsSuperseded=${counts.findingsSupersededCount} Majors=${counts.majorCountTotal} Minors=${counts.minorCountTotal} Failed=${counts.failedCount} FindingRowsWritten=${counts.findingRowsWritten} FindingRowsPerSec=${counts.findingRowsPerSecond} ReportsPerMin=${counts.reportsPerMinute}`;
     await updateJobRun(pool, jobRunId, status, message);
 
     console.log(
@@ -421,7 +821,14 @@ async function main() {
         startedAtUtc,
         completedAtUtc,
         status,
-        ruleset: { name: rulesetName, version: rulesetVersion },
+        mode,
+        ruleset: fixedScoring
+          ? {
+              name: fixedScoring.ruleset,
+              version: fixedScoring.version,
+              ...(fixedScoring.effective ? { versions: fixedScoring.effective.map((entry) => entry.version) } : {}),
+            }
+          : { routingVersion: routing.routingVersion, rulesets: [...scorings.keys()] },
         counts,
       })
     );
@@ -445,6 +852,7 @@ async function main() {
         startedAtUtc,
         completedAtUtc,
         status,
+        mode,
         counts,
         error: message,
       })
@@ -456,4 +864,11 @@ async function main() {
   process.exitCode = 0;
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getRescoreTarget,
+  writeFindings,
+};
@@ -0,0 +1,204 @@
+// Typed interpretation of GoAudits answers. Enrichment stores the result next
+// to the raw AnswerValue; scoring uses it to compare numbers and dates as values.
+
+const ANSWER_TYPES = {
+  EMPTY: 'Empty',
+  TEXT: 'Text',
+  NUMBER: 'Number',
+  DATE: 'Date',
+  BOOLEAN: 'Boolean',
+  NOT_APPLICABLE: 'NotApplicable',
+  LIST: 'List',
+  MEDIA: 'Media',
+};
+
+const NUMBER_PATTERN =
+  /^([-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|[-+]?\.\d+)\s*([A-Za-z%°µ²³][A-Za-z0-9%°µ/²³.\s]{0,19})?$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+// GoAudits is used in the UK, so slashed dates are day first.
+const UK_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const MEDIA_PATTERN = /^(data:(image|application\/pdf)[^,]*,|https?:\/\/\S+\.(jpe?g|png|gif|bmp|webp|heic|pdf)(\?\S*)?$)/i;
+const TRUE_VALUES = new Set(['yes', 'y', 'true']);
+const FALSE_VALUES = new Set(['no', 'n', 'false']);
+const NOT_APPLICABLE_VALUES = new Set(['n/a', 'na', 'not applicable']);
+const MEDIA_URL_FIELDS = ['url', 'URL', 'Url', 'ImageURL', 'path', 'Path'];
+
+function emptyResult(answerType) {
+  return {
+    answerType,
+    answerNumber: null,
+    answerUnit: null,
+    answerDate: null,
+    answerBoolean: null,
+    answerListJson: null,
+  };
+}
+
+function parseNumber(text) {
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const value = Number(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  const unit = match[2] ? match[2].trim() : '';
+  return { value, unit: unit || null };
+}
+
+function buildUtcDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  // Reject roll-overs such as 31/02/2025.
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function parseDate(text) {
+  const iso = ISO_DATE_PATTERN.exec(text);
+  if (iso) {
+    if (iso[7]) {
+      const parsed = new Date(text);
+      if (Number.isNaN(parsed.getTime())) {
+        return null;
+      }
+      parsed.setUTCMilliseconds(0);
+      return parsed;
+    }
+    return buildUtcDate(
+      Number(iso[1]),
+      Number(iso[2]),
+      Number(iso[3]),
+      Number(iso[4] || 0),
+      Number(iso[5] || 0),
+      Number(iso[6] || 0)
+    );
+  }
+
+  const uk = UK_DATE_PATTERN.exec(text);
+  if (uk) {
+    return buildUtcDate(Number(uk[3]), Number(uk[2]), Number(uk[1]));
+  }
+
+  return null;
+}
+
+function mediaReference(item) {
+  if (item && typeof item === 'object') {
+    const field = MEDIA_URL_FIELDS.find((name) => typeof item[name] === 'string' && item[name].trim());
+    return field ? item[field].trim() : null;
+  }
+  return typeof item === 'string' && MEDIA_PATTERN.test(item.trim()) ? item.trim() : null;
+}
+
+function classifyList(items) {
+  const values = items.filter((item) => item !== null && item !== undefined && String(item).trim() !== '');
+  if (values.length === 0) {
+    return emptyResult(ANSWER_TYPES.EMPTY);
+  }
+
+  if (values.every((item) => mediaReference(item) !== null)) {
+    return emptyResult(ANSWER_TYPES.MEDIA);
+  }
+
+  const result = emptyResult(ANSWER_TYPES.LIST);
+  result.answerListJson = JSON.stringify(
+    values.map((item) => (typeof item === 'object' ? JSON.stringify(item) : String(item).trim()))
+  );
+  return result;
+}
+
+function classifyText(text) {
+  const lower = text.toLowerCase();
+
+  if (NOT_APPLICABLE_VALUES.has(lower)) {
+    return emptyResult(ANSWER_TYPES.NOT_APPLICABLE);
+  }
+
+  if (TRUE_VALUES.has(lower) || FALSE_VALUES.has(lower)) {
+    const result = emptyResult(ANSWER_TYPES.BOOLEAN);
+    result.answerBoolean = TRUE_VALUES.has(lower);
+    return result;
+  }
+
+  const date = parseDate(text);
+  if (date) {
+    const result = emptyResult(ANSWER_TYPES.DATE);
+    result.answerDate = date;
+    return result;
+  }
+
+  const number = parseNumber(text);
+  if (number) {
+    const result = emptyResult(ANSWER_TYPES.NUMBER);
+    result.answerNumber = number.value;
+    result.answerUnit = number.unit;
+    return result;
+  }
+
+  if (MEDIA_PATTERN.test(text)) {
+    return emptyResult(ANSWER_TYPES.MEDIA);
+  }
+
+  // Multi-select answers sometimes arrive already serialised.
+  if (text.startsWith('[') && text.endsWith(']')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return classifyList(parsed);
+      }
+    } catch {
+      // not JSON; plain text
+    }
+  }
+
+  return emptyResult(ANSWER_TYPES.TEXT);
+}
+
+// Classifies a raw answer (as returned by GoAudits, before any truncation)
+// into a type plus the typed value columns stored with it.
+function classifyAnswer(raw) {
+  if (raw === null || raw === undefined) {
+    return emptyResult(ANSWER_TYPES.EMPTY);
+  }
+
+  if (typeof raw === 'boolean') {
+    const result = emptyResult(ANSWER_TYPES.BOOLEAN);
+    result.answerBoolean = raw;
+    return result;
+  }
+
+  if (typeof raw === 'number') {
+    if (!Number.isFinite(raw)) {
+      return emptyResult(ANSWER_TYPES.TEXT);
+    }
+    const result = emptyResult(ANSWER_TYPES.NUMBER);
+    result.answerNumber = raw;
+    return result;
+  }
+
+  if (Array.isArray(raw)) {
+    return classifyList(raw);
+  }
+
+  if (typeof raw === 'object') {
+    return mediaReference(raw) !== null ? emptyResult(ANSWER_TYPES.MEDIA) : emptyResult(ANSWER_TYPES.TEXT);
+  }
+
+  const text = String(raw).trim();
+  if (!text) {
+    return emptyResult(ANSWER_TYPES.EMPTY);
+  }
+  return classifyText(text);
+}
+
+module.exports = {
+  ANSWER_TYPES,
+  classifyAnswer,
+  parseNumber,
+  parseDate,
+};
@@ -0,0 +1,42 @@
+// Date-only (YYYY-MM-DD, UTC) helpers for GoAudits date ranges, and the
+// ingestion job's split of a range into slices.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDateOnly(value, name) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format.`);
+  }
+  return date;
+}
+
+// Splits startDate..endDate (both inclusive) into consecutive slices of at
+// most sliceDays days; the last slice ends on endDate.
+function buildSlices(startDate, endDate, sliceDays) {
+  const start = parseDateOnly(startDate, 'start_date');
+  const end = parseDateOnly(endDate, 'end_date');
+  const slices = [];
+
+  for (let cursor = start; cursor <= end;) {
+    const sliceEnd = new Date(Math.min(cursor.getTime() + (sliceDays - 1) * DAY_MS, end.getTime()));
+    slices.push({
+      start_date: formatDateOnly(cursor),
+      end_date: formatDateOnly(sliceEnd),
+    });
+    cursor = new Date(sliceEnd.getTime() + DAY_MS);
+  }
+
+  return slices;
+}
+
+module.exports = {
+  DAY_MS,
+  formatDateOnly,
+  parseDateOnly,
+  buildSlices,
+};
@@ -0,0 +1,255 @@
+// Answers from a GoAudits getauditdetailsbyid response: one per Detail row,
+// keyed by the stable QUESTION_ID, with evidence and the typed interpretation.
+// Enrichment stores them; the offline scoring CLI scores them directly.
+const { createHash } = require('crypto');
+const { classifyAnswer } = require('./answer-types');
+
+const MAX_ANSWER_LENGTH = 4000;
+// Detail-row fields carrying auditor evidence; the first non-empty one wins for
+// comments, all of them are collected for media.
+const COMMENT_FIELDS = ['Comment', 'Comments', 'AuditorComment', 'Remarks', 'Notes', 'Note'];
+const MEDIA_FIELDS = ['Images', 'Image', 'ImageURL', 'Photos', 'Photo', 'Attachments', 'Attachment', 'Media', 'Signature'];
+const MEDIA_URL_FIELDS = ['url', 'URL', 'Url', 'ImageURL', 'path', 'Path', 'FileName', 'fileName', 'name'];
+const NOT_APPLICABLE_FIELDS = ['IsNA', 'NA', 'NotApplicable', 'IsNotApplicable'];
+const NOT_APPLICABLE_ANSWERS = new Set(['n/a', 'na', 'not applicable']);
+
+function truncate(str, max) {
+  if (str == null) return null;
+  const s = String(str);
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+function normalizeQuestionKey(questionId, questionText) {
+  if (questionId && String(questionId).trim()) {
+    return String(questionId).trim();
+  }
+
+  if (!questionText) return null;
+  const normalized =
+    String(questionText)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || null;
+
+  if (!normalized) {
+    return null;
+  }
+
+  if (normalized.length <= 256) {
+    return normalized;
+  }
+
+  const hash = createHash('sha1').update(normalized).digest('hex');
+  const prefix = normalized.slice(0, 256 - hash.length - 1);
+  return `${prefix}_${hash}`;
+}
+
+function extractCertificate(rows) {
+  for (const row of rows) {
+    const questionId = row && row.QUESTION_ID ? String(row.QUESTION_ID).trim() : '';
+    const questionText = row && row.Question ? String(row.Question) : '';
+    const answer = row ? row.Answer : null;
+
+    if (questionId === '1' || /certificate number/i.test(questionText || '')) {
+      if (answer != null && String(answer).trim() !== '') {
+        return truncate(String(answer).trim(), 100);
+      }
+    }
+  }
+  return null;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function extractComment(row) {
+  for (const field of COMMENT_FIELDS) {
+    if (typeof row[field] === 'string' && row[field].trim()) {
+      return truncate(row[field].trim(), 2000);
+    }
+  }
+  return null;
+}
+
+function collectMediaRefs(value, refs) {
+  if (isBlank(value)) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectMediaRefs(item, refs));
+    return;
+  }
+  if (typeof value === 'object') {
+    const urlField = MEDIA_URL_FIELDS.find((field) => !isBlank(value[field]));
+    if (urlField) {
+      refs.push(String(value[urlField]).trim());
+    }
+    return;
+  }
+  // Multiple references can arrive as one comma-separated string.
+  String(value)
+    .split(',')
+    .map((ref) => ref.trim())
+    .filter(Boolean)
+    .forEach((ref) => refs.push(ref));
+}
+
+// JSON array of photo/attachment references, or null when the row has none.
+function extractMediaReferences(row) {
+  const refs = [];
+  for (const field of MEDIA_FIELDS) {
+    collectMediaRefs(row[field], refs);
+  }
+  const unique = Array.from(new Set(refs));
+  return unique.length > 0 ? JSON.stringify(unique) : null;
+}
+
+function isTruthyFlag(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') return ['1', 'true', 'yes', 'y'].includes(value.trim().toLowerCase());
+  return false;
+}
+
+function extractNotApplicable(row) {
+  if (NOT_APPLICABLE_FIELDS.some((field) => isTruthyFlag(row[field]))) {
+    return true;
+  }
+  return typeof row.Answer === 'string' && NOT_APPLICABLE_ANSWERS.has(row.Answer.trim().toLowerCase());
+}
+
+function extractAnswers(rows, reportId) {
+  const answers = [];
+  const instanceCounts = new Map();
+
+  for (const row of rows) {
+    if (!row || row.RecordType !== 'Detail') {
+      continue;
+    }
+
+    const questionText = row.Question ? String(row.Question).trim() : '';
+    const answerRaw = row.Answer;
+
+    if (!questionText && (answerRaw === null || answerRaw === undefined || String(answerRaw).trim() === '')) {
+      continue;
+    }
+
+    const questionKey = normalizeQuestionKey(row.QUESTION_ID, questionText);
+    if (!questionKey) {
+      continue;
+    }
+
+    const groupNameRaw = row.GroupName ? String(row.GroupName).trim() : '';
+    const groupName = groupNameRaw && groupNameRaw !== 'N/A' ? truncate(groupNameRaw, 200) : null;
+
+    const rawSection = row.Section ? truncate(String(row.Section).trim(), 200) || null : null;
+    let section = row.Section ? String(row.Section).trim() : null;
+    if (groupName) {
+      const combined = `${section || ''}${section ? ' | ' : ''}${groupName}`;
+      section = truncate(combined, 200) || section;
+    }
+
+    let answerText = null;
+    if (answerRaw === null || answerRaw === undefined) {
+      answerText = null;
+    } else if (typeof answerRaw === 'string' || typeof answerRaw === 'number' || typeof answerRaw === 'boolean') {
+      answerText = String(answerRaw);
+    } else {
+      try {
+        answerText = JSON.stringify(answerRaw);
+      } catch {
+        answerText = null;
+      }
+    }
+    // Typed values come from the full answer, so they stay correct when the text is cut.
+    const answerTruncated = answerText !== null && answerText.length > MAX_ANSWER_LENGTH;
+    const answerValue = truncate(answerText, MAX_ANSWER_LENGTH);
+
+    // A question repeated within a report belongs to a repeating group (e.g. a
+    // second heat pump or PV array); each occurrence is its own instance, in row order.
+    const instanceIndex = instanceCounts.get(questionKey) || 0;
+    instanceCounts.set(questionKey, instanceIndex + 1);
+
+    answers.push({
+      reportId,
+      questionKey,
+      instanceIndex,
+      groupName,
+      answerValue,
+      section,
+      rawSection,
+      questionText: truncate(questionText, 1000) || null,
+      auditorComment: extractComment(row),
+      mediaReferences: extractMediaReferences(row),
+      isNotApplicable: extractNotApplicable(row),
+      answerTruncated,
+      answerLength: answerText === null ? 0 : answerText.length,
+      ...classifyAnswer(answerRaw),
+    });
+  }
+
+  return answers;
+}
+
+// An answer shaped like extractAnswers' output, from a value given directly.
+function answerFromValue(questionKey, instanceIndex, value) {
+  return {
+    questionKey,
+    instanceIndex,
+    answerValue: value === null || value === undefined ? null : String(value),
+    ...classifyAnswer(value),
+  };
+}
+
+// Answers from a map of question keys to an answer, or to a list of answers for
+// a repeating group (one per instance), as rules file examples give them.
+function answersFromMap(answers) {
+  return Object.entries(answers).flatMap(([questionKey, answer]) =>
+    (Array.isArray(answer) ? answer : [answer]).map((value, instanceIndex) =>
+      answerFromValue(questionKey, instanceIndex, value)
+    )
+  );
+}
+
+// The answer map scoring works on (questionKey -> [{ instanceIndex, value,
+// typed }], instances in order), built from answers shaped like
+// extractAnswers' output, the same as the scoring job builds it from
+// GoAuditsReportAnswers.
+function toAnswerMap(answers) {
+  const answerMap = new Map();
+  for (const answer of answers) {
+    if (!answerMap.has(answer.questionKey)) {
+      answerMap.set(answer.questionKey, []);
+    }
+    answerMap.get(answer.questionKey).push({
+      instanceIndex: answer.instanceIndex,
+      value: answer.answerValue,
+      typed: answer.answerType
+        ? {
+            answerType: answer.answerType,
+            answerNumber: answer.answerNumber,
+            answerUnit: answer.answerUnit,
+            answerDate: answer.answerDate,
+          }
+        : null,
+    });
+  }
+  for (const instances of answerMap.values()) {
+    instances.sort((a, b) => a.instanceIndex - b.instanceIndex);
+  }
+  return answerMap;
+}
+
+module.exports = {
+  MAX_ANSWER_LENGTH,
+  truncate,
+  normalizeQuestionKey,
+  extractCertificate,
+  extractAnswers,
+  answerFromValue,
+  answersFromMap,
+  toAnswerMap,
+};
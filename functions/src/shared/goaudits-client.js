@@ -0,0 +1,313 @@
+const { DefaultAzureCredential } = require('@azure/identity');
+const { SecretClient } = require('@azure/keyvault-secrets');
+
+const DEFAULT_SECRET_NAME = 'goaudits-bearer-token';
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const MAX_RETRIES = 5;
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_BACKOFF_MS = 8000;
+// Retry-After is honoured up to this long; beyond it the request waits this long.
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+const DEFAULT_CIRCUIT_BREAKER_THRESHOLD = 5;
+
+const CIRCUIT_CLOSED = 'Closed';
+const CIRCUIT_OPEN = 'Open';
+const CIRCUIT_HALF_OPEN = 'HalfOpen';
+
+const credential = new DefaultAzureCredential({
+  managedIdentityClientId: process.env.AZURE_CLIENT_ID,
+});
+
+let limiter;
+const circuit = {
+  state: CIRCUIT_CLOSED,
+  consecutiveFailures: 0,
+  threshold: null,
+  probe: null,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getBearerToken() {
+  const keyVaultUri = process.env.KEYVAULT_URI;
+  const secretName =
+    (process.env.GOAUDITS_BEARER_SECRET_NAME || '').trim() || DEFAULT_SECRET_NAME;
+
+  if (!keyVaultUri) {
+    throw new Error('KEYVAULT_URI environment variable is not set.');
+  }
+
+  const client = new SecretClient(keyVaultUri, credential);
+  const secret = await client.getSecret(secretName);
+
+  if (!secret || !secret.value) {
+    throw new Error('GoAudits bearer token was empty.');
+  }
+
+  return secret.value;
+}
+
+// Token bucket refilled at requestsPerMinute, holding up to a few seconds of
+// burst. Callers queue in order; pauseUntil stops every caller (used for
+// Retry-After) because the limit is per API key, not per worker.
+function createRateLimiter(requestsPerMinute) {
+  const ratePerMs = requestsPerMinute / 60000;
+  const capacity = Math.max(1, Math.ceil(requestsPerMinute / 12));
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  async function take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+
+      tokens = Math.min(capacity, tokens + (now - lastRefill) * ratePerMs);
+      lastRefill = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - tokens) / ratePerMs));
+    }
+  }
+
+  return {
+    requestsPerMinute,
+    acquire() {
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    pauseUntil(untilMs) {
+      pausedUntil = Math.max(pausedUntil, untilMs);
+    },
+  };
+}
+
+function getRateLimiter() {
+  if (!limiter) {
+    const value = parseInt(process.env.GOAUDITS_REQUESTS_PER_MINUTE, 10);
+    limiter = createRateLimiter(
+      Number.isFinite(value) && value > 0 ? value : DEFAULT_REQUESTS_PER_MINUTE
+    );
+  }
+  return limiter;
+}
+
+function getCircuitThreshold() {
+  if (circuit.threshold === null) {
+    const value = parseInt(process.env.GOAUDITS_CIRCUIT_BREAKER_THRESHOLD, 10);
+    circuit.threshold =
+      Number.isFinite(value) && value > 0 ? value : DEFAULT_CIRCUIT_BREAKER_THRESHOLD;
+  }
+  return circuit.threshold;
+}
+
+function upstreamUnavailableError(reason) {
+  const error = new Error(`GoAudits upstream unavailable: ${reason}`);
+  error.upstreamUnavailable = true;
+  return error;
+}
+
+// Starts the circuit half-open: the next request is a single probe (no
+// retries). Jobs call this when their persisted breaker state is open.
+function startHalfOpen() {
+  circuit.state = CIRCUIT_HALF_OPEN;
+  circuit.consecutiveFailures = 0;
+}
+
+// Any response other than a 5xx shows the upstream is up: close the circuit and
+// reset the count.
+function recordUpstreamResponse() {
+  circuit.state = CIRCUIT_CLOSED;
+  circuit.consecutiveFailures = 0;
+}
+
+// Counts a 5xx or timeout/network failure. Returns true when the circuit is open.
+function recordUpstreamFailure() {
+  circuit.consecutiveFailures += 1;
+  if (circuit.state === CIRCUIT_HALF_OPEN || circuit.consecutiveFailures >= getCircuitThreshold()) {
+    circuit.state = CIRCUIT_OPEN;
+  }
+  return circuit.state === CIRCUIT_OPEN;
+}
+
+function getCircuitState() {
+  return circuit.state;
+}
+
+// Resolves when the caller may send a request. While half-open only one probe
+// is in flight; other callers wait for its outcome.
+async function enterCircuit() {
+  for (;;) {
+    if (circuit.state === CIRCUIT_OPEN) {
+      throw upstreamUnavailableError(
+        `circuit open after ${circuit.consecutiveFailures} consecutive failures.`
+      );
+    }
+    if (circuit.state === CIRCUIT_CLOSED) {
+      return false;
+    }
+    if (!circuit.probe) {
+      return true;
+    }
+    await circuit.probe.catch(() => {});
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date. Returns milliseconds to
+// wait, or null when the header is absent or unusable.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Math.min(Number(trimmed) * 1000, MAX_RETRY_AFTER_MS);
+  }
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.min(Math.max(date - now, 0), MAX_RETRY_AFTER_MS);
+}
+
+function backoffDelay(attempt) {
+  return Math.min(1000 * 2 ** (attempt - 1), MAX_BACKOFF_MS) + Math.floor(Math.random() * 300);
+}
+
+// POSTs JSON to a GoAudits endpoint through the shared rate limiter and returns
+// the parsed body. 429/5xx and network errors/timeouts are retried up to
+// MAX_RETRIES (waiting for Retry-After when sent); 401/403 throw with
+// error.fatal; other non-2xx and invalid JSON throw with error.retryable = false.
+// GOAUDITS_CIRCUIT_BREAKER_THRESHOLD consecutive 5xx/timeouts (across all
+// callers) open the circuit: that and every later call throws with
+// error.upstreamUnavailable. Any other response resets the count.
+async function postJson(url, token, bodyObj, options = {}) {
+  const isProbe = await enterCircuit();
+  if (!isProbe) {
+    return send(url, token, bodyObj, options, MAX_RETRIES);
+  }
+
+  circuit.probe = send(url, token, bodyObj, options, 1);
+  try {
+    return await circuit.probe;
+  } finally {
+    circuit.probe = null;
+  }
+}
+
+async function send(url, token, bodyObj, { label = 'GoAudits API' } = {}, maxAttempts) {
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`,
+  };
+  const body = JSON.stringify(bodyObj);
+  const rateLimiter = getRateLimiter();
+  let attempt = 0;
+
+  while (attempt < maxAttempts) {
+    attempt += 1;
+    if (circuit.state === CIRCUIT_OPEN) {
+      throw upstreamUnavailableError('circuit opened while retrying.');
+    }
+    await rateLimiter.acquire();
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let delay;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+      });
+
+      const isServerError = response.status >= 500 && response.status < 600;
+      if (!isServerError) {
+        recordUpstreamResponse();
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        const error = new Error(`Authorization failed with status ${response.status}.`);
+        error.fatal = true;
+        error.status = response.status;
+        throw error;
+      }
+
+      if (isServerError && recordUpstreamFailure()) {
+        throw upstreamUnavailableError(`${label} returned ${response.status}.`);
+      }
+
+      if (response.status === 429 || isServerError) {
+        if (attempt >= maxAttempts) {
+          const error = new Error(`${label} returned ${response.status} after ${attempt} attempts.`);
+          error.status = response.status;
+          error.retryable = false;
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfter !== null) {
+          rateLimiter.pauseUntil(Date.now() + retryAfter);
+          delay = 0;
+        } else {
+          delay = backoffDelay(attempt);
+        }
+      } else if (!response.ok) {
+        const error = new Error(
+          `${label} returned ${response.status} ${response.statusText} for ${url}.`
+        );
+        error.status = response.status;
+        error.retryable = false;
+        throw error;
+      } else {
+        return await response.json().catch(() => {
+          const error = new Error(`${label} response was not valid JSON.`);
+          error.retryable = false;
+          throw error;
+        });
+      }
+    } catch (error) {
+      if (error && (error.fatal || error.retryable === false || error.upstreamUnavailable)) {
+        throw error;
+      }
+      // Network error or timeout
+      if (recordUpstreamFailure()) {
+        throw upstreamUnavailableError(error && error.message ? error.message : String(error));
+      }
+      if (attempt >= maxAttempts) {
+        throw error;
+      }
+      delay = backoffDelay(attempt);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (delay > 0) {
+      await sleep(delay);
+    }
+  }
+
+  throw new Error('Unexpected retry loop exit');
+}
+
+module.exports = {
+  getBearerToken,
+  postJson,
+  startHalfOpen,
+  getCircuitState,
+  parseRetryAfter,
+  createRateLimiter,
+};
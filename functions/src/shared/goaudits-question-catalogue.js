@@ -0,0 +1,203 @@
+const { createHash } = require('crypto');
+const { sql } = require('./sql');
+
+// Matches LOWER(CONVERT(CHAR(64), HASHBYTES('SHA2_256', <nvarchar>), 2)) in SQL.
+function hashQuestionText(text) {
+  return createHash('sha256').update(text, 'utf16le').digest('hex');
+}
+
+// Loads every known text per question key. The returned catalogue is kept in
+// memory for the run; observations are collected on it and written by
+// flushQuestionCatalogue.
+async function loadQuestionCatalogue(pool) {
+  const result = await pool.request().query(`
+    SELECT QuestionKey, TextHash, QuestionText, LastSeenUtc
+    FROM dbo.GoAuditsQuestionTextHistory;
+  `);
+
+  const questions = new Map();
+  for (const row of result.recordset) {
+    if (!questions.has(row.QuestionKey)) {
+      questions.set(row.QuestionKey, { texts: new Map(), currentText: null, currentSeenUtc: null });
+    }
+    const question = questions.get(row.QuestionKey);
+    question.texts.set(row.TextHash, row.QuestionText);
+    if (!question.currentSeenUtc || row.LastSeenUtc > question.currentSeenUtc) {
+      question.currentText = row.QuestionText;
+      question.currentSeenUtc = row.LastSeenUtc;
+    }
+  }
+
+  return { questions, observations: new Map() };
+}
+
+// Records the questions seen on one report (dated by its completion time) and
+// returns drift events: a question key never seen before, or a known key
+// appearing with a text it has not had before.
+function observeQuestions(catalogue, reportId, seenUtc, answers) {
+  const events = [];
+
+  for (const answer of answers) {
+    const text = answer.questionText;
+    if (!text) {
+      continue;
+    }
+
+    const textHash = hashQuestionText(text);
+    const observationKey = `${answer.questionKey}|${textHash}`;
+    const existing = catalogue.observations.get(observationKey);
+    if (existing) {
+      if (seenUtc < existing.firstSeenUtc) {
+        existing.firstSeenUtc = seenUtc;
+        existing.firstSeenReportId = reportId;
+      }
+      if (seenUtc > existing.lastSeenUtc) {
+        existing.lastSeenUtc = seenUtc;
+        existing.lastSeenReportId = reportId;
+        existing.section = answer.rawSection;
+      }
+      continue;
+    }
+
+    catalogue.observations.set(observationKey, {
+      questionKey: answer.questionKey,
+      textHash,
+      questionText: text,
+      section: answer.rawSection,
+      firstSeenUtc: seenUtc,
+      lastSeenUtc: seenUtc,
+      firstSeenReportId: reportId,
+      lastSeenReportId: reportId,
+    });
+
+    const question = catalogue.questions.get(answer.questionKey);
+    if (!question) {
+      events.push({ type: 'NewQuestion', questionKey: answer.questionKey, reportId, questionText: text });
+      catalogue.questions.set(answer.questionKey, {
+        texts: new Map([[textHash, text]]),
+        currentText: text,
+        currentSeenUtc: seenUtc,
+      });
+    } else if (!question.texts.has(textHash)) {
+      events.push({
+        type: 'QuestionTextChanged',
+        questionKey: answer.questionKey,
+        reportId,
+        previousText: question.currentText,
+        questionText: text,
+      });
+      question.texts.set(textHash, text);
+      if (!question.currentSeenUtc || seenUtc > question.currentSeenUtc) {
+        question.currentText = text;
+        question.currentSeenUtc = seenUtc;
+      }
+    }
+  }
+
+  return events;
+}
+
+// Writes the run's observations: widens first/last seen on known texts, adds
+// new texts, then refreshes each touched catalogue row from its text history.
+// Returns the number of question keys written.
+async function flushQuestionCatalogue(pool, catalogue, jobRunId) {
+  const byKey = new Map();
+  for (const observation of catalogue.observations.values()) {
+    if (!byKey.has(observation.questionKey)) {
+      byKey.set(observation.questionKey, []);
+    }
+    byKey.get(observation.questionKey).push(observation);
+  }
+
+  for (const [questionKey, observations] of byKey) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    try {
+      for (const observation of observations) {
+        const req = new sql.Request(transaction);
+        req.input('questionKey', sql.NVarChar(256), questionKey);
+        req.input('textHash', sql.Char(64), observation.textHash);
+        req.input('questionText', sql.NVarChar(1000), observation.questionText);
+        req.input('section', sql.NVarChar(200), observation.section ?? null);
+        req.input('firstSeenUtc', sql.DateTime2(0), observation.firstSeenUtc);
+        req.input('lastSeenUtc', sql.DateTime2(0), observation.lastSeenUtc);
+        req.input('firstSeenReportId', sql.NVarChar(100), observation.firstSeenReportId);
+        req.input('lastSeenReportId', sql.NVarChar(100), observation.lastSeenReportId);
+        req.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+        await req.query(
+          `
+UPDATE dbo.GoAuditsQuestionTextHistory
+SET FirstSeenReportId = CASE WHEN @firstSeenUtc < FirstSeenUtc THEN @firstSeenReportId ELSE FirstSeenReportId END,
+    FirstSeenUtc      = CASE WHEN @firstSeenUtc < FirstSeenUtc THEN @firstSeenUtc ELSE FirstSeenUtc END,
+    LastSeenReportId  = CASE WHEN @lastSeenUtc > LastSeenUtc THEN @lastSeenReportId ELSE LastSeenReportId END,
+    Section           = CASE WHEN @lastSeenUtc > LastSeenUtc THEN @section ELSE Section END,
+    LastSeenUtc       = CASE WHEN @lastSeenUtc > LastSeenUtc THEN @lastSeenUtc ELSE LastSeenUtc END
+WHERE QuestionKey = @questionKey AND TextHash = @textHash;
+
+IF @@ROWCOUNT = 0
+  INSERT INTO dbo.GoAuditsQuestionTextHistory
+    (QuestionKey, TextHash, QuestionText, Section, FirstSeenUtc, LastSeenUtc, FirstSeenReportId, LastSeenReportId, JobRunId)
+  VALUES
+    (@questionKey, @textHash, @questionText, @section, @firstSeenUtc, @lastSeenUtc, @firstSeenReportId, @lastSeenReportId, @jobRunId);
+          `.trim()
+        );
+      }
+
+      const reqCatalogue = new sql.Request(transaction);
+      reqCatalogue.input('questionKey', sql.NVarChar(256), questionKey);
+      reqCatalogue.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+      await reqCatalogue.query(
+        `
+DECLARE @text NVARCHAR(1000), @section NVARCHAR(200), @textHash CHAR(64);
+DECLARE @versions INT, @firstSeenUtc DATETIME2(0), @lastSeenUtc DATETIME2(0);
+
+SELECT TOP (1) @text = QuestionText, @section = Section, @textHash = TextHash
+FROM dbo.GoAuditsQuestionTextHistory
+WHERE QuestionKey = @questionKey
+ORDER BY LastSeenUtc DESC, TextHash;
+
+SELECT @versions = COUNT(*), @firstSeenUtc = MIN(FirstSeenUtc), @lastSeenUtc = MAX(LastSeenUtc)
+FROM dbo.GoAuditsQuestionTextHistory
+WHERE QuestionKey = @questionKey;
+
+UPDATE dbo.GoAuditsQuestionCatalogue
+SET QuestionText = @text,
+    Section = @section,
+    TextHash = @textHash,
+    TextVersionCount = @versions,
+    FirstSeenUtc = @firstSeenUtc,
+    LastSeenUtc = @lastSeenUtc,
+    LastJobRunId = @jobRunId,
+    UpdatedUtc = SYSUTCDATETIME()
+WHERE QuestionKey = @questionKey;
+
+IF @@ROWCOUNT = 0
+  INSERT INTO dbo.GoAuditsQuestionCatalogue
+    (QuestionKey, QuestionText, Section, TextHash, TextVersionCount, FirstSeenUtc, LastSeenUtc, LastJobRunId)
+  VALUES
+    (@questionKey, @text, @section, @textHash, @versions, @firstSeenUtc, @lastSeenUtc, @jobRunId);
+        `.trim()
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      try {
+        await transaction.rollback();
+      } catch {
+        // best effort
+      }
+      throw error;
+    }
+  }
+
+  catalogue.observations.clear();
+  return byKey.size;
+}
+
+module.exports = {
+  hashQuestionText,
+  loadQuestionCatalogue,
+  observeQuestions,
+  flushQuestionCatalogue,
+};
@@ -0,0 +1,102 @@
+const { createHash } = require('crypto');
+const { sql } = require('./sql');
+
+const SOURCE_SUMMARY = 'Summary';
+const SOURCE_DETAILS = 'Details';
+
+function hashPayload(payloadJson) {
+  return createHash('sha256').update(payloadJson).digest('hex');
+}
+
+// Lands the raw JSON for one report inside the caller's transaction. A payload
+// identical to the latest one stored for the report/source is not stored again.
+async function saveRawPayload(transaction, { reportId, source, fetchedAtUtc, payload, jobRunId }) {
+  const payloadJson = JSON.stringify(payload);
+  const contentHash = hashPayload(payloadJson);
+
+  const request = new sql.Request(transaction);
+  request.input('reportId', sql.NVarChar(100), reportId);
+  request.input('source', sql.NVarChar(20), source);
+  request.input('fetchedAtUtc', sql.DateTime2(3), fetchedAtUtc);
+  request.input('contentHash', sql.Char(64), contentHash);
+  request.input('payloadJson', sql.NVarChar(sql.MAX), payloadJson);
+  request.input('jobRunId', sql.UniqueIdentifier, jobRunId);
+
+  const result = await request.query(
+    `
+IF NOT EXISTS (
+  SELECT 1
+  FROM (
+    SELECT TOP (1) ContentHash
+    FROM dbo.GoAuditsRawPayloads
+    WHERE GoAuditsReportId = @reportId AND Source = @source
+    ORDER BY FetchedAtUtc DESC
+  ) latest
+  WHERE latest.ContentHash = @contentHash
+)
+  INSERT INTO dbo.GoAuditsRawPayloads (GoAuditsReportId, Source, FetchedAtUtc, ContentHash, PayloadJson, JobRunId)
+  VALUES (@reportId, @source, @fetchedAtUtc, @contentHash, @payloadJson, @jobRunId);
+    `.trim()
+  );
+
+  return {
+    contentHash,
+    inserted: Boolean(result && result.rowsAffected && result.rowsAffected.some((n) => n > 0)),
+  };
+}
+
+// Latest stored payload per report for a source, keyed after `afterReportId` so
+// callers can page through the whole landing table.
+async function loadLatestRawPayloads(pool, source, { afterReportId = '', batchSize, reportIds = null }) {
+  const request = pool.request();
+  request.input('source', sql.NVarChar(20), source);
+  request.input('afterReportId', sql.NVarChar(100), afterReportId);
+  request.input('batchSize', sql.Int, batchSize);
+  request.input(
+    'reportIds',
+    sql.NVarChar(sql.MAX),
+    reportIds && reportIds.length > 0 ? JSON.stringify(reportIds) : null
+  );
+
+  const result = await request.query(`
+    SELECT TOP (@batchSize) p.GoAuditsReportId, p.FetchedAtUtc, p.ContentHash, p.PayloadJson
+    FROM dbo.GoAuditsRawPayloads p
+    WHERE p.Source = @source
+      AND p.GoAuditsReportId > @afterReportId
+      AND (@reportIds IS NULL OR p.GoAuditsReportId IN (SELECT value FROM OPENJSON(@reportIds)))
+      AND p.FetchedAtUtc = (
+        SELECT MAX(x.FetchedAtUtc)
+        FROM dbo.GoAuditsRawPayloads x
+        WHERE x.GoAuditsReportId = p.GoAuditsReportId AND x.Source = p.Source
+      )
+    ORDER BY p.GoAuditsReportId;
+  `);
+
+  return result.recordset.map((row) => ({
+    reportId: row.GoAuditsReportId,
+    fetchedAtUtc: row.FetchedAtUtc,
+    contentHash: row.ContentHash,
+    payload: JSON.parse(row.PayloadJson),
+  }));
+}
+
+function parseReportIdList(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  const ids = value
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return ids.length > 0 ? ids : null;
+}
+
+module.exports = {
+  SOURCE_SUMMARY,
+  SOURCE_DETAILS,
+  hashPayload,
+  saveRawPayload,
+  loadLatestRawPayloads,
+  parseReportIdList,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROUTING_PATH = path.join(__dirname, '..', 'rules', 'routing.json');
+
+const ROUTE_STATUS = {
+  ROUTED: 'Routed',
+  UNROUTED: 'Unrouted',
+};
+
+function normalize(value) {
+  return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+}
+
+function compileRoute(route, index) {
+  const label = route && route.name ? `Route ${route.name}` : `Route #${index + 1}`;
+
+  if (!route || typeof route !== 'object') {
+    throw new Error(`${label} must be an object.`);
+  }
+  if (!route.name || !route.ruleSetName || !route.ruleSetVersion) {
+    throw new Error(`${label} is missing name, ruleSetName or ruleSetVersion.`);
+  }
+
+  const when = route.when || {};
+  const compiled = {
+    name: String(route.name),
+    ruleSetName: String(route.ruleSetName),
+    ruleSetVersion: String(route.ruleSetVersion),
+    templatePattern: null,
+    answer: null,
+  };
+
+  if (when.templateNameMatches !== undefined) {
+    try {
+      compiled.templatePattern = new RegExp(when.templateNameMatches, 'i');
+    } catch (error) {
+      throw new Error(`${label} has an invalid templateNameMatches pattern: ${error.message}`);
+    }
+  }
+
+  if (when.answer !== undefined) {
+    const { questionKey, in: values } = when.answer || {};
+    if (!questionKey || !Array.isArray(values) || values.length === 0) {
+      throw new Error(`${label} answer condition needs questionKey and a non-empty "in" list.`);
+    }
+    compiled.answer = { questionKey: String(questionKey), values: new Set(values.map(normalize)) };
+  }
+
+  if (!compiled.templatePattern && !compiled.answer) {
+    throw new Error(`${label} needs at least one condition (templateNameMatches or answer).`);
+  }
+
+  return compiled;
+}
+
+// Loads and checks the routing file. Routes are tried in order; the first
+// whose conditions all match decides the report's ruleset and version.
+function loadRouting(filePath = DEFAULT_ROUTING_PATH) {
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!json.routingVersion || !Array.isArray(json.routes) || json.routes.length === 0) {
+    throw new Error('Routing file missing required fields (routingVersion, routes).');
+  }
+
+  const routes = json.routes.map(compileRoute);
+  const names = new Set();
+  for (const route of routes) {
+    if (names.has(route.name)) {
+      throw new Error(`Route name ${route.name} is used more than once.`);
+    }
+    names.add(route.name);
+  }
+
+  return { routingVersion: String(json.routingVersion), routes };
+}
+
+// Returns the first route matching the report's template name and answers
+// (questionKey -> [{ value }]), or null when the report is unrouted.
+function resolveRoute(routing, templateName, answerMap) {
+  for (const route of routing.routes) {
+    if (route.templatePattern && !(templateName && route.templatePattern.test(templateName))) {
+      continue;
+    }
+
+    if (route.answer) {
+      const instances = answerMap.get(route.answer.questionKey) || [];
+      if (!instances.some((instance) => route.answer.values.has(normalize(instance.value)))) {
+        continue;
+      }
+    }
+
+    return route;
+  }
+
+  return null;
+}
+
+module.exports = {
+  ROUTE_STATUS,
+  loadRouting,
+  resolveRoute,
+};
@@ -0,0 +1,896 @@
+// GoAudits scoring rules: loading and validating src/rules/<ruleset>.<version>.json
+// and evaluating rules against a report's answers. Used by the scoring job and
+// the rules CLIs in src/cli.
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const { ANSWER_TYPES, classifyAnswer } = require('./answer-types');
+
+const RULES_DIR = path.join(__dirname, '..', 'rules');
+const RULES_FILE_PATTERN = /^([a-z0-9-]+)\.(v\d+)\.json$/;
+
+// ruleSetVersion (GOAUDITS_RULESET_VERSION, routing.json) meaning "the version
+// in force when the audit was completed" instead of a fixed vN.
+const EFFECTIVE_VERSION = 'effective';
+
+// Operators each rules schema version accepts. Files without schemaVersion are v1.
+const V1_OPS = ['missing', 'equals', 'in'];
+const V2_OPS = [
+  ...V1_OPS,
+  'notMissing',
+  'notEquals',
+  'notIn',
+  'contains',
+  'regex',
+  'lt',
+  'lte',
+  'gt',
+  'gte',
+  'between',
+];
+const OPS_BY_SCHEMA_VERSION = { 1: V1_OPS, 2: V2_OPS, 3: V2_OPS };
+// From this schema version conditions may be all/any/not trees, name other
+// question keys, and rules may carry an appliesWhen precondition.
+const COMPOUND_SCHEMA_VERSION = 3;
+const COMBINATORS = ['all', 'any', 'not'];
+const NUMERIC_OPS = new Set(['lt', 'lte', 'gt', 'gte', 'between']);
+
+// nonCompliantWhen -> compiled RegExp for `regex` rules, filled by validateRulesDoc.
+const compiledPatterns = new WeakMap();
+let schemaValidators;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+// Checks a leaf condition's operator and operands against the file's schema
+// version and compiles regex patterns.
+function validateLeaf(nc, schemaVersion, defaultNorm, fail) {
+  const op = nc.op;
+  if (!OPS_BY_SCHEMA_VERSION[schemaVersion].includes(op)) {
+    const since = Object.keys(OPS_BY_SCHEMA_VERSION).find((v) => OPS_BY_SCHEMA_VERSION[v].includes(op));
+    fail(
+      since
+        ? `op "${op}" needs schemaVersion ${since} or later (file is ${schemaVersion}).`
+        : `unknown op "${op}".`
+    );
+  }
+
+  switch (op) {
+    case 'equals':
+    case 'notEquals':
+    case 'contains':
+      if (!isNonEmptyString(nc.value)) {
+        fail(`op "${op}" needs a non-empty string "value".`);
+      }
+      break;
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(nc.values) || nc.values.length === 0 || !nc.values.every((v) => typeof v === 'string')) {
+        fail(`op "${op}" needs "values", a non-empty array of strings.`);
+      }
+      break;
+    case 'regex': {
+      if (!isNonEmptyString(nc.pattern)) {
+        fail('op "regex" needs a non-empty string "pattern".');
+      }
+      const caseInsensitive =
+        typeof nc.caseInsensitive === 'boolean' ? nc.caseInsensitive : Boolean(defaultNorm.caseInsensitive);
+      try {
+        compiledPatterns.set(nc, new RegExp(nc.pattern, caseInsensitive ? 'i' : ''));
+      } catch (error) {
+        fail(`invalid regex pattern: ${error.message}`);
+      }
+      break;
+    }
+    case 'lt':
+    case 'lte':
+    case 'gt':
+    case 'gte':
+      if (typeof nc.value !== 'number' || !Number.isFinite(nc.value)) {
+        fail(`op "${op}" needs a numeric "value".`);
+      }
+      break;
+    case 'between':
+      if (typeof nc.min !== 'number' || typeof nc.max !== 'number' || !Number.isFinite(nc.min) || !Number.isFinite(nc.max)) {
+        fail('op "between" needs numeric "min" and "max".');
+      }
+      if (nc.min > nc.max) {
+        fail('op "between" has "min" greater than "max".');
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (nc.unit !== undefined && (!NUMERIC_OPS.has(op) || !isNonEmptyString(nc.unit))) {
+    fail('"unit" is only allowed as a non-empty string on numeric ops.');
+  }
+}
+
+// Validates a condition: a leaf ({ op, ... }) or, from schema v3, an
+// { all: [...] } / { any: [...] } / { not: {...} } tree whose leaves may name
+// another questionKey. `where` locates the node in error messages.
+function validateNode(node, schemaVersion, defaultNorm, fail, where) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    fail(`${where} must be an object.`);
+  }
+
+  const combinators = COMBINATORS.filter((key) => node[key] !== undefined);
+  if (combinators.length > 0) {
+    if (schemaVersion < COMPOUND_SCHEMA_VERSION) {
+      fail(`${where} uses "${combinators[0]}", which needs schemaVersion ${COMPOUND_SCHEMA_VERSION} or later (file is ${schemaVersion}).`);
+    }
+    if (combinators.length > 1 || node.op !== undefined) {
+      fail(`${where} must have exactly one of op, all, any or not.`);
+    }
+
+    const key = combinators[0];
+    if (key === 'not') {
+      validateNode(node.not, schemaVersion, defaultNorm, fail, `${where}.not`);
+      return;
+    }
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      fail(`${where}.${key} must be a non-empty array.`);
+    }
+    node[key].forEach((child, i) =>
+      validateNode(child, schemaVersion, defaultNorm, fail, `${where}.${key}[${i}]`)
+    );
+    return;
+  }
+
+  if (node.questionKey !== undefined) {
+    if (schemaVersion < COMPOUND_SCHEMA_VERSION) {
+      fail(`${where} names a questionKey, which needs schemaVersion ${COMPOUND_SCHEMA_VERSION} or later (file is ${schemaVersion}).`);
+    }
+    if (!isNonEmptyString(node.questionKey)) {
+      fail(`${where}.questionKey must be a non-empty string.`);
+    }
+  }
+
+  validateLeaf(node, schemaVersion, defaultNorm, (problem) => fail(`${where}: ${problem}`));
+}
+
+// A rule's stable id: required from schema v3; older files use the question key.
+function ruleIdOf(rule) {
+  return rule.ruleId ?? rule.questionKey;
+}
+
+// The keys a rule can read its answer from: template variants of the same
+// question (questionKeysAny, schema v3) or its single questionKey.
+function ruleQuestionKeys(rule) {
+  return rule.questionKeysAny ?? [rule.questionKey];
+}
+
+function ruleLabel(rule, index) {
+  return rule.ruleId
+    ? `Rule #${index + 1} (ruleId ${rule.ruleId})`
+    : `Rule #${index + 1} (questionKey ${rule.questionKey})`;
+}
+
+// Throws with the rule's position and id on the first problem.
+function validateRule(rule, index, schemaVersion, defaultNorm) {
+  const label = ruleLabel(rule, index);
+  const fail = (problem) => {
+    throw new Error(`${label}: ${problem}`);
+  };
+
+  if (schemaVersion >= COMPOUND_SCHEMA_VERSION && !isNonEmptyString(rule.ruleId)) {
+    fail(`ruleId is required from schemaVersion ${COMPOUND_SCHEMA_VERSION}.`);
+  }
+
+  if (rule.questionKeysAny !== undefined) {
+    if (schemaVersion < COMPOUND_SCHEMA_VERSION) {
+      fail(`questionKeysAny needs schemaVersion ${COMPOUND_SCHEMA_VERSION} or later (file is ${schemaVersion}).`);
+    }
+    if (rule.questionKey !== undefined) {
+      fail('set either questionKey or questionKeysAny, not both.');
+    }
+    const keys = rule.questionKeysAny;
+    if (!Array.isArray(keys) || keys.length === 0 || !keys.every(isNonEmptyString)) {
+      fail('questionKeysAny must be a non-empty array of question keys.');
+    }
+    if (new Set(keys).size !== keys.length) {
+      fail('questionKeysAny lists a key more than once.');
+    }
+  } else if (!isNonEmptyString(rule.questionKey)) {
+    fail('questionKey is missing.');
+  }
+
+  validateNode(rule.nonCompliantWhen, schemaVersion, defaultNorm, fail, 'nonCompliantWhen');
+
+  if (rule.appliesWhen !== undefined) {
+    if (schemaVersion < COMPOUND_SCHEMA_VERSION) {
+      fail(`appliesWhen needs schemaVersion ${COMPOUND_SCHEMA_VERSION} or later (file is ${schemaVersion}).`);
+    }
+    validateNode(rule.appliesWhen, schemaVersion, defaultNorm, fail, 'appliesWhen');
+  }
+}
+
+// Compiled JSON Schema per rules schema version (ruleset.schema.v<N>.json).
+function schemaValidatorFor(schemaVersion) {
+  if (!schemaValidators) {
+    const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true });
+    schemaValidators = new Map();
+    for (const version of Object.keys(OPS_BY_SCHEMA_VERSION)) {
+      const schemaPath = path.join(RULES_DIR, `ruleset.schema.v${version}.json`);
+      schemaValidators.set(Number(version), ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf8'))));
+    }
+  }
+  return schemaValidators.get(schemaVersion);
+}
+
+function schemaErrors(validate) {
+  return validate.errors.map((error) => {
+    const detail = error.params.additionalProperty
+      ? ` (${error.params.additionalProperty})`
+      : error.params.allowedValues
+        ? ` (${error.params.allowedValues.join(', ')})`
+        : '';
+    return `${error.instancePath || '/'} ${error.message}${detail}`;
+  });
+}
+
+// A finding only keeps the text for its own severity, so the other one is a
+// copy/paste slip in the scoring sheet.
+function severityTextMismatches(rulesDoc) {
+  const problems = [];
+  rulesDoc.rules.forEach((rule, index) => {
+    const finding = rule.finding;
+    const otherText = finding.severity === 'Major' ? 'minorNonCompliantText' : 'majorNonCompliantText';
+    if (finding[otherText] !== null && finding[otherText] !== undefined) {
+      problems.push(`${ruleLabel(rule, index)}: severity is ${finding.severity} but ${otherText} is set.`);
+    }
+  });
+  return problems;
+}
+
+// Two enabled rules reading the same question key. With the same ruleId (older
+// files, where the ruleId is the key) their findings merge and the second
+// rule's severity is lost, so that is an error; distinct ruleIds are reported.
+function duplicateQuestionKeys(rulesDoc) {
+  const errors = [];
+  const warnings = [];
+  const seen = new Map();
+  rulesDoc.rules.forEach((rule, index) => {
+    if (rule.enabled === false) {
+      return;
+    }
+    for (const key of ruleQuestionKeys(rule)) {
+      const first = seen.get(key);
+      if (!first) {
+        seen.set(key, { rule, index });
+        continue;
+      }
+      const problem = `questionKey ${key} is used by ${ruleLabel(first.rule, first.index)} and ${ruleLabel(rule, index)}`;
+      if (ruleIdOf(first.rule) === ruleIdOf(rule)) {
+        errors.push(`${problem}; their findings would merge into one.`);
+      } else {
+        warnings.push(`${problem}.`);
+      }
+    }
+  });
+  return { errors, warnings };
+}
+
+// Outcome rules are tried in order. One can never be reached when an earlier
+// rule already takes every report it would (always, or a count threshold no
+// higher than its own), or when it needs findings of a severity no enabled
+// rule raises.
+function unreachableOutcomeRules(rulesDoc) {
+  const enabled = rulesDoc.rules.filter((rule) => rule.enabled !== false);
+  const raised = {
+    majorCountGte: enabled.some((rule) => rule.finding.severity === 'Major'),
+    minorCountGte: enabled.some((rule) => rule.finding.severity === 'Minor'),
+  };
+  const lowest = { majorCountGte: Infinity, minorCountGte: Infinity };
+  let always = false;
+  const problems = [];
+
+  rulesDoc.scoring.outcomeRules.forEach((outcomeRule, index) => {
+    const when = outcomeRule.when || {};
+    let reachable = !always && when.always === true;
+    for (const field of Object.keys(lowest)) {
+      const threshold = when[field];
+      if (typeof threshold === 'number' && !always && threshold < lowest[field] && (threshold === 0 || raised[field])) {
+        reachable = true;
+      }
+    }
+    if (!reachable) {
+      problems.push(`scoring.outcomeRules[${index}] (outcome ${outcomeRule.outcome}) can never be reached.`);
+    }
+
+    if (when.always === true) {
+      always = true;
+    }
+    for (const field of Object.keys(lowest)) {
+      const threshold = when[field];
+      if (typeof threshold === 'number') {
+        lowest[field] = Math.min(lowest[field], threshold);
+        always = always || threshold === 0;
+      }
+    }
+  });
+  return problems;
+}
+
+// effectiveFrom (inclusive) / effectiveTo (exclusive) are UTC dates; either
+// may be left out for an open-ended window.
+function parseEffectiveDate(value) {
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== value ? null : ms;
+}
+
+function isEffectiveDated(rulesDoc) {
+  return rulesDoc.effectiveFrom !== undefined || rulesDoc.effectiveTo !== undefined;
+}
+
+function effectiveWindow(rulesDoc) {
+  return {
+    fromMs: rulesDoc.effectiveFrom === undefined ? -Infinity : parseEffectiveDate(rulesDoc.effectiveFrom),
+    toMs: rulesDoc.effectiveTo === undefined ? Infinity : parseEffectiveDate(rulesDoc.effectiveTo),
+  };
+}
+
+function describeWindow(rulesDoc) {
+  return `${rulesDoc.ruleSetVersion} [${rulesDoc.effectiveFrom ?? 'start'}, ${rulesDoc.effectiveTo ?? 'open'})`;
+}
+
+function effectiveDateErrors(rulesDoc) {
+  const errors = [];
+  for (const field of ['effectiveFrom', 'effectiveTo']) {
+    if (rulesDoc[field] !== undefined && parseEffectiveDate(rulesDoc[field]) === null) {
+      errors.push(`${field} ${rulesDoc[field]} is not a valid date.`);
+    }
+  }
+  if (errors.length === 0 && rulesDoc.effectiveFrom !== undefined && rulesDoc.effectiveTo !== undefined) {
+    if (rulesDoc.effectiveFrom >= rulesDoc.effectiveTo) {
+      errors.push(`effectiveFrom ${rulesDoc.effectiveFrom} must be before effectiveTo ${rulesDoc.effectiveTo}.`);
+    }
+  }
+  return errors;
+}
+
+// Cross-file check of one ruleset's effective-dated versions: overlapping
+// windows would give a report two versions in force, so they are errors; gaps
+// leave reports without one and are reported.
+function effectiveWindowProblems(rulesDocs) {
+  const dated = rulesDocs
+    .filter(isEffectiveDated)
+    .map((rulesDoc) => ({ rulesDoc, ...effectiveWindow(rulesDoc) }))
+    .sort((a, b) => a.fromMs - b.fromMs);
+  const errors = [];
+  const warnings = [];
+
+  dated.forEach((current, index) => {
+    for (const later of dated.slice(index + 1)) {
+      if (later.fromMs < current.toMs) {
+        errors.push(
+          `${current.rulesDoc.ruleSetName} ${describeWindow(current.rulesDoc)} overlaps ${describeWindow(later.rulesDoc)}.`
+        );
+      }
+    }
+    const next = dated[index + 1];
+    if (next && next.fromMs > current.toMs) {
+      warnings.push(
+        `${current.rulesDoc.ruleSetName} has no version in force between ${current.rulesDoc.effectiveTo} and ${next.rulesDoc.effectiveFrom}.`
+      );
+    }
+  });
+  return { errors, warnings };
+}
+
+// Checks a parsed rules document against the JSON Schema for its schemaVersion,
+// then the engine's operand checks (compiling regexes), then semantic checks.
+// Returns { errors, warnings }; a document with errors must not be scored.
+function validateRulesDoc(rulesDoc) {
+  const warnings = [];
+  if (!rulesDoc || typeof rulesDoc !== 'object' || Array.isArray(rulesDoc)) {
+    return { errors: ['file is not a JSON object.'], warnings };
+  }
+
+  const schemaVersion = rulesDoc.schemaVersion === undefined ? 1 : rulesDoc.schemaVersion;
+  if (!OPS_BY_SCHEMA_VERSION[schemaVersion]) {
+    return { errors: [`unsupported schemaVersion ${JSON.stringify(rulesDoc.schemaVersion)}.`], warnings };
+  }
+
+  const validate = schemaValidatorFor(schemaVersion);
+  if (!validate(rulesDoc)) {
+    return { errors: schemaErrors(validate), warnings };
+  }
+
+  const defaultNorm = rulesDoc.answerNormalization || {};
+  try {
+    rulesDoc.rules.forEach((rule, index) => validateRule(rule, index, schemaVersion, defaultNorm));
+  } catch (error) {
+    return { errors: [error.message], warnings };
+  }
+
+  const errors = [];
+  const ruleIds = new Set();
+  for (const rule of rulesDoc.rules) {
+    if (rule.ruleId !== undefined) {
+      if (ruleIds.has(rule.ruleId)) {
+        errors.push(`ruleId ${rule.ruleId} is used more than once.`);
+      }
+      ruleIds.add(rule.ruleId);
+    }
+  }
+
+  errors.push(...effectiveDateErrors(rulesDoc));
+  const duplicates = duplicateQuestionKeys(rulesDoc);
+  errors.push(...severityTextMismatches(rulesDoc), ...duplicates.errors, ...unreachableOutcomeRules(rulesDoc));
+  warnings.push(...duplicates.warnings);
+  return { errors, warnings };
+}
+
+// Validates one rules file, including that its name (<ruleset>.<version>.json)
+// matches the ruleSetName and ruleSetVersion inside it.
+function validateRulesFile(filePath) {
+  const fileName = path.basename(filePath);
+  const raw = fs.readFileSync(filePath, 'utf8');
+
+  let rulesDoc;
+  try {
+    rulesDoc = JSON.parse(raw);
+  } catch (error) {
+    return { rulesDoc: null, errors: [`not valid JSON: ${error.message}`], warnings: [] };
+  }
+
+  const { errors, warnings } = validateRulesDoc(rulesDoc);
+  const match = RULES_FILE_PATTERN.exec(fileName);
+  if (!match) {
+    errors.unshift('file name must be <ruleset>.<version>.json (e.g. pv.v2.json).');
+  } else if (rulesDoc && typeof rulesDoc === 'object') {
+    const [, ruleset, version] = match;
+    if (String(rulesDoc.ruleSetVersion) !== version) {
+      errors.unshift(`Rules version mismatch. Expected ${version}, found ${rulesDoc.ruleSetVersion}.`);
+    }
+    if (String(rulesDoc.ruleSetName).toLowerCase() !== ruleset) {
+      errors.unshift(`Rules name mismatch. Expected ${ruleset}, found ${rulesDoc.ruleSetName}.`);
+    }
+  }
+
+  return { rulesDoc, errors, warnings };
+}
+
+// Loads src/rules/<ruleset>.<version>.json and throws with every problem when
+// it does not validate.
+function loadRules(ruleset, version) {
+  const fileName = `${ruleset.toLowerCase()}.${version}.json`;
+  const { rulesDoc, errors } = validateRulesFile(path.join(RULES_DIR, fileName));
+  if (errors.length > 0) {
+    throw new Error(`${fileName}: ${errors.join(' ')}`);
+  }
+  return rulesDoc;
+}
+
+// Loads every effective-dated version of a ruleset (files declaring
+// effectiveFrom and/or effectiveTo), oldest first, as [{ version, rulesDoc,
+// fromMs, toMs }]; empty when none is dated. Throws when two windows overlap.
+function loadEffectiveVersions(ruleset) {
+  const prefix = ruleset.toLowerCase();
+  const rulesDocs = [];
+  for (const fileName of fs.readdirSync(RULES_DIR)) {
+    const match = RULES_FILE_PATTERN.exec(fileName);
+    if (!match || match[1] !== prefix) {
+      continue;
+    }
+    if (isEffectiveDated(JSON.parse(fs.readFileSync(path.join(RULES_DIR, fileName), 'utf8')))) {
+      rulesDocs.push(loadRules(ruleset, match[2]));
+    }
+  }
+
+  const { errors } = effectiveWindowProblems(rulesDocs);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' '));
+  }
+
+  return rulesDocs
+    .map((rulesDoc) => ({ version: rulesDoc.ruleSetVersion, rulesDoc, ...effectiveWindow(rulesDoc) }))
+    .sort((a, b) => a.fromMs - b.fromMs);
+}
+
+// The entry of loadEffectiveVersions in force at completedAtUtc, or null.
+function versionInForce(versions, completedAtUtc) {
+  const ms = new Date(completedAtUtc).getTime();
+  return versions.find((entry) => ms >= entry.fromMs && ms < entry.toMs) || null;
+}
+
+function extractRulesetQuestionKeys(rulesDoc) {
+  const keys = new Set();
+  for (const rule of rulesDoc.rules ?? []) {
+    for (const k of rule.questionKeysAny ?? []) keys.add(Number(k));
+  }
+  for (const k of rulesDoc.ignoreQuestionKeys ?? []) keys.add(Number(k));
+  return keys;
+}
+
+function normalizeAnswer(value, options = {}) {
+  const { trim = false, caseInsensitive = false, emptyIsNull = false } = options;
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  let result = String(value);
+  if (trim) {
+    result = result.trim();
+  }
+  if (emptyIsNull && result === '') {
+    return null;
+  }
+  if (caseInsensitive) {
+    result = result.toLowerCase();
+  }
+  return result;
+}
+
+// Typed view of an answer instance: the columns stored by enrichment, or the
+// raw value classified here for answers enriched before typing existed.
+function typedAnswer(instance) {
+  if (instance.typed) {
+    return instance.typed;
+  }
+  return classifyAnswer(instance.value);
+}
+
+// Numbers and dates compare by value when both sides parse as the same type
+// ("2.0 kW" equals "2 kW"); everything else compares as normalized text.
+function matchesExpected(expectedRaw, answerNorm, typed, normOpts) {
+  const expectedTyped = classifyAnswer(expectedRaw);
+
+  if (typed.answerType === ANSWER_TYPES.NUMBER && expectedTyped.answerType === ANSWER_TYPES.NUMBER) {
+    const unitsDiffer =
+      typed.answerUnit &&
+      expectedTyped.answerUnit &&
+      typed.answerUnit.toLowerCase() !== expectedTyped.answerUnit.toLowerCase();
+    return !unitsDiffer && typed.answerNumber === expectedTyped.answerNumber;
+  }
+
+  if (typed.answerType === ANSWER_TYPES.DATE && expectedTyped.answerType === ANSWER_TYPES.DATE) {
+    return typed.answerDate.getTime() === expectedTyped.answerDate.getTime();
+  }
+
+  const expected = normalizeAnswer(expectedRaw, normOpts);
+  return expected !== null && answerNorm === expected;
+}
+
+// Numeric value of an answer for lt/lte/gt/gte/between, with any unit
+// stripped. A rule `unit` must match the answer's unit when the answer has one.
+function numericAnswer(typed, nc) {
+  if (typed.answerType !== ANSWER_TYPES.NUMBER) {
+    return null;
+  }
+  if (nc.unit && typed.answerUnit && typed.answerUnit.toLowerCase() !== nc.unit.toLowerCase()) {
+    return null;
+  }
+  return typed.answerNumber;
+}
+
+// Every op except missing/notMissing is false for a missing answer; pair a
+// rule with a `missing` rule to flag blanks.
+function checkNonCompliant(op, nc, answerNorm, normOpts, typed) {
+  const isMissing = answerNorm === null || answerNorm === '';
+
+  switch (op) {
+    case 'missing':
+      return isMissing;
+    case 'notMissing':
+      return !isMissing;
+    case 'equals':
+      return matchesExpected(nc.value, answerNorm, typed, normOpts);
+    case 'notEquals':
+      return !isMissing && !matchesExpected(nc.value, answerNorm, typed, normOpts);
+    case 'in': {
+      const values = Array.isArray(nc.values) ? nc.values : [];
+      return answerNorm !== null && values.some((v) => matchesExpected(v, answerNorm, typed, normOpts));
+    }
+    case 'notIn': {
+      const values = Array.isArray(nc.values) ? nc.values : [];
+      return !isMissing && !values.some((v) => matchesExpected(v, answerNorm, typed, normOpts));
+    }
+    case 'contains': {
+      const needle = normalizeAnswer(nc.value, normOpts);
+      return !isMissing && needle !== null && answerNorm.includes(needle);
+    }
+    case 'regex': {
+      const pattern = compiledPatterns.get(nc);
+      if (!pattern) {
+        throw new Error(`Regex rule was not compiled: ${nc.pattern}`);
+      }
+      return !isMissing && pattern.test(answerNorm);
+    }
+    case 'lt':
+    case 'lte':
+    case 'gt':
+    case 'gte':
+    case 'between': {
+      const number = isMissing ? null : numericAnswer(typed, nc);
+      if (number === null) {
+        return false;
+      }
+      if (op === 'lt') return number < nc.value;
+      if (op === 'lte') return number <= nc.value;
+      if (op === 'gt') return number > nc.value;
+      if (op === 'gte') return number >= nc.value;
+      return number >= nc.min && number <= nc.max;
+    }
+    default:
+      throw new Error(`Unsupported op: ${op}`);
+  }
+}
+
+function normOptionsFor(node, defaultNorm) {
+  const normOpts = {
+    trim: defaultNorm.trim || false,
+    caseInsensitive: defaultNorm.caseInsensitive || false,
+    emptyIsNull: defaultNorm.emptyIsNull || false,
+  };
+
+  if (typeof node.trim === 'boolean') {
+    normOpts.trim = node.trim;
+  }
+  if (typeof node.caseInsensitive === 'boolean') {
+    normOpts.caseInsensitive = node.caseInsensitive;
+  }
+  return normOpts;
+}
+
+// The instance of another question that lines up with the instance being
+// evaluated: the same InstanceIndex when that question repeats too, otherwise
+// its first instance.
+function instanceFor(answerMap, questionKey, instanceIndex) {
+  const instances = answerMap.get(questionKey);
+  if (!instances || instances.length === 0) {
+    return { instanceIndex, value: null };
+  }
+  return instances.find((instance) => instance.instanceIndex === instanceIndex) || instances[0];
+}
+
+function conditionKeys(node, ruleKey) {
+  if (node.all || node.any) {
+    return (node.all || node.any).flatMap((child) => conditionKeys(child, ruleKey));
+  }
+  if (node.not) {
+    return conditionKeys(node.not, ruleKey);
+  }
+  return [node.questionKey || ruleKey];
+}
+
+// Evaluates a condition tree for one instance of the rule's question and
+// returns { matched, keys }: keys are the question keys that made it match
+// (for `not`, the keys it inspected).
+function evaluateCondition(node, context) {
+  if (node.all) {
+    const keys = [];
+    for (const child of node.all) {
+      const result = evaluateCondition(child, context);
+      if (!result.matched) {
+        return { matched: false, keys: [] };
+      }
+      keys.push(...result.keys);
+    }
+    return { matched: true, keys };
+  }
+
+  if (node.any) {
+    const keys = [];
+    for (const child of node.any) {
+      const result = evaluateCondition(child, context);
+      if (result.matched) {
+        keys.push(...result.keys);
+      }
+    }
+    return { matched: keys.length > 0, keys };
+  }
+
+  if (node.not) {
+    const inner = evaluateCondition(node.not, context);
+    return inner.matched
+      ? { matched: false, keys: [] }
+      : { matched: true, keys: conditionKeys(node.not, context.ruleKey) };
+  }
+
+  const key = node.questionKey || context.ruleKey;
+  const instance =
+    key === context.ruleKey
+      ? context.instance
+      : instanceFor(context.answerMap, key, context.instance.instanceIndex);
+  const normOpts = normOptionsFor(node, context.defaultNorm);
+  const answerNorm = normalizeAnswer(instance.value ?? null, normOpts);
+
+  const matched = checkNonCompliant(node.op, node, answerNorm, normOpts, typedAnswer(instance));
+  return { matched, keys: matched ? [key] : [] };
+}
+
+// Evaluates a rule against every instance of its question (repeating groups
+// such as several heat pumps or PV arrays) and returns one finding per
+// non-compliant instance. An unanswered question is evaluated once, as instance 0.
+// A rule whose appliesWhen does not hold for an instance raises nothing for it.
+// With questionKeysAny every key the report answered (the template variants in
+// use) is evaluated and the worst result per instance is kept: the first
+// non-compliant variant raises the finding. When none is answered, the first
+// key is evaluated. When `trace` is given, trace.instances receives one step per
+// variant instance evaluated: the question key and answer read and whether the
+// rule applied and fired.
+function evaluateRule(rule, answerMap, defaultNorm, trace = null) {
+  if (rule.enabled === false) {
+    return [];
+  }
+
+  const keys = ruleQuestionKeys(rule);
+  const answeredKeys = keys.filter((key) => answerMap.get(key)?.length > 0);
+  const candidates =
+    answeredKeys.length > 0
+      ? answeredKeys.flatMap((questionKey) =>
+          answerMap.get(questionKey).map((instance) => ({ questionKey, instance }))
+        )
+      : [{ questionKey: keys[0], instance: { instanceIndex: 0, value: null } }];
+  if (trace) {
+    trace.instances = [];
+  }
+
+  const severity = rule.finding.severity;
+  const majorNonCompliantText =
+    severity === 'Major' ? rule.finding?.majorNonCompliantText ?? null : null;
+  const minorNonCompliantText =
+    severity === 'Minor' ? rule.finding?.minorNonCompliantText ?? null : null;
+
+  const findings = [];
+  const flaggedInstances = new Set();
+  for (const { questionKey, instance } of candidates) {
+    if (flaggedInstances.has(instance.instanceIndex)) {
+      continue;
+    }
+    const context = { answerMap, instance, ruleKey: questionKey, defaultNorm };
+
+    const step = trace
+      ? { questionKey, instanceIndex: instance.instanceIndex, answerValue: instance.value ?? null }
+      : {};
+    trace?.instances.push(step);
+
+    let appliesKeys = [];
+    if (rule.appliesWhen) {
+      const applies = evaluateCondition(rule.appliesWhen, context);
+      step.applies = applies.matched;
+      if (!applies.matched) {
+        continue;
+      }
+      appliesKeys = applies.keys;
+    }
+
+    const result = evaluateCondition(rule.nonCompliantWhen, context);
+    step.nonCompliant = result.matched;
+    if (!result.matched) {
+      continue;
+    }
+
+    flaggedInstances.add(instance.instanceIndex);
+    findings.push({
+      ruleId: ruleIdOf(rule),
+      questionKey,
+      instanceIndex: instance.instanceIndex,
+      answerValue: instance.value ?? null,
+      severity,
+      code: rule.finding.code || null,
+      message: rule.finding.message,
+      majorNonCompliantText,
+      minorNonCompliantText,
+      contributingKeys: [...new Set([...result.keys, ...appliesKeys])],
+    });
+  }
+
+  return findings.sort((a, b) => a.instanceIndex - b.instanceIndex);
+}
+
+function determineOutcome(scoring, majorCount, minorCount) {
+  for (const rule of scoring.outcomeRules) {
+    const when = rule.when || {};
+    if (when.always === true) {
+      return rule.outcome;
+    }
+    if (typeof when.majorCountGte === 'number' && majorCount >= when.majorCountGte) {
+      return rule.outcome;
+    }
+    if (typeof when.minorCountGte === 'number' && minorCount >= when.minorCountGte) {
+      return rule.outcome;
+    }
+  }
+  return null;
+}
+
+function computeScoreValue(scoreValueConfig, outcome) {
+  if (!scoreValueConfig) return null;
+  const { type, from, fixedValue } = scoreValueConfig;
+
+  if (from === 'fixed') {
+    if (fixedValue === null || fixedValue === undefined) return null;
+    return String(fixedValue);
+  }
+
+  if (from === 'outcome') {
+    if (type === 'text') {
+      return outcome;
+    }
+    if (type === 'numeric') {
+      return outcome != null ? String(outcome) : null;
+    }
+  }
+
+  return null;
+}
+
+// Two rules with the same ruleId (in older files, two rules on the same
+// question) raise one finding per instance: the first rule's finding wins
+// and later ones only fill in missing texts.
+function mergeDuplicateFindings(findings) {
+  const byKey = new Map();
+  for (const finding of findings) {
+    const key = `${finding.ruleId}#${finding.instanceIndex}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...finding });
+      continue;
+    }
+    existing.majorNonCompliantText = existing.majorNonCompliantText ?? finding.majorNonCompliantText;
+    existing.minorNonCompliantText = existing.minorNonCompliantText ?? finding.minorNonCompliantText;
+    existing.contributingKeys = [...new Set([...existing.contributingKeys, ...finding.contributingKeys])];
+  }
+  return [...byKey.values()];
+}
+
+// Scores one report's answers (questionKey -> [{ instanceIndex, value, typed }])
+// against a ruleset: every enabled rule's findings, the severity counts and
+// the resulting outcome and score value. Findings are merged per rule instance
+// (see mergeDuplicateFindings) before they are counted. When `traces` is an
+// array it gets one entry per rule ({ ruleId, enabled, instances }, see
+// evaluateRule).
+function scoreAnswers(rulesDoc, answerMap, traces = null) {
+  const defaultNorm = rulesDoc.answerNormalization || {};
+  const raised = [];
+  for (const rule of rulesDoc.rules) {
+    let trace = null;
+    if (traces) {
+      trace = { ruleId: ruleIdOf(rule), enabled: rule.enabled !== false };
+      traces.push(trace);
+    }
+    raised.push(...evaluateRule(rule, answerMap, defaultNorm, trace));
+  }
+
+  const findings = mergeDuplicateFindings(raised);
+  let majorCount = 0;
+  let minorCount = 0;
+  for (const finding of findings) {
+    if (finding.severity === 'Major') {
+      majorCount += 1;
+    } else if (finding.severity === 'Minor') {
+      minorCount += 1;
+    }
+  }
+
+  const outcome = determineOutcome(rulesDoc.scoring, majorCount, minorCount) || 'Unknown';
+  const scoreValue = computeScoreValue(rulesDoc.scoring.scoreValue, outcome);
+  return { findings, majorCount, minorCount, outcome, scoreValue };
+}
+
+module.exports = {
+  RULES_DIR,
+  RULES_FILE_PATTERN,
+  EFFECTIVE_VERSION,
+  loadRules,
+  loadEffectiveVersions,
+  versionInForce,
+  effectiveWindowProblems,
+  validateRulesFile,
+  validateRulesDoc,
+  ruleIdOf,
+  ruleQuestionKeys,
+  extractRulesetQuestionKeys,
+  evaluateCondition,
+  evaluateRule,
+  mergeDuplicateFindings,
+  determineOutcome,
+  computeScoreValue,
+  scoreAnswers,
+};
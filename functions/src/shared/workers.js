@@ -0,0 +1,25 @@
+// Runs handler over items with `concurrency` workers. The first error stops
+// workers from taking new items; it is rethrown once in-flight items finish.
+async function runWorkers(items, concurrency, handler) {
+  const queue = [...items];
+  let firstError = null;
+  const workers = new Array(concurrency).fill(0).map(async () => {
+    while (queue.length && !firstError) {
+      const item = queue.shift();
+      try {
+        await handler(item);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  });
+
+  await Promise.all(workers);
+  if (firstError) {
+    throw firstError;
+  }
+}
+
+module.exports = {
+  runWorkers,
+};
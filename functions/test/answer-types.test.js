@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANSWER_TYPES, classifyAnswer } = require('../src/shared/answer-types');
+
+test('classifyAnswer treats null, undefined and blanks as empty', () => {
+  for (const raw of [null, undefined, '', '   ', []]) {
+    assert.equal(classifyAnswer(raw).answerType, ANSWER_TYPES.EMPTY);
+  }
+});
+
+test('classifyAnswer reads yes/no answers as booleans', () => {
+  assert.equal(classifyAnswer('Yes').answerBoolean, true);
+  assert.equal(classifyAnswer(' no ').answerBoolean, false);
+  assert.equal(classifyAnswer(false).answerType, ANSWER_TYPES.BOOLEAN);
+});
+
+test('classifyAnswer recognises not applicable', () => {
+  assert.equal(classifyAnswer('N/A').answerType, ANSWER_TYPES.NOT_APPLICABLE);
+  assert.equal(classifyAnswer('Not applicable').answerType, ANSWER_TYPES.NOT_APPLICABLE);
+});
+
+test('classifyAnswer splits numbers from their unit', () => {
+  const result = classifyAnswer('1,250.5 kWh');
+  assert.equal(result.answerType, ANSWER_TYPES.NUMBER);
+  assert.equal(result.answerNumber, 1250.5);
+  assert.equal(result.answerUnit, 'kWh');
+  assert.equal(classifyAnswer(42).answerNumber, 42);
+  assert.equal(classifyAnswer(Infinity).answerType, ANSWER_TYPES.TEXT);
+});
+
+test('classifyAnswer reads ISO and day-first dates', () => {
+  assert.equal(classifyAnswer('2025-03-01').answerDate.toISOString(), '2025-03-01T00:00:00.000Z');
+  assert.equal(classifyAnswer('02/03/2025').answerDate.toISOString(), '2025-03-02T00:00:00.000Z');
+  assert.equal(classifyAnswer('31/02/2025').answerType, ANSWER_TYPES.TEXT);
+});
+
+test('classifyAnswer recognises media and lists', () => {
+  assert.equal(classifyAnswer('https://example.com/photo.jpg').answerType, ANSWER_TYPES.MEDIA);
+  assert.equal(classifyAnswer([{ url: 'https://example.com/a.png' }]).answerType, ANSWER_TYPES.MEDIA);
+
+  const list = classifyAnswer('["Roof", " Loft "]');
+  assert.equal(list.answerType, ANSWER_TYPES.LIST);
+  assert.equal(list.answerListJson, '["Roof","Loft"]');
+});
+
+test('classifyAnswer leaves other answers as text', () => {
+  assert.equal(classifyAnswer('Installed on the north face').answerType, ANSWER_TYPES.TEXT);
+  assert.equal(classifyAnswer('[not json').answerType, ANSWER_TYPES.TEXT);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../src/shared/csv');
+
+test('parseCsv splits rows and cells', () => {
+  assert.deepEqual(parseCsv('QuestionKey,AnswerValue\n57,Yes\n58,No'), [
+    ['QuestionKey', 'AnswerValue'],
+    ['57', 'Yes'],
+    ['58', 'No'],
+  ]);
+});
+
+test('parseCsv keeps commas, doubled quotes and newlines inside quotes', () => {
+  assert.deepEqual(parseCsv('a,b\n"1,5","say ""hi""\nagain"\n'), [
+    ['a', 'b'],
+    ['1,5', 'say "hi"\nagain'],
+  ]);
+});
+
+test('parseCsv handles CRLF, a byte order mark and blank lines', () => {
+  assert.deepEqual(parseCsv('﻿a,b\r\n\r\n1,2\r\n,\r\n'), [
+    ['a', 'b'],
+    ['1', '2'],
+  ]);
+});
+
+test('parseCsv keeps empty cells', () => {
+  assert.deepEqual(parseCsv('a,,c\n'), [['a', '', 'c']]);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSlices } = require('../src/shared/date-slices');
+
+test('buildSlices splits a range into slices of sliceDays, both ends inclusive', () => {
+  assert.deepEqual(buildSlices('2025-01-01', '2025-01-10', 4), [
+    { start_date: '2025-01-01', end_date: '2025-01-04' },
+    { start_date: '2025-01-05', end_date: '2025-01-08' },
+    { start_date: '2025-01-09', end_date: '2025-01-10' },
+  ]);
+});
+
+test('buildSlices returns one slice for a single day or a short range', () => {
+  assert.deepEqual(buildSlices('2025-01-01', '2025-01-01', 7), [{ start_date: '2025-01-01', end_date: '2025-01-01' }]);
+  assert.deepEqual(buildSlices('2025-02-27', '2025-03-02', 7), [{ start_date: '2025-02-27', end_date: '2025-03-02' }]);
+});
+
+test('buildSlices returns no slices when start is after end', () => {
+  assert.deepEqual(buildSlices('2025-01-02', '2025-01-01', 7), []);
+});
+
+test('buildSlices rejects dates not in YYYY-MM-DD format', () => {
+  assert.throws(() => buildSlices('01/01/2025', '2025-01-02', 7), /start_date must be a date in YYYY-MM-DD format/);
+  assert.throws(() => buildSlices('2025-01-01', '2025-13-01', 7), /end_date must be a date/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'diff-rules.js');
+
+function rule(ruleId, questionKey, severity = 'Minor', extra = {}) {
+  return {
+    ruleId,
+    questionKey,
+    nonCompliantWhen: { op: 'equals', value: 'No' },
+    finding: { severity, message: ruleId },
+    ...extra,
+  };
+}
+
+function rulesDoc(version, rules, overrides = {}) {
+  return {
+    schemaVersion: 3,
+    ruleSetName: 'Test',
+    ruleSetVersion: version,
+    rules,
+    scoring: {
+      outcomeRules: [
+        { when: { majorCountGte: 1 }, outcome: 'Fail' },
+        { when: { minorCountGte: 1 }, outcome: 'Refer' },
+        { when: { always: true }, outcome: 'Pass' },
+      ],
+      scoreValue: { type: 'text', from: 'outcome' },
+    },
+    ...overrides,
+  };
+}
+
+function writeRules(t, docs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return docs.map((doc) => {
+    const filePath = path.join(dir, `test.${doc.ruleSetVersion}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(doc));
+    return filePath;
+  });
+}
+
+test('diff-rules --json reports added, removed, disabled, merged and changed rules', (t) => {
+  const [from, to] = writeRules(t, [
+    rulesDoc('v1', [rule('major', '1', 'Major'), rule('fitted', '2'), rule('label', '3'), rule('old', '6')]),
+    rulesDoc(
+      'v2',
+      [
+        rule('major', '1', 'Major', { finding: { severity: 'Major', message: 'Reworded' } }),
+        rule('fitted', '2', 'Minor', { enabled: false }),
+        { ...rule('label-any', '3'), questionKey: undefined, questionKeysAny: ['3', '4'] },
+        rule('new', '5'),
+      ],
+      { ignoreQuestionKeys: ['9'], effectiveFrom: '2026-01-01' }
+    ),
+  ]);
+
+  const diff = JSON.parse(execFileSync(process.execPath, [CLI, from, to, '--json'], { encoding: 'utf8' }));
+
+  assert.deepEqual(diff.from, { ruleSetName: 'Test', ruleSetVersion: 'v1', ruleCount: 4 });
+  assert.deepEqual(diff.rules.added.map((entry) => entry.ruleId), ['new']);
+  assert.deepEqual(diff.rules.removed.map((entry) => entry.ruleId), ['old']);
+  assert.deepEqual(diff.rules.disabled, [{ ruleId: 'fitted' }]);
+  assert.deepEqual(diff.rules.changed, [
+    { ruleId: 'major', changes: [{ field: 'message', from: 'major', to: 'Reworded' }] },
+    {
+      ruleId: 'label-any',
+      changes: [
+        { field: 'ruleId', from: 'label', to: 'label-any' },
+        { field: 'questionKeys', from: '3', to: '3, 4' },
+        { field: 'message', from: 'label', to: 'label-any' },
+      ],
+    },
+  ]);
+  assert.deepEqual(diff.ignoreQuestionKeys, { added: ['9'], removed: [] });
+  assert.equal(diff.outcomeRules, null);
+  assert.deepEqual(diff.settings, [{ field: 'effectiveFrom', from: null, to: '2026-01-01' }]);
+});
+
+test('diff-rules exits 1 on a usage error or an invalid file', (t) => {
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, 'HeatPump', 'v3'], { encoding: 'utf8', stdio: 'pipe' }),
+    (error) => error.status === 1 && /Usage: diff-rules/.test(error.stderr)
+  );
+
+  const [from, to] = writeRules(t, [
+    rulesDoc('v1', [rule('major', '1', 'Major'), rule('minor', '2')]),
+    rulesDoc('v2', []),
+  ]);
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, from, to], { encoding: 'utf8', stdio: 'pipe' }),
+    (error) => error.status === 1 && /^test\.v2\.json: /.test(error.stderr)
+  );
+});
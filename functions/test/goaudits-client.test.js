@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GOAUDITS_CIRCUIT_BREAKER_THRESHOLD = '2';
+process.env.GOAUDITS_REQUESTS_PER_MINUTE = '6000';
+
+const {
+  postJson,
+  startHalfOpen,
+  getCircuitState,
+  parseRetryAfter,
+  createRateLimiter,
+} = require('../src/shared/goaudits-client');
+
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+
+test('parseRetryAfter reads delay seconds', () => {
+  assert.equal(parseRetryAfter('5', NOW), 5000);
+  assert.equal(parseRetryAfter(' 0 ', NOW), 0);
+});
+
+test('parseRetryAfter reads an HTTP date relative to now', () => {
+  assert.equal(parseRetryAfter('Sat, 01 Mar 2025 12:00:30 GMT', NOW), 30000);
+  assert.equal(parseRetryAfter('Sat, 01 Mar 2025 11:59:00 GMT', NOW), 0);
+});
+
+test('parseRetryAfter caps long waits at five minutes', () => {
+  assert.equal(parseRetryAfter('3600', NOW), 5 * 60 * 1000);
+  assert.equal(parseRetryAfter('Sun, 02 Mar 2025 12:00:00 GMT', NOW), 5 * 60 * 1000);
+});
+
+test('parseRetryAfter returns null for missing or unreadable values', () => {
+  assert.equal(parseRetryAfter(undefined, NOW), null);
+  assert.equal(parseRetryAfter('', NOW), null);
+  assert.equal(parseRetryAfter('soon', NOW), null);
+});
+
+test('createRateLimiter lets a burst through, then waits for tokens', async () => {
+  // 600/min: a 50-request burst, then one request per 100ms.
+  const limiter = createRateLimiter(600);
+  assert.equal(limiter.requestsPerMinute, 600);
+
+  const burstStarted = Date.now();
+  for (let i = 0; i < 50; i += 1) {
+    await limiter.acquire();
+  }
+  assert.ok(Date.now() - burstStarted < 50);
+
+  const started = Date.now();
+  await limiter.acquire();
+  assert.ok(Date.now() - started >= 80);
+});
+
+test('createRateLimiter holds every caller until pauseUntil', async () => {
+  const limiter = createRateLimiter(600);
+  const started = Date.now();
+  limiter.pauseUntil(started + 150);
+
+  await Promise.all([limiter.acquire(), limiter.acquire()]);
+  assert.ok(Date.now() - started >= 140);
+});
+
+test('createRateLimiter serves callers in order', async () => {
+  const limiter = createRateLimiter(600);
+  const order = [];
+  await Promise.all([1, 2, 3].map((n) => limiter.acquire().then(() => order.push(n))));
+  assert.deepEqual(order, [1, 2, 3]);
+});
+
+// Replaces fetch with one that answers each call with the next status in turn.
+// 503s carry Retry-After: 0 so retries do not back off.
+function mockFetch(t, statuses) {
+  const calls = [];
+  t.mock.method(global, 'fetch', async (url) => {
+    const status = statuses[calls.length];
+    calls.push(url);
+    return new Response(status === 200 ? '{"ok":true}' : '', {
+      status,
+      headers: status === 503 ? { 'Retry-After': '0' } : {},
+    });
+  });
+  return calls;
+}
+
+test('circuit: a non-outage response resets the failure count', async (t) => {
+  mockFetch(t, [503, 404, 503, 200]);
+
+  await assert.rejects(postJson('https://example.test/a', 'token'), { status: 404 });
+  assert.equal(getCircuitState(), 'Closed');
+
+  // Without the reset this 503 would be the second in a row and open the circuit.
+  assert.deepEqual(await postJson('https://example.test/b', 'token'), { ok: true });
+  assert.equal(getCircuitState(), 'Closed');
+});
+
+test('circuit: consecutive 5xx open it and later calls fail without a request', async (t) => {
+  const calls = mockFetch(t, [503, 503]);
+
+  await assert.rejects(postJson('https://example.test/a', 'token'), { upstreamUnavailable: true });
+  assert.equal(getCircuitState(), 'Open');
+
+  await assert.rejects(postJson('https://example.test/b', 'token'), { upstreamUnavailable: true });
+  assert.equal(calls.length, 2);
+});
+
+test('circuit: a failed half-open probe reopens it straight away', async (t) => {
+  const calls = mockFetch(t, [503]);
+  startHalfOpen();
+
+  await assert.rejects(postJson('https://example.test/a', 'token'), { upstreamUnavailable: true });
+  assert.equal(getCircuitState(), 'Open');
+  assert.equal(calls.length, 1);
+});
+
+test('circuit: a successful half-open probe closes it', async (t) => {
+  mockFetch(t, [200]);
+  startHalfOpen();
+
+  assert.deepEqual(await postJson('https://example.test/a', 'token'), { ok: true });
+  assert.equal(getCircuitState(), 'Closed');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRouting, resolveRoute } = require('../src/shared/goaudits-routing');
+
+function writeRouting(t, json) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'routing.json');
+  fs.writeFileSync(filePath, JSON.stringify(json));
+  return filePath;
+}
+
+function answers(entries) {
+  return new Map(Object.entries(entries).map(([key, value]) => [key, [{ value }]]));
+}
+
+test('resolveRoute routes the shipped templates to their rulesets', () => {
+  const routing = loadRouting();
+
+  assert.equal(resolveRoute(routing, 'ASHP Install Audit', new Map()).ruleSetName, 'HeatPump');
+  assert.equal(resolveRoute(routing, 'Heat Pump survey', new Map()).ruleSetName, 'HeatPump');
+  assert.equal(resolveRoute(routing, 'Solar PV audit', new Map()).ruleSetName, 'PV');
+  assert.equal(resolveRoute(routing, 'Boiler service', new Map()), null);
+  assert.equal(resolveRoute(routing, null, new Map()), null);
+});
+
+test('resolveRoute takes the first route whose conditions all match', (t) => {
+  const routing = loadRouting(
+    writeRouting(t, {
+      routingVersion: '7',
+      routes: [
+        {
+          name: 'hybrid',
+          ruleSetName: 'Hybrid',
+          ruleSetVersion: 'v1',
+          when: { templateNameMatches: 'install', answer: { questionKey: '10', in: ['Hybrid'] } },
+        },
+        {
+          name: 'install',
+          ruleSetName: 'Install',
+          ruleSetVersion: 'v2',
+          when: { templateNameMatches: 'install' },
+        },
+      ],
+    })
+  );
+
+  assert.equal(routing.routingVersion, '7');
+  assert.equal(resolveRoute(routing, 'Install', answers({ 10: ' hybrid ' })).name, 'hybrid');
+  assert.equal(resolveRoute(routing, 'Install', answers({ 10: 'Other' })).name, 'install');
+  assert.equal(resolveRoute(routing, 'Survey', answers({ 10: 'Hybrid' })), null);
+});
+
+test('loadRouting rejects malformed routing files', (t) => {
+  const route = { name: 'a', ruleSetName: 'A', ruleSetVersion: 'v1', when: { templateNameMatches: 'a' } };
+  const cases = [
+    [[{ ...route, ruleSetVersion: undefined }], /missing name, ruleSetName or ruleSetVersion/],
+    [[{ ...route, when: {} }], /needs at least one condition/],
+    [[{ ...route, when: { templateNameMatches: '(' } }], /invalid templateNameMatches/],
+    [[{ ...route, when: { answer: { questionKey: '1', in: [] } } }], /non-empty "in" list/],
+    [[route, route], /used more than once/],
+  ];
+
+  assert.throws(() => loadRouting(writeRouting(t, { routes: [route] })), /missing required fields/);
+  for (const [routes, message] of cases) {
+    assert.throws(() => loadRouting(writeRouting(t, { routingVersion: '1', routes })), message);
+  }
+});
@@ -0,0 +1,355 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  RULES_DIR,
+  loadRules,
+  loadEffectiveVersions,
+  versionInForce,
+  evaluateCondition,
+  evaluateRule,
+  mergeDuplicateFindings,
+  determineOutcome,
+  scoreAnswers,
+} = require('../src/shared/goaudits-rules');
+
+// Answers for one report: questionKey -> [{ instanceIndex, value }].
+function answers(entries) {
+  return new Map(
+    Object.entries(entries).map(([key, values]) => [
+      key,
+      (Array.isArray(values) ? values : [values]).map((value, instanceIndex) => ({ instanceIndex, value })),
+    ])
+  );
+}
+
+function rule(nonCompliantWhen, extra = {}) {
+  return {
+    questionKey: '1',
+    nonCompliantWhen,
+    finding: { severity: 'Minor', message: 'Check question 1' },
+    ...extra,
+  };
+}
+
+// True when the rule raises a finding for the (single-instance) answer.
+function flags(nonCompliantWhen, value, defaultNorm = {}) {
+  const map = value === undefined ? answers({}) : answers({ 1: value });
+  return evaluateRule(rule(nonCompliantWhen), map, defaultNorm).length > 0;
+}
+
+test('missing and notMissing', () => {
+  assert.equal(flags({ op: 'missing' }, undefined), true);
+  assert.equal(flags({ op: 'missing' }, ''), true);
+  assert.equal(flags({ op: 'missing' }, 'Yes'), false);
+  assert.equal(flags({ op: 'notMissing' }, 'Yes'), true);
+  assert.equal(flags({ op: 'notMissing' }, undefined), false);
+});
+
+test('equals, notEquals, in and notIn apply answer normalization', () => {
+  assert.equal(flags({ op: 'equals', value: 'no' }, ' No '), false);
+  assert.equal(flags({ op: 'equals', value: 'no' }, ' No ', { trim: true, caseInsensitive: true }), true);
+  assert.equal(flags({ op: 'equals', value: 'no', trim: true, caseInsensitive: true }, ' No '), true);
+  assert.equal(flags({ op: 'notEquals', value: 'Yes' }, 'No'), true);
+  assert.equal(flags({ op: 'notEquals', value: 'Yes' }, 'Yes'), false);
+  assert.equal(flags({ op: 'in', values: ['No', 'Unsure'] }, 'Unsure'), true);
+  assert.equal(flags({ op: 'notIn', values: ['Yes', 'N/A'] }, 'No'), true);
+  assert.equal(flags({ op: 'notIn', values: ['Yes', 'N/A'] }, 'N/A'), false);
+});
+
+test('contains matches a normalized substring', () => {
+  assert.equal(flags({ op: 'contains', value: 'leak', caseInsensitive: true }, 'Small LEAK at valve'), true);
+  assert.equal(flags({ op: 'contains', value: 'leak' }, 'All sealed'), false);
+});
+
+test('numeric operators compare by value and respect the rule unit', () => {
+  assert.equal(flags({ op: 'equals', value: '2 kW' }, '2.0 kW'), true);
+  assert.equal(flags({ op: 'lt', value: 3 }, '2.5 kW'), true);
+  assert.equal(flags({ op: 'lte', value: 2.5 }, '2.5'), true);
+  assert.equal(flags({ op: 'gt', value: 3 }, '2.5'), false);
+  assert.equal(flags({ op: 'gte', value: 2.5 }, '2.5'), true);
+  assert.equal(flags({ op: 'between', min: 1, max: 2 }, '2'), true);
+  assert.equal(flags({ op: 'lt', value: 3, unit: 'kW' }, '2.5 kWh'), false);
+  assert.equal(flags({ op: 'lt', value: 3 }, 'two'), false);
+});
+
+test('dates compare by value', () => {
+  assert.equal(flags({ op: 'equals', value: '2025-03-01' }, '01/03/2025'), true);
+});
+
+test('operators other than missing never flag an unanswered question', () => {
+  for (const nc of [
+    { op: 'notEquals', value: 'Yes' },
+    { op: 'notIn', values: ['Yes'] },
+    { op: 'contains', value: 'x' },
+    { op: 'lt', value: 3 },
+  ]) {
+    assert.equal(flags(nc, undefined), false, nc.op);
+  }
+});
+
+test('evaluateRule raises one finding per non-compliant instance', () => {
+  const findings = evaluateRule(
+    rule({ op: 'equals', value: 'No' }, { finding: { severity: 'Major', code: 'HP1', message: 'm' } }),
+    answers({ 1: ['Yes', 'No', 'No'] }),
+    {}
+  );
+
+  assert.deepEqual(
+    findings.map((f) => [f.instanceIndex, f.severity, f.code]),
+    [
+      [1, 'Major', 'HP1'],
+      [2, 'Major', 'HP1'],
+    ]
+  );
+  assert.deepEqual(evaluateRule({ ...rule({ op: 'missing' }), enabled: false }, answers({}), {}), []);
+});
+
+// Evaluates a condition tree for one instance of question 1.
+function evaluate(node, answerMap, instanceIndex = 0) {
+  const instance = answerMap.get('1')?.[instanceIndex] ?? { instanceIndex, value: null };
+  return evaluateCondition(node, { answerMap, instance, ruleKey: '1', defaultNorm: {} });
+}
+
+test('evaluateCondition combines all, any and not and reports the keys that matched', () => {
+  const map = answers({ 1: 'No', 2: 'Yes', 3: 'N/A' });
+  const all = {
+    all: [
+      { op: 'equals', value: 'No' },
+      { questionKey: '2', op: 'equals', value: 'Yes' },
+    ],
+  };
+  assert.deepEqual(evaluate(all, map), { matched: true, keys: ['1', '2'] });
+
+  const any = {
+    any: [
+      { questionKey: '2', op: 'equals', value: 'No' },
+      { questionKey: '3', op: 'in', values: ['N/A'] },
+    ],
+  };
+  assert.deepEqual(evaluate(any, map), { matched: true, keys: ['3'] });
+
+  const not = { not: { questionKey: '2', op: 'equals', value: 'No' } };
+  assert.deepEqual(evaluate(not, map), { matched: true, keys: ['2'] });
+  assert.deepEqual(evaluate({ not: all }, map), { matched: false, keys: [] });
+});
+
+test('evaluateCondition reads the matching instance of another repeating question', () => {
+  const map = answers({ 1: ['A', 'B'], 2: ['Yes', 'No'], 3: 'Single' });
+  const node = { questionKey: '2', op: 'equals', value: 'No' };
+  assert.equal(evaluate(node, map, 0).matched, false);
+  assert.equal(evaluate(node, map, 1).matched, true);
+  // A question that does not repeat is read from its first instance.
+  assert.equal(evaluate({ questionKey: '3', op: 'equals', value: 'Single' }, map, 1).matched, true);
+});
+
+test('evaluateRule skips instances where appliesWhen does not hold', () => {
+  const compound = rule(
+    { op: 'equals', value: 'No' },
+    { appliesWhen: { questionKey: '2', op: 'equals', value: 'ASHP' } }
+  );
+  const findings = evaluateRule(compound, answers({ 1: ['No', 'No'], 2: ['GSHP', 'ASHP'] }), {});
+
+  assert.deepEqual(
+    findings.map((f) => [f.instanceIndex, f.contributingKeys]),
+    [[1, ['1', '2']]]
+  );
+});
+
+test('evaluateRule evaluates every answered questionKeysAny variant and keeps the worst result', () => {
+  const variants = {
+    ruleId: 'r1',
+    questionKeysAny: ['1', '2', '3'],
+    nonCompliantWhen: { op: 'equals', value: 'no', caseInsensitive: true },
+    finding: { severity: 'Minor', message: 'm' },
+  };
+
+  const findings = evaluateRule(variants, answers({ 1: 'no', 2: ['yes', 'No'] }), {});
+  assert.deepEqual(
+    findings.map((f) => [f.ruleId, f.questionKey, f.instanceIndex]),
+    [
+      ['r1', '1', 0],
+      ['r1', '2', 1],
+    ]
+  );
+
+  // Both variants fail instance 0: one finding, from the first listed variant.
+  const once = evaluateRule(variants, answers({ 2: 'No', 3: 'no' }), {});
+  assert.deepEqual(once.map((f) => [f.questionKey, f.instanceIndex]), [['2', 0]]);
+
+  // No variant answered: the first key is evaluated as instance 0.
+  const missing = evaluateRule({ ...variants, nonCompliantWhen: { op: 'missing' } }, answers({}), {});
+  assert.deepEqual(missing.map((f) => [f.questionKey, f.instanceIndex]), [['1', 0]]);
+});
+
+test('evaluateRule traces each variant instance it evaluates with the key read', () => {
+  const variants = {
+    ruleId: 'r1',
+    questionKeysAny: ['1', '2'],
+    appliesWhen: { questionKey: '9', op: 'equals', value: 'Yes' },
+    nonCompliantWhen: { op: 'equals', value: 'No' },
+    finding: { severity: 'Minor', message: 'm' },
+  };
+
+  const trace = {};
+  evaluateRule(variants, answers({ 1: ['Yes', 'No'], 2: ['No'], 9: ['Yes', 'Yes'] }), {}, trace);
+  assert.deepEqual(trace.instances, [
+    { questionKey: '1', instanceIndex: 0, answerValue: 'Yes', applies: true, nonCompliant: false },
+    { questionKey: '1', instanceIndex: 1, answerValue: 'No', applies: true, nonCompliant: true },
+    { questionKey: '2', instanceIndex: 0, answerValue: 'No', applies: true, nonCompliant: true },
+  ]);
+
+  const unanswered = {};
+  evaluateRule(variants, answers({}), {}, unanswered);
+  assert.deepEqual(unanswered.instances, [{ questionKey: '1', instanceIndex: 0, answerValue: null, applies: false }]);
+});
+
+test('scoreAnswers adds one trace per rule, disabled rules included', () => {
+  const rulesDoc = {
+    rules: [
+      { ...rule({ op: 'equals', value: 'No' }), ruleId: 'on' },
+      { ...rule({ op: 'equals', value: 'No' }), ruleId: 'off', enabled: false },
+    ],
+    scoring: {
+      outcomeRules: [
+        { when: { minorCountGte: 1 }, outcome: 'Refer' },
+        { when: { always: true }, outcome: 'Pass' },
+      ],
+    },
+  };
+
+  const traces = [];
+  const result = scoreAnswers(rulesDoc, answers({ 1: 'No' }), traces);
+  assert.equal(result.outcome, 'Refer');
+  assert.deepEqual(traces, [
+    {
+      ruleId: 'on',
+      enabled: true,
+      instances: [{ questionKey: '1', instanceIndex: 0, answerValue: 'No', nonCompliant: true }],
+    },
+    { ruleId: 'off', enabled: false },
+  ]);
+});
+
+test('merged HeatPump v4 raises what v3 raises for answers spread over variants', () => {
+  const map = answers({ 57: 'no', 251: ['yes', 'No'] });
+  const raised = (version) => {
+    const rulesDoc = loadRules('HeatPump', version);
+    const findings = rulesDoc.rules.flatMap((r) => evaluateRule(r, map, rulesDoc.answerNormalization));
+    return mergeDuplicateFindings(findings).map((f) => [f.questionKey, f.instanceIndex, f.severity]);
+  };
+
+  assert.deepEqual(raised('v4'), raised('v3'));
+  assert.equal(raised('v4').length, 2);
+});
+
+test('mergeDuplicateFindings keeps one finding per rule instance', () => {
+  const finding = (ruleId, instanceIndex, extra) => ({
+    ruleId,
+    instanceIndex,
+    majorNonCompliantText: null,
+    minorNonCompliantText: null,
+    contributingKeys: ['1'],
+    ...extra,
+  });
+
+  const merged = mergeDuplicateFindings([
+    finding('a', 0, { message: 'first' }),
+    finding('a', 0, { message: 'second', minorNonCompliantText: 'text', contributingKeys: ['2'] }),
+    finding('a', 1),
+    finding('b', 0),
+  ]);
+
+  assert.equal(merged.length, 3);
+  assert.equal(merged[0].message, 'first');
+  assert.equal(merged[0].minorNonCompliantText, 'text');
+  assert.deepEqual(merged[0].contributingKeys, ['1', '2']);
+});
+
+test('determineOutcome takes the first outcome rule that applies', () => {
+  const scoring = {
+    outcomeRules: [
+      { outcome: 'Fail', when: { majorCountGte: 1 } },
+      { outcome: 'Advisory', when: { minorCountGte: 2 } },
+      { outcome: 'Pass', when: { always: true } },
+    ],
+  };
+  assert.equal(determineOutcome(scoring, 1, 0), 'Fail');
+  assert.equal(determineOutcome(scoring, 0, 2), 'Advisory');
+  assert.equal(determineOutcome(scoring, 0, 1), 'Pass');
+});
+
+// Serves `files` (name -> rules document) as the contents of src/rules.
+function mockRulesDir(t, files) {
+  const { readdirSync, readFileSync } = fs;
+  t.mock.method(fs, 'readdirSync', (dir, ...rest) =>
+    dir === RULES_DIR ? Object.keys(files) : readdirSync(dir, ...rest)
+  );
+  t.mock.method(fs, 'readFileSync', (filePath, ...rest) =>
+    path.dirname(filePath) === RULES_DIR
+      ? JSON.stringify(files[path.basename(filePath)])
+      : readFileSync(filePath, ...rest)
+  );
+}
+
+function datedRules(version, window) {
+  return {
+    schemaVersion: 3,
+    ruleSetName: 'Test',
+    ruleSetVersion: version,
+    ...window,
+    rules: [
+      {
+        ruleId: 'major',
+        questionKey: '1',
+        nonCompliantWhen: { op: 'missing' },
+        finding: { severity: 'Major', message: 'm' },
+      },
+    ],
+    scoring: {
+      outcomeRules: [
+        { when: { majorCountGte: 1 }, outcome: 'Fail' },
+        { when: { always: true }, outcome: 'Pass' },
+      ],
+      scoreValue: { type: 'text', from: 'outcome' },
+    },
+  };
+}
+
+test('loadEffectiveVersions loads the dated versions of a ruleset oldest first', (t) => {
+  mockRulesDir(t, {
+    'test.v1.json': datedRules('v1'),
+    'test.v2.json': datedRules('v2', { effectiveFrom: '2026-01-01' }),
+    'test.v3.json': datedRules('v3', { effectiveTo: '2026-01-01' }),
+    'other.v1.json': { ...datedRules('v1', { effectiveFrom: '2026-01-01' }), ruleSetName: 'Other' },
+  });
+
+  const versions = loadEffectiveVersions('Test');
+  assert.deepEqual(
+    versions.map((entry) => [entry.version, entry.fromMs, entry.toMs]),
+    [
+      ['v3', -Infinity, Date.parse('2026-01-01T00:00:00Z')],
+      ['v2', Date.parse('2026-01-01T00:00:00Z'), Infinity],
+    ]
+  );
+  assert.equal(versions[0].rulesDoc.ruleSetVersion, 'v3');
+});
+
+test('loadEffectiveVersions throws when windows overlap', (t) => {
+  mockRulesDir(t, {
+    'test.v1.json': datedRules('v1', { effectiveTo: '2026-07-01' }),
+    'test.v2.json': datedRules('v2', { effectiveFrom: '2026-06-01' }),
+  });
+  assert.throws(() => loadEffectiveVersions('Test'), /Test v1 \[start, 2026-07-01\) overlaps v2 \[2026-06-01, open\)/);
+});
+
+test('versionInForce picks the window containing the completion time', () => {
+  const versions = [
+    { version: 'v1', fromMs: -Infinity, toMs: Date.parse('2026-01-01T00:00:00Z') },
+    { version: 'v2', fromMs: Date.parse('2026-01-01T00:00:00Z'), toMs: Date.parse('2026-07-01T00:00:00Z') },
+  ];
+  assert.equal(versionInForce(versions, '2025-12-31T23:59:59Z').version, 'v1');
+  assert.equal(versionInForce(versions, new Date('2026-01-01T00:00:00Z')).version, 'v2');
+  assert.equal(versionInForce(versions, '2026-07-01T00:00:00Z'), null);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sql } = require('../src/shared/sql');
+const { getRescoreTarget, writeFindings } = require('../src/jobs/goaudits-scoring');
+
+const RESCORE_ENV = [
+  'GOAUDITS_RESCORE_FROM',
+  'GOAUDITS_RESCORE_TO',
+  'GOAUDITS_RESCORE_REPORT_IDS',
+  'GOAUDITS_RESCORE_RULESET',
+  'GOAUDITS_RESCORE_RULESET_VERSION',
+];
+
+function withRescoreEnv(t, values) {
+  const saved = {};
+  for (const name of RESCORE_ENV) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const name of RESCORE_ENV) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+}
+
+function emptyCounts() {
+  return { findingRowsWritten: 0, findingWriteMs: 0, findingsInsertedCount: 0, findingsSupersededCount: 0 };
+}
+
+// Runs writeFindings against a stubbed request and returns the query text, the
+// bound parameter values and the counts.
+async function captureWrite(t, scoring, findings, recordset = [{ InsertedCount: 0, SupersededCount: 0 }]) {
+  const captured = {};
+  t.mock.method(sql.Request.prototype, 'query', async function query(text) {
+    captured.text = text;
+    captured.params = Object.fromEntries(
+      Object.entries(this.parameters).map(([name, param]) => [name, param.value])
+    );
+    return { recordset };
+  });
+
+  const counts = emptyCounts();
+  await writeFindings(null, 'R1', scoring, findings, '00000000-0000-0000-0000-000000000001', counts);
+  return { ...captured, counts };
+}
+
+const FINDING = {
+  ruleId: '57',
+  questionKey: '57',
+  instanceIndex: 0,
+  answerValue: 'No',
+  severity: 'Major',
+  code: 'HP-01',
+  majorNonCompliantText: 'Not fitted',
+  minorNonCompliantText: null,
+  contributingKeys: ['57'],
+};
+
+test('writeFindings binds the ruleset, version and findings', async (t) => {
+  const { params, counts } = await captureWrite(
+    t,
+    { ruleset: 'HeatPump', version: 'v3', supersedeOthers: null },
+    [FINDING],
+    [{ InsertedCount: 1, SupersededCount: 2 }]
+  );
+
+  assert.equal(params.ruleSetName, 'HeatPump');
+  assert.equal(params.ruleSetVersion, 'v3');
+  assert.equal(params.supersedeOthers, null);
+  assert.equal(params.findings.rows.length, 1);
+  assert.equal(params.findings.rows[0][0], '57');
+  assert.equal(counts.findingRowsWritten, 1);
+  assert.equal(counts.findingsInsertedCount, 1);
+  assert.equal(counts.findingsSupersededCount, 2);
+});
+
+test('writeFindings still runs the MERGE when a rescore raises no findings', async (t) => {
+  const { text, params } = await captureWrite(t, { ruleset: 'PV', version: 'v2', supersedeOthers: 'rulesets' }, [], [
+    { InsertedCount: null, SupersededCount: 3 },
+  ]);
+
+  assert.match(text, /WHEN NOT MATCHED BY SOURCE AND t\.SupersededUtc IS NULL/);
+  assert.equal(params.findings.rows.length, 0);
+  assert.equal(params.supersedeOthers, 'rulesets');
+});
+
+test('writeFindings supersedes other versions, or every other ruleset in rulesets mode', async (t) => {
+  const { text } = await captureWrite(t, { ruleset: 'HeatPump', version: 'v3', supersedeOthers: 'versions' }, [FINDING]);
+
+  assert.match(text, /IF @supersedeOthers IS NOT NULL/);
+  assert.match(text, /NOT \(RuleSetName = @ruleSetName AND RuleSetVersion = @ruleSetVersion\)/);
+  assert.match(text, /@supersedeOthers = N'rulesets' OR RuleSetName = @ruleSetName/);
+});
+
+test('writeFindings writes shadow output to its own table', async (t) => {
+  const output = { ledgerJobName: 'GoAuditsScoringShadow', findings: 'dbo.GoAuditsShadowFindings' };
+  const { text, params } = await captureWrite(t, { ruleset: 'HeatPump', version: 'v4', output }, [FINDING]);
+
+  assert.match(text, /FROM dbo\.GoAuditsShadowFindings WITH \(HOLDLOCK\)/);
+  assert.doesNotMatch(text, /dbo\.GoAuditsFindings\b/);
+  assert.equal(params.supersedeOthers, null);
+});
+
+test('getRescoreTarget parses dates, report ids and the routed ruleset', (t) => {
+  withRescoreEnv(t, {
+    GOAUDITS_RESCORE_FROM: '2026-01-01',
+    GOAUDITS_RESCORE_REPORT_IDS: ' R1, ,R2 ',
+    GOAUDITS_RESCORE_RULESET: 'HeatPump',
+    GOAUDITS_RESCORE_RULESET_VERSION: 'v3',
+  });
+
+  const target = getRescoreTarget(false);
+  assert.equal(target.fromUtc.toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.equal(target.toUtc, null);
+  assert.deepEqual(target.reportIds, ['R1', 'R2']);
+  assert.equal(target.ruleSetName, 'HeatPump');
+  assert.equal(target.ruleSetVersion, 'v3');
+});
+
+test('getRescoreTarget rejects an empty or inconsistent target', (t) => {
+  withRescoreEnv(t, {});
+  assert.throws(() => getRescoreTarget(false), /Rescore needs at least one of/);
+
+  process.env.GOAUDITS_RESCORE_TO = 'not a date';
+  assert.throws(() => getRescoreTarget(false), /GOAUDITS_RESCORE_TO is not a valid date/);
+  delete process.env.GOAUDITS_RESCORE_TO;
+
+  process.env.GOAUDITS_RESCORE_RULESET_VERSION = 'v3';
+  assert.throws(() => getRescoreTarget(false), /needs GOAUDITS_RESCORE_RULESET/);
+
+  process.env.GOAUDITS_RESCORE_RULESET = 'HeatPump';
+  assert.throws(() => getRescoreTarget(true), /applies to routed scoring/);
+});
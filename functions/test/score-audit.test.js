@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'score-audit.js');
+
+function writeInput(t, fileName, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+function scoreAudit(inputPath, ruleset = 'HeatPump', version = 'v3') {
+  const output = execFileSync(
+    process.execPath,
+    [CLI, '--input', inputPath, '--ruleset', ruleset, '--version', version, '--json'],
+    { encoding: 'utf8' }
+  );
+  return JSON.parse(output);
+}
+
+function failure(inputPath) {
+  try {
+    execFileSync(process.execPath, [CLI, '--input', inputPath, '--ruleset', 'HeatPump', '--version', 'v3'], {
+      encoding: 'utf8',
+      stdio: 'pipe',
+    });
+  } catch (error) {
+    return { status: error.status, stderr: error.stderr };
+  }
+  return { status: 0, stderr: '' };
+}
+
+test('score-audit reads an answers CSV, skipping rows without a question key', (t) => {
+  const input = writeInput(
+    t,
+    'answers.csv',
+    'Question Key,Answer,Instance Index\n524,Yes,\n,External pipework,\n524,No,1\n525,"No, none",\n'
+  );
+  const result = scoreAudit(input);
+
+  assert.equal(result.source, 'answers CSV');
+  assert.equal(result.answerCount, 3);
+  assert.equal(result.outcome, 'Fail');
+  assert.deepEqual(
+    result.findings.map((finding) => [finding.ruleId, finding.instanceIndex, finding.answerValue]),
+    [['524', 0, 'Yes']]
+  );
+  const trace = result.trace.find((entry) => entry.ruleId === '524');
+  assert.deepEqual(
+    trace.instances.map((step) => [step.questionKey, step.instanceIndex, step.nonCompliant]),
+    [
+      ['524', 0, true],
+      ['524', 1, false],
+    ]
+  );
+});
+
+test('score-audit numbers CSV repeats in row order without InstanceIndex', (t) => {
+  const input = writeInput(t, 'answers.csv', 'QuestionKey,AnswerValue\n524,No\n524,Yes\n');
+  const result = scoreAudit(input);
+
+  assert.deepEqual(
+    result.findings.map((finding) => [finding.ruleId, finding.instanceIndex]),
+    [['524', 1]]
+  );
+});
+
+test('score-audit rejects a CSV InstanceIndex that is not a non-negative integer', (t) => {
+  for (const value of ['x', '1.5', '-1']) {
+    const input = writeInput(t, 'answers.csv', `QuestionKey,AnswerValue,InstanceIndex\n57,Yes,0\n524,Yes,${value}\n`);
+    const { status, stderr } = failure(input);
+    assert.equal(status, 1);
+    const pattern = `CSV row 3: InstanceIndex ${value.replace('.', '\\.')} is not a non-negative integer`;
+    assert.match(stderr, new RegExp(pattern));
+  }
+});
+
+test('score-audit rejects a CSV without the answer columns', (t) => {
+  const input = writeInput(t, 'answers.csv', 'Key,Text\n524,Yes\n');
+  const { status, stderr } = failure(input);
+  assert.equal(status, 1);
+  assert.match(stderr, /CSV needs QuestionKey and AnswerValue columns\. Headers found: Key, Text/);
+});
+
+test('score-audit reads an answers map, directly or under "answers"', (t) => {
+  const direct = scoreAudit(writeInput(t, 'answers.json', JSON.stringify({ 524: ['No', 'Yes'] })));
+  assert.equal(direct.source, 'answers JSON');
+  assert.deepEqual(
+    direct.findings.map((finding) => [finding.ruleId, finding.instanceIndex]),
+    [['524', 1]]
+  );
+
+  const nested = scoreAudit(writeInput(t, 'example.json', JSON.stringify({ answers: { 524: 'Yes' } })));
+  assert.equal(nested.answerCount, 1);
+  assert.equal(nested.outcome, 'Fail');
+});
+
+test('score-audit reads a getauditdetailsbyid response', (t) => {
+  const rows = [
+    { RecordType: 'Header', Question: 'ignored' },
+    { RecordType: 'Detail', QUESTION_ID: '524', Question: 'Gap in external pipe insulation >1m?', Answer: 'Yes' },
+  ];
+  const result = scoreAudit(writeInput(t, 'R1.json', JSON.stringify(rows)));
+  assert.equal(result.source, 'getauditdetailsbyid response');
+  assert.equal(result.answerCount, 1);
+  assert.equal(result.findings[0].ruleId, '524');
+
+  const empty = failure(writeInput(t, 'R2.json', JSON.stringify([{ RecordType: 'Header' }])));
+  assert.equal(empty.status, 1);
+  assert.match(empty.stderr, /R2\.json has no Detail rows/);
+});
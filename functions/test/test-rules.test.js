@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'test-rules.js');
+
+function rulesDoc(ruleExamples, rulesetExamples) {
+  return {
+    schemaVersion: 3,
+    ruleSetName: 'Test',
+    ruleSetVersion: 'v1',
+    rules: [
+      {
+        ruleId: 'pump',
+        questionKeysAny: ['1', '2'],
+        nonCompliantWhen: { op: 'equals', value: 'no', caseInsensitive: true },
+        finding: { severity: 'Major', message: 'Pump' },
+        examples: ruleExamples,
+      },
+      {
+        ruleId: 'label',
+        questionKey: '3',
+        nonCompliantWhen: { op: 'missing' },
+        finding: { severity: 'Minor', message: 'Label' },
+      },
+    ],
+    examples: rulesetExamples,
+    scoring: {
+      outcomeRules: [
+        { when: { majorCountGte: 1 }, outcome: 'Fail' },
+        { when: { minorCountGte: 1 }, outcome: 'Refer' },
+        { when: { always: true }, outcome: 'Pass' },
+      ],
+      scoreValue: { type: 'text', from: 'outcome' },
+    },
+  };
+}
+
+// Writes the document as test.v1.json and runs test-rules on it.
+function runTestRules(t, doc) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'test.v1.json');
+  fs.writeFileSync(filePath, JSON.stringify(doc));
+
+  try {
+    return { status: 0, stdout: execFileSync(process.execPath, [CLI, filePath], { encoding: 'utf8' }) };
+  } catch (error) {
+    return { status: error.status, stdout: error.stdout };
+  }
+}
+
+test('test-rules passes when rule and ruleset examples match the engine', (t) => {
+  const { status, stdout } = runTestRules(
+    t,
+    rulesDoc(
+      [
+        { answers: { 1: 'No' }, nonCompliant: true },
+        { answers: { 1: 'Yes', 2: 'Yes' }, nonCompliant: false },
+        { description: 'second variant', answers: { 2: ['Yes', 'NO'] }, nonCompliant: true },
+      ],
+      [
+        { answers: { 1: 'Yes', 3: 'Fitted' }, expect: { outcome: 'Pass', majorCount: 0, minorCount: 0 } },
+        { answers: { 1: ['No', 'no'] }, expect: { outcome: 'Fail', findings: ['pump', 'pump#1', 'label'] } },
+      ]
+    )
+  );
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /5\/5 examples passed/);
+  assert.match(stdout, /All 5 examples passed\./);
+});
+
+test('test-rules reports each failing example and exits 1', (t) => {
+  const { status, stdout } = runTestRules(
+    t,
+    rulesDoc(
+      [{ description: 'wrong', answers: { 1: 'Yes' }, nonCompliant: true }],
+      [{ answers: { 1: 'No', 3: 'Fitted' }, expect: { outcome: 'Pass', findings: ['label'], majorCount: 0 } }]
+    )
+  );
+
+  assert.equal(status, 1);
+  assert.match(stdout, /FAIL rule #1 \(pump\) example 1 \(wrong\)\n.*\n {4}expected non-compliant, got compliant/);
+  assert.match(stdout, /FAIL ruleset example 1/);
+  assert.match(stdout, /outcome: expected Pass, got Fail/);
+  assert.match(stdout, /majorCount: expected 0, got 1/);
+  assert.match(stdout, /findings missing: label/);
+  assert.match(stdout, /findings not expected: pump/);
+  assert.match(stdout, /2 failure\(s\) across 1 file\(s\)\./);
+});
+
+test('test-rules fails a file that does not validate', (t) => {
+  const doc = rulesDoc([{ answers: { 1: 'No' }, nonCompliant: 'yes' }]);
+  const { status, stdout } = runTestRules(t, doc);
+
+  assert.equal(status, 1);
+  assert.match(stdout, /FAIL file does not validate/);
+});
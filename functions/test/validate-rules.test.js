@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  validateRulesDoc,
+  validateRulesFile,
+  effectiveWindowProblems,
+  evaluateRule,
+} = require('../src/shared/goaudits-rules');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli', 'validate-rules.js');
+
+function rule(ruleId, questionKey, severity = 'Minor', nonCompliantWhen = { op: 'equals', value: 'No' }) {
+  return { ruleId, questionKey, nonCompliantWhen, finding: { severity, message: ruleId } };
+}
+
+function rulesDoc(overrides = {}) {
+  return {
+    schemaVersion: 3,
+    ruleSetName: 'Test',
+    ruleSetVersion: 'v1',
+    rules: [rule('t-major', '1', 'Major'), rule('t-minor', '2')],
+    scoring: {
+      outcomeRules: [
+        { when: { majorCountGte: 1 }, outcome: 'Fail' },
+        { when: { minorCountGte: 1 }, outcome: 'Refer' },
+        { when: { always: true }, outcome: 'Pass' },
+      ],
+      scoreValue: { type: 'text', from: 'outcome' },
+    },
+    ...overrides,
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('validateRulesDoc accepts a well-formed document', () => {
+  assert.deepEqual(validateRulesDoc(rulesDoc()), { errors: [], warnings: [] });
+});
+
+test('validateRulesDoc reports JSON Schema errors with their path', () => {
+  const { errors } = validateRulesDoc(rulesDoc({ rules: [{ ...rule('a', '1'), colour: 'red' }] }));
+  assert.match(errors.join('\n'), /\/rules\/0 must NOT have additional properties \(colour\)/);
+  assert.match(validateRulesDoc(rulesDoc({ schemaVersion: 9 })).errors[0], /unsupported schemaVersion 9/);
+});
+
+test('validateRulesDoc checks operands and compiles regex patterns', () => {
+  const bad = rulesDoc({ rules: [rule('a', '1', 'Minor', { op: 'regex', pattern: '(' })] });
+  assert.match(validateRulesDoc(bad).errors[0], /Rule #1 \(ruleId a\)/);
+
+  const doc = rulesDoc({
+    rules: [
+      rule('a', '1', 'Major', { op: 'regex', pattern: '^no\\b', caseInsensitive: true }),
+      rule('b', '2'),
+    ],
+  });
+  assert.deepEqual(validateRulesDoc(doc).errors, []);
+  const answers = new Map([['1', [{ instanceIndex: 0, value: 'No access' }]]]);
+  assert.equal(evaluateRule(doc.rules[0], answers, {}).length, 1);
+});
+
+test('validateRulesDoc runs the semantic checks', () => {
+  const duplicateId = validateRulesDoc(rulesDoc({ rules: [rule('a', '1', 'Major'), rule('a', '2')] }));
+  assert.match(duplicateId.errors.join('\n'), /ruleId a is used more than once/);
+
+  const textMismatch = rulesDoc();
+  textMismatch.rules[0].finding.minorNonCompliantText = 'copied';
+  assert.match(validateRulesDoc(textMismatch).errors[0], /severity is Major but minorNonCompliantText is set/);
+
+  const sharedKey = validateRulesDoc(rulesDoc({ rules: [rule('a', '1', 'Major'), rule('b', '1')] }));
+  assert.deepEqual(sharedKey.errors, []);
+  assert.match(sharedKey.warnings[0], /questionKey 1 is used by Rule #1 \(ruleId a\) and Rule #2 \(ruleId b\)/);
+
+  const noMinors = validateRulesDoc(rulesDoc({ rules: [rule('a', '1', 'Major')] }));
+  assert.match(noMinors.errors[0], /outcomeRules\[1\] \(outcome Refer\) can never be reached/);
+});
+
+test('validateRulesDoc checks effective dates', () => {
+  assert.deepEqual(validateRulesDoc(rulesDoc({ effectiveFrom: '2026-01-01', effectiveTo: '2026-07-01' })).errors, []);
+  assert.match(
+    validateRulesDoc(rulesDoc({ effectiveFrom: '2026-02-30' })).errors.join('\n'),
+    /effectiveFrom 2026-02-30 is not a valid date/
+  );
+  assert.match(
+    validateRulesDoc(rulesDoc({ effectiveFrom: '2026-07-01', effectiveTo: '2026-07-01' })).errors.join('\n'),
+    /effectiveFrom 2026-07-01 must be before effectiveTo 2026-07-01/
+  );
+});
+
+test('effectiveWindowProblems rejects overlaps and reports gaps', () => {
+  const v1 = rulesDoc({ ruleSetVersion: 'v1', effectiveTo: '2026-01-01' });
+  const v2 = rulesDoc({ ruleSetVersion: 'v2', effectiveFrom: '2026-01-01', effectiveTo: '2026-07-01' });
+  const undated = rulesDoc({ ruleSetVersion: 'v9' });
+  assert.deepEqual(effectiveWindowProblems([v2, undated, v1]), { errors: [], warnings: [] });
+
+  const overlapping = rulesDoc({ ruleSetVersion: 'v3', effectiveFrom: '2026-06-01' });
+  assert.deepEqual(effectiveWindowProblems([v1, v2, overlapping]).errors, [
+    'Test v2 [2026-01-01, 2026-07-01) overlaps v3 [2026-06-01, open).',
+  ]);
+
+  const late = rulesDoc({ ruleSetVersion: 'v3', effectiveFrom: '2026-08-01' });
+  assert.deepEqual(effectiveWindowProblems([v2, late]), {
+    errors: [],
+    warnings: ['Test has no version in force between 2026-07-01 and 2026-08-01.'],
+  });
+});
+
+test('validateRulesFile checks the file name against the document', (t) => {
+  const dir = tempDir(t);
+  const filePath = path.join(dir, 'test.v2.json');
+  fs.writeFileSync(filePath, JSON.stringify(rulesDoc()));
+  assert.match(validateRulesFile(filePath).errors[0], /Rules version mismatch. Expected v2, found v1/);
+
+  const badName = path.join(dir, 'Test-rules.json');
+  fs.writeFileSync(badName, JSON.stringify(rulesDoc()));
+  assert.match(validateRulesFile(badName).errors[0], /file name must be <ruleset>.<version>.json/);
+
+  fs.writeFileSync(filePath, '{');
+  assert.match(validateRulesFile(filePath).errors[0], /not valid JSON/);
+});
+
+test('validate-rules exits 1 and names the failing file', (t) => {
+  const dir = tempDir(t);
+  const good = path.join(dir, 'test.v1.json');
+  const bad = path.join(dir, 'test.v2.json');
+  fs.writeFileSync(good, JSON.stringify(rulesDoc()));
+  fs.writeFileSync(bad, JSON.stringify(rulesDoc({ ruleSetVersion: 'v2', rules: [] })));
+
+  assert.match(execFileSync(process.execPath, [CLI, good], { encoding: 'utf8' }), /All rules files are valid/);
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, good, bad], { encoding: 'utf8' }),
+    (error) => error.status === 1 && /FAIL .*test\.v2\.json/.test(error.stdout)
+  );
+});
+
+test('validate-rules fails overlapping effective windows across files', (t) => {
+  const dir = tempDir(t);
+  const v1 = path.join(dir, 'test.v1.json');
+  const v2 = path.join(dir, 'test.v2.json');
+  fs.writeFileSync(v1, JSON.stringify(rulesDoc({ effectiveTo: '2026-07-01' })));
+  fs.writeFileSync(v2, JSON.stringify(rulesDoc({ ruleSetVersion: 'v2', effectiveFrom: '2026-06-01' })));
+
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, v1, v2], { encoding: 'utf8' }),
+    (error) => error.status === 1 && /FAIL Test effective dates/.test(error.stdout) && /overlaps/.test(error.stdout)
+  );
+});
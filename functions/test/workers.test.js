@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runWorkers } = require('../src/shared/workers');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('runWorkers handles every item with at most `concurrency` in flight', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const handled = [];
+
+  await runWorkers([1, 2, 3, 4, 5], 2, async (item) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await tick();
+    handled.push(item);
+    inFlight -= 1;
+  });
+
+  assert.deepEqual(handled.sort(), [1, 2, 3, 4, 5]);
+  assert.equal(maxInFlight, 2);
+});
+
+test('runWorkers stops taking items after the first error and rethrows it', async () => {
+  const started = [];
+
+  await assert.rejects(
+    runWorkers([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) {
+        throw new Error('boom');
+      }
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [1, 2]);
+});